@@ -1,8 +1,55 @@
+// Key read by the side panel (keep in sync with CONFIG.PENDING_REQUEST_KEY)
+const PENDING_REQUEST_KEY = 'snapsummary_pending_request';
+
+const CONTEXT_MENUS = [
+  { id: 'summarize-selection', title: 'Summarize selection', contexts: ['selection'] },
+  { id: 'summarize-link', title: 'Summarize link', contexts: ['link'] },
+  { id: 'summarize-page', title: 'Summarize this page', contexts: ['page'] }
+];
+
 chrome.runtime.onInstalled.addListener(({ reason }) => {
   if (reason === 'install') {
     chrome.sidePanel
       .setPanelBehavior({ openPanelOnActionClick: true })
       .catch((error) => console.error(error));
   }
+
+  // Menus persist across restarts but must be recreated on install/update
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENUS.forEach((menu) => chrome.contextMenus.create(menu));
+  });
 });
 
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id) return;
+
+  // Must be called directly in the click handler (user gesture)
+  chrome.sidePanel
+    .open({ tabId: tab.id })
+    .catch((error) => console.error(error));
+
+  const request = {
+    id: Date.now(),
+    tabId: tab.id,
+    frameId: info.frameId ?? 0,
+    pageUrl: info.pageUrl || tab.url || '',
+    pageTitle: tab.title || ''
+  };
+
+  if (info.menuItemId === 'summarize-selection') {
+    request.action = 'selection';
+    request.selectionText = info.selectionText || '';
+  } else if (info.menuItemId === 'summarize-link') {
+    request.action = 'link';
+    request.linkUrl = info.linkUrl || '';
+  } else if (info.menuItemId === 'summarize-page') {
+    request.action = 'page';
+  } else {
+    return;
+  }
+
+  // The side panel picks this up on load, or via storage.onChanged if already open
+  chrome.storage.session
+    .set({ [PENDING_REQUEST_KEY]: request })
+    .catch((error) => console.error(error));
+});
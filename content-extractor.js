@@ -7,60 +7,115 @@
   // ============= CONFIGURATION =============
   
   const CONFIG = {
-    MAX_CONTENT_LENGTH: 20000,
-    SCROLL_WAIT_TIME: 200,
-    MAX_SCROLL_ATTEMPTS: 3,
+    MAX_CONTENT_LENGTH: 200000, // Long content is chunked at summarization time
+    // Lazy content: the DOM counts as settled after this long without mutations
+    SETTLE_QUIET_MS: 300,
+    MAX_SETTLE_MS: 2000,
+    // Time budget for scoring the page; subtrees finished before it runs out are still used
+    SCORING_BUDGET_MS: 300,
+    // Candidates checked for visibility (getComputedStyle) after scoring
+    MAX_VISIBILITY_CHECKS: 10,
+    // Diagnostics: content shorter than this is flagged as very short
+    SHORT_CONTENT_LENGTH: 800,
     MIN_CONTENT_LENGTH: 300,
     MIN_IMAGE_WIDTH: 200,
     MIN_IMAGE_HEIGHT: 100,
     // Minimum content density score to consider as main content
     MIN_CONTENT_DENSITY: 0.3,
     // Minimum link density (high link density = navigation/sidebar)
-    MAX_LINK_DENSITY: 0.5
+    MAX_LINK_DENSITY: 0.5,
+    // Site adapters: cap on comments/answers pulled from a thread
+    MAX_THREAD_COMMENTS: 200,
+    MAX_ANSWERS: 10,
+    // Learned boilerplate: shorter paragraphs are never fingerprinted
+    MIN_BOILERPLATE_BLOCK_LENGTH: 40,
+    MAX_BLOCK_FINGERPRINTS: 200,
+    // Media transcripts: links to transcript pages or subtitle files kept per page
+    MAX_TRANSCRIPT_LINKS: 3,
+    // Players at least this wide count as the page's media even outside the main content
+    MIN_PLAYER_WIDTH: 400
   };
   
+  // ============= USER RULES =============
+  
+  // Set by the side panel right before injection: { rule, preview, boilerplate, pageUrl }
+  const EXTRACT_OPTIONS = globalThis.__snapsummaryExtractOptions || {};
+  delete globalThis.__snapsummaryExtractOptions;
+  
+  // Per-domain rule from the rules editor (null = heuristics only)
+  const SITE_RULE = EXTRACT_OPTIONS.rule || null;
+  
+  // ============= FETCHED PAGES =============
+  
+  const startedAt = performance.now();
+  
+  /**
+   * Fetch another page of this site and parse it into an inert document
+   * Its scripts never run and nothing is rendered; cookies are not sent
+   */
+  async function loadPageDocument(url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch page (${response.status})`);
+    }
+    
+    const parsed = new DOMParser().parseFromString(await response.text(), 'text/html');
+    // Relative links and images resolve against the fetched page, not this one
+    if (!parsed.querySelector('base[href]')) {
+      const base = parsed.createElement('base');
+      base.href = response.url || url;
+      parsed.head.prepend(base);
+    }
+    return parsed;
+  }
+  
+  // The following pages of a paginated article are read from their HTML
+  // ({ pageUrl }); everything below reads the page through these two
+  const PAGE_URL = EXTRACT_OPTIONS.pageUrl || '';
+  const document = PAGE_URL ? await loadPageDocument(PAGE_URL) : globalThis.document;
+  const location = PAGE_URL ? new URL(PAGE_URL) : globalThis.location;
+  
   // ============= DYNAMIC CONTENT LOADING =============
   
   /**
-   * Wait for dynamic content to load by scrolling the page
-   * This triggers lazy-loaded content and infinite scroll
+   * Wait until the page stops changing, without touching its scroll position
+   * Resolves after SETTLE_QUIET_MS without DOM mutations, or MAX_SETTLE_MS at most
    */
-  async function waitForDynamicContent() {
+  function waitForDomSettled() {
     return new Promise((resolve) => {
-      let attempts = 0;
+      let quietTimer = null;
       
-      const checkContent = () => {
-        attempts++;
-        
-        // Trigger lazy loading by scrolling to different positions
-        if (attempts === 1) {
-          window.scrollTo(0, document.body.scrollHeight);
-        } else if (attempts === 2) {
-          window.scrollTo(0, document.body.scrollHeight / 2);
-        } else {
-          window.scrollTo(0, 0);
-          resolve();
-        }
-        
-        if (attempts < CONFIG.MAX_SCROLL_ATTEMPTS) {
-          setTimeout(checkContent, CONFIG.SCROLL_WAIT_TIME);
-        } else {
-          resolve();
-        }
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        resolve();
       };
       
-      checkContent();
+      const observer = new MutationObserver(() => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, CONFIG.SETTLE_QUIET_MS);
+      });
+      const maxTimer = setTimeout(finish, CONFIG.MAX_SETTLE_MS);
+      
+      observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+      quietTimer = setTimeout(finish, CONFIG.SETTLE_QUIET_MS);
     });
   }
 
-  // Wait for content to load
-  await waitForDynamicContent();
+  // Wait for content to load (skipped for rule previews, which re-run on every
+  // edit, and for fetched pages, which never change)
+  if (!EXTRACT_OPTIONS.preview && !PAGE_URL) {
+    await waitForDomSettled();
+  }
+  
+  const settledAt = performance.now();
 
   // ============= RESULT STRUCTURE =============
   
   const result = {
     type: 'webpage',
-    url: window.location.href,
+    url: location.href,
     title: '',
     subtitle: '',
     content: '',
@@ -75,7 +130,16 @@
     language: '',
     readingTime: 0,
     wordCount: 0,
-    structuredData: null
+    structuredData: null,
+    siteAdapter: '',   // Name of the site adapter used ('' = generic extraction)
+    structure: null,   // Site-aware structure, e.g. { type: 'discussion', comments: 42 }
+    siteRule: null,    // Applied user rule: { domain, includeMatches }
+    timing: null,      // { settleMs, extractMs, totalMs, nodesScored, budgetExceeded }
+    diagnostics: null, // { strategy, selectorPath, linkDensity, confidence, truncated, boilerplateRemoved, warnings }
+    nextPageUrl: '',   // Next page of a paginated article ('' = none found)
+    outline: [],       // Heading tree: [{ id, level, title, text, children }] (empty without 2+ headings)
+    blockFingerprints: [], // Paragraph fingerprints for boilerplate learning: [{ hash, sample }]
+    media: null        // Video/audio with a transcript source: { kind, provider, id, pageUrl, src, title, tracks, transcriptLinks }
   };
 
   // ============= UTILITY FUNCTIONS =============
@@ -96,72 +160,56 @@
     return el?.getAttribute(attr) || '';
   };
   
+  // Class/id/role fragments that mark navigation, ads and other page chrome
+  const NOISE_PATTERNS = [
+    // Navigation
+    'nav', 'navigation', 'navbar', 'menu', 'sidebar', 'side-bar',
+    // Meta content
+    'header', 'footer', 'breadcrumb', 'meta', 'byline',
+    // Ads & promotional
+    'ad', 'ads', 'advertisement', 'promo', 'promotion', 'sponsor',
+    // Social & sharing
+    'social', 'share', 'sharing', 'follow',
+    // Comments & related
+    'comment', 'discussion', 'related', 'recommend', 'suggestion',
+    // UI chrome
+    'popup', 'modal', 'overlay', 'tooltip', 'dropdown',
+    // Newsletter/subscription
+    'newsletter', 'subscribe', 'subscription', 'signup',
+    // Misc
+    'widget', 'plugin', 'banner'
+  ];
+  
   /**
-   * Calculate link density of an element (high = navigation/spam)
+   * Link density of scored stats (high = navigation/spam)
    * Link density = (text in links) / (total text)
    */
-  function calculateLinkDensity(element) {
-    const textLength = (element.textContent || '').length;
-    if (textLength === 0) return 1;
-    
-    const links = element.querySelectorAll('a');
-    let linkLength = 0;
-    links.forEach(link => {
-      linkLength += (link.textContent || '').length;
-    });
-    
-    return linkLength / textLength;
+  function getLinkDensity(stats) {
+    return stats.textLength === 0 ? 1 : stats.linkTextLength / stats.textLength;
   }
   
   /**
-   * Calculate content density (paragraphs + text vs structural elements)
+   * Content density of scored stats (paragraphs + text vs structural elements)
    * High density = likely main content
    */
-  function calculateContentDensity(element) {
-    const text = (element.textContent || '').trim();
-    if (!text) return 0;
-    
-    const paragraphs = element.querySelectorAll('p');
-    const textLength = text.length;
-    const structuralElements = element.querySelectorAll('div, span, table, ul, ol').length;
+  function getContentDensity(stats) {
+    if (stats.textLength === 0) return 0;
     
     // More paragraphs and text = higher density
     // More structural divs = lower density
-    const density = (paragraphs.length * 100 + textLength) / (structuralElements + 1);
-    
-    return density;
+    return (stats.paragraphs * 100 + stats.textLength) / (stats.structural + 1);
   }
   
   /**
-   * Check if element is likely navigation, sidebar, or other noise
+   * Check if element is marked as navigation, sidebar, or other noise
+   * Attribute checks only, so it is cheap enough to run on every element
    */
-  function isNoiseElement(element) {
-    const className = (element.className || '').toLowerCase();
+  function hasNoiseMarkers(element) {
+    const className = (element.getAttribute('class') || '').toLowerCase();
     const id = (element.id || '').toLowerCase();
     const role = (element.getAttribute('role') || '').toLowerCase();
     
-    // Explicit noise patterns
-    const noisePatterns = [
-      // Navigation
-      'nav', 'navigation', 'navbar', 'menu', 'sidebar', 'side-bar',
-      // Meta content
-      'header', 'footer', 'breadcrumb', 'meta', 'byline',
-      // Ads & promotional
-      'ad', 'ads', 'advertisement', 'promo', 'promotion', 'sponsor',
-      // Social & sharing
-      'social', 'share', 'sharing', 'follow',
-      // Comments & related
-      'comment', 'discussion', 'related', 'recommend', 'suggestion',
-      // UI chrome
-      'popup', 'modal', 'overlay', 'tooltip', 'dropdown',
-      // Newsletter/subscription
-      'newsletter', 'subscribe', 'subscription', 'signup',
-      // Misc
-      'widget', 'plugin', 'banner'
-    ];
-    
-    // Check if any noise pattern matches
-    const hasNoisePattern = noisePatterns.some(pattern => 
+    const hasNoisePattern = NOISE_PATTERNS.some(pattern => 
       className.includes(pattern) || 
       id.includes(pattern) ||
       role.includes(pattern)
@@ -173,11 +221,16 @@
     if (element.getAttribute('aria-hidden') === 'true') return true;
     if (['navigation', 'banner', 'complementary'].includes(role)) return true;
     
-    // Check if element is hidden
+    return element.hidden;
+  }
+  
+  /**
+   * Check if element is hidden by CSS
+   * Forces style calculation, so only used on a handful of finalists
+   */
+  function isHiddenElement(element) {
     const style = window.getComputedStyle(element);
-    if (style.display === 'none' || style.visibility === 'hidden') return true;
-    
-    return false;
+    return style.display === 'none' || style.visibility === 'hidden';
   }
   
   /**
@@ -396,14 +449,100 @@
 
   // ============= ADVANCED MAIN CONTENT EXTRACTION =============
   
+  // Not scored and not counted as text
+  const UNSCORED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'embed', 'canvas']);
+  // Elements that can be chosen as the main content container
+  const CONTAINER_TAGS = new Set(['div', 'section', 'main', 'article']);
+  // Counted against content density
+  const STRUCTURAL_TAGS = new Set(['div', 'span', 'table', 'ul', 'ol']);
+  
+  /**
+   * Score every element in a single post-order pass over the page
+   * Each node is visited once and children's counts are added to their parent,
+   * so the cost is linear in the size of the page. Stops when the time budget
+   * runs out; elements finished by then have complete counts.
+   * @returns {{ stats: Map, nodesScored: number, budgetExceeded: boolean }}
+   */
+  function scorePage() {
+    const stats = new Map();
+    const deadline = performance.now() + CONFIG.SCORING_BUDGET_MS;
+    const stack = [{ element: document.body, exited: false }];
+    let steps = 0;
+    let budgetExceeded = false;
+    
+    while (stack.length > 0) {
+      // Checking the clock on every step would cost more than the scoring
+      if ((++steps & 255) === 0 && performance.now() > deadline) {
+        budgetExceeded = true;
+        break;
+      }
+      
+      const frame = stack[stack.length - 1];
+      const { element } = frame;
+      
+      if (!frame.exited) {
+        frame.exited = true;
+        for (let child = element.lastElementChild; child; child = child.previousElementSibling) {
+          if (!UNSCORED_TAGS.has(child.localName)) {
+            stack.push({ element: child, exited: false });
+          }
+        }
+        continue;
+      }
+      
+      stack.pop();
+      
+      const tag = element.localName;
+      const own = {
+        textLength: 0,
+        linkTextLength: 0,
+        paragraphs: 0,
+        headings: 0,
+        lists: 0,
+        links: 0,
+        structural: 0
+      };
+      
+      for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          own.textLength += node.length;
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+          const child = stats.get(node);
+          if (!child) continue;
+          own.textLength += child.textLength;
+          own.linkTextLength += child.linkTextLength;
+          own.paragraphs += child.paragraphs + (node.localName === 'p' ? 1 : 0);
+          own.headings += child.headings + (/^h[1-6]$/.test(node.localName) ? 1 : 0);
+          own.lists += child.lists + (node.localName === 'ul' || node.localName === 'ol' ? 1 : 0);
+          own.links += child.links + (node.localName === 'a' ? 1 : 0);
+          own.structural += child.structural + (STRUCTURAL_TAGS.has(node.localName) ? 1 : 0);
+        }
+      }
+      
+      if (tag === 'a') own.linkTextLength = own.textLength;
+      own.noise = hasNoiseMarkers(element);
+      stats.set(element, own);
+    }
+    
+    return { stats, nodesScored: stats.size, budgetExceeded };
+  }
+  
+  /**
+   * Check scored stats against the minimum content requirements
+   */
+  function isContentCandidate(stats) {
+    return stats.textLength > CONFIG.MIN_CONTENT_LENGTH &&
+      getLinkDensity(stats) < CONFIG.MAX_LINK_DENSITY &&
+      getContentDensity(stats) > CONFIG.MIN_CONTENT_DENSITY;
+  }
+  
   /**
    * Find main content container using multiple strategies
    * Enhanced with content density and link density checks
+   * @param {object} scoring - Result of scorePage
+   * @returns {{ element: Element, strategy: string }|null} Strategy is 'semantic' or 'scoring'
    */
-  function findMainContent() {
-    let mainElement = null;
-    let bestScore = 0;
-    
+  function findMainContent({ stats, budgetExceeded }) {
     // Strategy 1: Try semantic HTML and common selectors (MOST RELIABLE)
     const mainSelectors = [
       'article[role="article"]',
@@ -433,75 +572,47 @@
     
     for (const selector of mainSelectors) {
       const el = document.querySelector(selector);
-      if (el && !isNoiseElement(el)) {
-        const textLength = (el.innerText || '').length;
-        const linkDensity = calculateLinkDensity(el);
-        const contentDensity = calculateContentDensity(el);
-        
-        // Must have sufficient content and low link density
-        if (textLength > CONFIG.MIN_CONTENT_LENGTH && 
-            linkDensity < CONFIG.MAX_LINK_DENSITY &&
-            contentDensity > CONFIG.MIN_CONTENT_DENSITY) {
-          mainElement = el;
-        // Found main content via semantic selector
-          break;
-        }
+      if (!el) continue;
+      
+      const elStats = stats.get(el);
+      // Must have sufficient content and low link density
+      if (elStats && !elStats.noise && isContentCandidate(elStats) && !isHiddenElement(el)) {
+        return { element: el, strategy: 'semantic' };
+      }
+      // Not reached before the budget ran out: trust the semantic element if it has text
+      if (!elStats && budgetExceeded && !hasNoiseMarkers(el) &&
+          (el.textContent || '').length > CONFIG.MIN_CONTENT_LENGTH && !isHiddenElement(el)) {
+        return { element: el, strategy: 'semantic' };
       }
     }
     
     // Strategy 2: Advanced scoring with content quality metrics
-    if (!mainElement) {
-      // Semantic selectors failed, using advanced scoring
-      const containers = Array.from(document.querySelectorAll('div, section, main, article, [role="main"]'));
+    const candidates = [];
+    
+    stats.forEach((elStats, container) => {
+      const isContainer = CONTAINER_TAGS.has(container.localName) || container.getAttribute('role') === 'main';
+      if (!isContainer || elStats.noise || !isContentCandidate(elStats)) return;
       
-      containers.forEach(container => {
-        // Skip if it's noise
-        if (isNoiseElement(container)) return;
-        
-        const text = container.innerText || '';
-        const textLength = text.length;
-        
-        // Skip if too short
-        if (textLength < CONFIG.MIN_CONTENT_LENGTH) return;
-        
-        // Calculate quality metrics
-        const paragraphs = container.querySelectorAll('p');
-        const headings = container.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        const lists = container.querySelectorAll('ul, ol');
-        const links = container.querySelectorAll('a');
-        
-        const linkDensity = calculateLinkDensity(container);
-        const contentDensity = calculateContentDensity(container);
-        
-        // Skip high link density (navigation/spam)
-        if (linkDensity > CONFIG.MAX_LINK_DENSITY) return;
-        
-        // Skip low content density (too many divs, not enough text)
-        if (contentDensity < CONFIG.MIN_CONTENT_DENSITY) return;
-        
-        // Calculate comprehensive score
-        const score = 
-          (paragraphs.length * 100) +      // Paragraphs are good
-          (headings.length * 50) +         // Headings indicate structure
-          (lists.length * 30) +            // Lists are content
-          (textLength * 0.5) +             // More text is better
-          (contentDensity * 10) -          // Higher density is better
-          (linkDensity * 500) -            // Lower link density is better
-          (links.length * 5);              // Too many links is bad
-        
-        if (score > bestScore) {
-          bestScore = score;
-          mainElement = container;
-          // New best score found
-        }
-      });
+      // Calculate comprehensive score
+      const score = 
+        (elStats.paragraphs * 100) +                  // Paragraphs are good
+        (elStats.headings * 50) +                     // Headings indicate structure
+        (elStats.lists * 30) +                        // Lists are content
+        (elStats.textLength * 0.5) +                  // More text is better
+        (getContentDensity(elStats) * 10) -           // Higher density is better
+        (getLinkDensity(elStats) * 500) -             // Lower link density is better
+        (elStats.links * 5);                          // Too many links is bad
       
-      if (mainElement) {
-        // Found main content via scoring
-      }
-    }
+      candidates.push({ container, score });
+    });
     
-    return mainElement;
+    // Best visible candidate; style checks are limited to the top few
+    candidates.sort((a, b) => b.score - a.score);
+    const finalist = candidates
+      .slice(0, CONFIG.MAX_VISIBILITY_CHECKS)
+      .find(({ container }) => !isHiddenElement(container));
+    
+    return finalist ? { element: finalist.container, strategy: 'scoring' } : null;
   }
 
   /**
@@ -513,6 +624,9 @@
     
     const clone = element.cloneNode(true);
     
+    // Math first: its TeX lives in scripts, hidden MathML and SVG that are removed below
+    replaceMath(clone);
+    
     // Remove unwanted elements (COMPREHENSIVE list)
     const removeSelectors = [
       // Scripts and styles
@@ -564,77 +678,54 @@
         // Ignore invalid selectors
       }
     });
+    removeExcluded(clone);
 
     // Build structured content with proper formatting
     const parts = [];
     
-    // Walk through the DOM tree
-    const walker = document.createTreeWalker(
-      clone,
-      NodeFilter.SHOW_ELEMENT,
-      {
-        acceptNode: (node) => {
-          const tag = node.tagName?.toLowerCase();
-          
-          // Accept content-bearing elements
-          if (['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre', 'code'].includes(tag)) {
-            return NodeFilter.FILTER_ACCEPT;
+    // Walk the tree; paragraphs, headings, list items and quotes become one line each,
+    // tables and code blocks are converted whole
+    const visit = (node, insideText) => {
+      for (const child of node.children) {
+        const tag = child.localName;
+        
+        if (tag === 'table') {
+          const table = formatTable(child);
+          if (table) {
+            parts.push(table);
+          } else {
+            visit(child, insideText); // Layout table
           }
+        } else if (tag === 'pre' || (tag === 'code' && !insideText)) {
+          const code = formatCodeBlock(child);
+          if (code) parts.push(code);
+        } else if (child.hasAttribute(MATH_BLOCK_ATTR)) {
+          parts.push(child.textContent);
+        } else if (TEXT_BLOCK_TAGS.has(tag)) {
+          const text = normalizeSpace(getInlineText(child));
           
-          return NodeFilter.FILTER_SKIP;
-        }
-      }
-    );
-
-    const processedElements = new Set();
-    let currentNode;
-    
-    while (currentNode = walker.nextNode()) {
-      if (processedElements.has(currentNode)) continue;
-      
-      const tag = currentNode.tagName.toLowerCase();
-      const text = currentNode.textContent.trim();
-      
-      if (!text || text.length < 10) continue;
-      
-      // Check if text is already captured by a child element
-      let hasTextInChild = false;
-      for (const child of currentNode.children) {
-        if (processedElements.has(child)) {
-          hasTextInChild = true;
-          break;
-        }
-      }
-      
-      if (!hasTextInChild) {
-        // Get direct text content (not from children)
-        let directText = '';
-        for (const child of currentNode.childNodes) {
-          if (child.nodeType === Node.TEXT_NODE) {
-            directText += child.textContent;
-          }
-        }
-        
-        const cleanDirectText = directText.trim();
-        
-        if (cleanDirectText.length > 10) {
-          // Format based on element type
-          if (tag.match(/^h[1-6]$/)) {
-            parts.push('\n## ' + cleanDirectText + '\n');
-          } else if (tag === 'li') {
-            parts.push('• ' + cleanDirectText);
-          } else if (tag === 'blockquote') {
-            parts.push('> ' + cleanDirectText);
-          } else if (tag === 'pre' || tag === 'code') {
-            parts.push('```\n' + cleanDirectText + '\n```');
-          } else if (tag === 'p') {
-            parts.push(cleanDirectText);
+          if (text.length > 10) {
+            // Format based on element type
+            if (/^h[1-6]$/.test(tag)) {
+              parts.push('\n' + '#'.repeat(Number(tag[1])) + ' ' + text + '\n');
+            } else if (tag === 'li') {
+              parts.push('• ' + text);
+            } else if (tag === 'blockquote') {
+              parts.push('> ' + text);
+            } else {
+              parts.push(text);
+            }
           }
           
-          processedElements.add(currentNode);
+          // Nested blocks (a list inside a list item, paragraphs inside a quote)
+          visit(child, true);
+        } else {
+          visit(child, insideText);
         }
       }
-    }
+    };
+    
+    visit(clone, false);
 
     // Fallback to simple text extraction if structured approach didn't work
     if (parts.length === 0) {
@@ -648,32 +739,1172 @@
    * Clean and normalize text
    */
   function cleanText(text) {
-    return text
+    // Code blocks keep their whitespace: set them aside while cleaning
+    const codeBlocks = [];
+    const withoutCode = text.replace(CODE_FENCE_BLOCK, (block) => {
+      codeBlocks.push(block);
+      return `\u0000${codeBlocks.length - 1}\u0000`;
+    });
+    
+    return withoutCode
       .replace(/\n\s*\n\s*\n+/g, '\n\n')          // Max 2 consecutive line breaks
       .replace(/[ \t]+/g, ' ')                      // Normalize spaces
       .replace(/\n[ \t]+/g, '\n')                   // Remove leading spaces on new lines
       .replace(/\s+([,.!?;:])/g, '$1')              // Fix punctuation spacing
-      .replace(/([.!?])\s*\n\s*([A-Z])/g, '$1 $2')  // Fix sentence breaks
-      .trim()
-      .substring(0, CONFIG.MAX_CONTENT_LENGTH);     // Limit to max length
+      .replace(/([.!?]) ?\n([A-Z])/g, '$1 $2')      // Fix sentence breaks (paragraphs stay apart)
+      .replace(/\u0000(\d+)\u0000/g, (match, index) => codeBlocks[index])
+      .trim();
+  }
+
+  // ============= TABLES, CODE AND MATH =============
+  
+  // Display math is replaced by an element with this attribute (inline math by plain text)
+  const MATH_BLOCK_ATTR = 'data-snapsummary-math';
+  // Fenced code blocks in extracted text
+  const CODE_FENCE_BLOCK = /^(`{3,})[^\n]*\n[\s\S]*?\n\1$/gm;
+  // Elements extractStructuredText turns into one line of text each
+  const TEXT_BLOCK_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote']);
+  // Blocks extracted on their own, so left out of the surrounding element's text
+  const NESTED_BLOCK_TAGS = new Set([...TEXT_BLOCK_TAGS, 'ul', 'ol', 'dl', 'table', 'pre']);
+  // Line-number gutters of highlighted code
+  const CODE_GUTTER_SELECTORS = '.linenos, .lineno, .line-numbers-rows, .gutter, [class*="line-number"], .hljs-ln-numbers';
+  // Class names carrying a code block's language (Prism, highlight.js, GitHub, Sphinx, Pandoc)
+  const CODE_LANGUAGE_CLASS = /^(?:language|lang|highlight-source|highlight|sourceCode|brush)-([\w+#.-]+)$/i;
+  const NO_LANGUAGE = new Set(['none', 'text', 'plaintext', 'plain', 'nohighlight', 'default']);
+  
+  /**
+   * Text of an element without its nested blocks (they are visited separately)
+   * Inline code keeps its backticks
+   */
+  function getInlineText(element) {
+    let text = '';
+    
+    for (const node of element.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent;
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const tag = node.localName;
+        if (SKIP_TAGS.has(tag) || node.hasAttribute(MATH_BLOCK_ATTR)) continue;
+        if (tag === 'br') {
+          text += ' ';
+        } else if (tag === 'code') {
+          text += '`' + node.textContent + '`';
+        } else if (!NESTED_BLOCK_TAGS.has(tag)) {
+          text += getInlineText(node);
+        }
+      }
+    }
+    
+    return text;
+  }
+  
+  /**
+   * Convert a data table to a Markdown table
+   * Returns '' for layout tables (nested tables, a single column or row)
+   */
+  function formatTable(table) {
+    if (table.querySelector('table')) return '';
+    
+    const rows = Array.from(table.rows)
+      .map(row => Array.from(row.cells).map(cell => normalizeSpace(cell.textContent).replace(/\|/g, '\\|')))
+      .filter(cells => cells.some(Boolean));
+    const columns = Math.max(0, ...rows.map(cells => cells.length));
+    if (rows.length < 2 || columns < 2) return '';
+    
+    const toLine = (cells) => '| ' + Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ') + ' |';
+    const lines = [toLine(rows[0]), toLine(Array(columns).fill('---')), ...rows.slice(1).map(toLine)];
+    
+    const caption = normalizeSpace(table.caption?.textContent);
+    return (caption ? caption + '\n\n' : '') + lines.join('\n');
+  }
+  
+  /**
+   * Language hint of a code block from its classes or data attributes
+   * (checks the block, its <code> child and two ancestors)
+   */
+  function getCodeLanguage(element) {
+    const candidates = [element, element.querySelector('code'), element.parentElement, element.parentElement?.parentElement];
+    
+    for (const el of candidates) {
+      if (!el) continue;
+      const attr = el.getAttribute('data-lang') || el.getAttribute('data-language');
+      if (attr && !NO_LANGUAGE.has(attr.toLowerCase())) return attr.toLowerCase();
+      
+      for (const className of el.classList) {
+        const match = CODE_LANGUAGE_CLASS.exec(className);
+        if (match && !NO_LANGUAGE.has(match[1].toLowerCase())) return match[1].toLowerCase();
+      }
+    }
+    return '';
+  }
+  
+  /**
+   * Convert a code block to a fenced block, keeping indentation
+   */
+  function formatCodeBlock(element) {
+    const language = getCodeLanguage(element);
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(CODE_GUTTER_SELECTORS).forEach(el => el.remove());
+    
+    const code = clone.textContent.replace(/^\n+|\s+$/g, '');
+    if (!code.trim()) return '';
+    
+    // The fence must be longer than any backtick run in the code
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language}\n${code}\n${fence}`;
+  }
+  
+  /**
+   * TeX source of a math element (KaTeX, MathJax, MathML, MediaWiki)
+   */
+  function getTex(element) {
+    const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+    const tex = annotation?.textContent ||
+      element.querySelector('math[alttext]')?.getAttribute('alttext') ||
+      element.getAttribute('alttext') ||
+      element.querySelector('img[alt]')?.getAttribute('alt') ||
+      element.textContent;
+    
+    // MediaWiki wraps formulas in {\displaystyle ...}
+    return tex.trim().replace(/^\{\\displaystyle\s*([\s\S]*)\}$/, '$1').trim();
+  }
+  
+  /**
+   * Replace rendered math with its TeX: $...$ inline, $$...$$ as its own block
+   */
+  function replaceMath(root) {
+    const replace = (element, tex, display) => {
+      if (!tex || !root.contains(element)) return;
+      
+      if (display) {
+        const block = document.createElement('div');
+        block.setAttribute(MATH_BLOCK_ATTR, '');
+        block.textContent = `$$${tex}$$`;
+        element.replaceWith(block);
+      } else {
+        element.replaceWith(document.createTextNode(`$${tex}$`));
+      }
+    };
+    
+    // MathJax 2 keeps the TeX in a script next to its rendered output
+    root.querySelectorAll('.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML')
+      .forEach(el => el.remove());
+    root.querySelectorAll('script[type^="math/tex"]').forEach(script => {
+      replace(script, script.textContent.trim(), script.type.includes('mode=display'));
+    });
+    
+    // MediaWiki, then KaTeX, then MathJax 3, then bare MathML
+    root.querySelectorAll('.mwe-math-element').forEach(el => {
+      replace(el, getTex(el), Boolean(el.querySelector('.mwe-math-fallback-image-display, [display="block"]')));
+    });
+    root.querySelectorAll('.katex-display').forEach(el => replace(el, getTex(el), true));
+    root.querySelectorAll('.katex').forEach(el => replace(el, getTex(el), false));
+    root.querySelectorAll('mjx-container').forEach(el => {
+      replace(el, getTex(el), el.getAttribute('display') === 'true');
+    });
+    root.querySelectorAll('math').forEach(el => replace(el, getTex(el), el.getAttribute('display') === 'block'));
   }
 
+  // ============= SITE ADAPTERS =============
+  
+  // Elements whose text never belongs in extracted content
+  const SKIP_TAGS = new Set([
+    'script', 'style', 'noscript', 'svg', 'button', 'input', 'select',
+    'textarea', 'iframe', 'form', 'nav', 'template'
+  ]);
+  
+  const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'aside', 'header', 'footer',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'pre', 'blockquote', 'table', 'figure',
+    'details', 'summary', 'hr', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+  ]);
+  
+  /**
+   * Collapse whitespace in inline text
+   */
+  function normalizeSpace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Convert an element's content to text, keeping paragraphs, headings,
+   * lists, quotes and code blocks (inline links and code are kept as text)
+   */
+  function formatBlock(element) {
+    if (!element) return '';
+    
+    const root = element.cloneNode(true);
+    replaceMath(root);
+    
+    const parts = [];
+    let inline = '';
+    
+    const flush = () => {
+      const text = normalizeSpace(inline);
+      if (text) parts.push(text);
+      inline = '';
+    };
+    
+    const visit = (node) => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          inline += child.textContent;
+          return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        
+        const tag = child.tagName.toLowerCase();
+        if (SKIP_TAGS.has(tag)) return;
+        
+        if (!BLOCK_TAGS.has(tag)) {
+          inline += child.textContent;
+          return;
+        }
+        
+        flush();
+        
+        if (/^h[1-6]$/.test(tag)) {
+          const text = normalizeSpace(child.textContent);
+          if (text) parts.push('#'.repeat(Number(tag[1])) + ' ' + text);
+        } else if (tag === 'pre') {
+          const code = formatCodeBlock(child);
+          if (code) parts.push(code);
+        } else if (tag === 'ul' || tag === 'ol') {
+          child.querySelectorAll(':scope > li').forEach(li => {
+            const text = normalizeSpace(li.textContent);
+            if (text) parts.push('• ' + text);
+          });
+        } else if (tag === 'blockquote') {
+          const text = normalizeSpace(child.textContent);
+          if (text) parts.push('> ' + text);
+        } else if (tag === 'table') {
+          const table = formatTable(child);
+          if (table) {
+            parts.push(table);
+          } else {
+            visit(child); // Layout table
+            flush();
+          }
+        } else {
+          visit(child);
+          flush();
+        }
+      });
+    };
+    
+    visit(root);
+    flush();
+    
+    return parts.join('\n\n');
+  }
+  
+  /**
+   * Text of the first element matching any selector (in order)
+   */
+  function firstText(selectors, scope = document) {
+    for (const selector of selectors) {
+      const text = normalizeSpace(scope.querySelector(selector)?.textContent);
+      if (text) return text;
+    }
+    return '';
+  }
+  
+  /**
+   * Format one comment/answer with its author and nesting depth
+   */
+  function formatEntry({ author, depth = 0, meta = '', body }) {
+    const marker = depth > 0 ? '↳ '.repeat(depth) : '';
+    const header = `${marker}**${author || 'anonymous'}**${meta ? ` · ${meta}` : ''}`;
+    return `${header}\n${body}`;
+  }
+  
+  /**
+   * Reddit threads (new "shreddit" markup and old.reddit.com)
+   */
+  function extractReddit() {
+    const site = {};
+    const comments = [];
+    const post = document.querySelector('shreddit-post');
+    
+    if (post) {
+      site.title = post.getAttribute('post-title') || '';
+      site.author = post.getAttribute('author') || '';
+      site.publishDate = post.getAttribute('created-timestamp') || '';
+      site.body = formatBlock(post.querySelector('[slot="text-body"]'));
+      site.score = post.getAttribute('score') || '';
+      
+      document.querySelectorAll('shreddit-comment').forEach(comment => {
+        const body = formatBlock(comment.querySelector(':scope > [slot="comment"]'));
+        if (!body) return;
+        comments.push(formatEntry({
+          author: comment.getAttribute('author'),
+          depth: parseInt(comment.getAttribute('depth') || '0', 10),
+          meta: comment.getAttribute('score') ? `${comment.getAttribute('score')} points` : '',
+          body
+        }));
+      });
+    } else {
+      const link = document.querySelector('#siteTable .thing.link');
+      if (!link) return null;
+      
+      site.title = firstText(['a.title'], link);
+      site.author = firstText(['.author'], link);
+      site.publishDate = link.querySelector('time')?.getAttribute('datetime') || '';
+      site.body = formatBlock(link.querySelector('.expando .md'));
+      site.score = link.querySelector('.score.unvoted')?.getAttribute('title') || '';
+      
+      document.querySelectorAll('.commentarea .thing.comment').forEach(comment => {
+        const body = formatBlock(comment.querySelector(':scope > .entry .md'));
+        if (!body) return;
+        
+        let depth = 0;
+        for (let parent = comment.parentElement?.closest('.thing.comment'); parent; parent = parent.parentElement?.closest('.thing.comment')) {
+          depth++;
+        }
+        
+        const score = comment.querySelector(':scope > .entry .score.unvoted')?.getAttribute('title');
+        comments.push(formatEntry({
+          author: firstText([':scope > .entry .author'], comment),
+          depth,
+          meta: score ? `${score} points` : '',
+          body
+        }));
+      });
+    }
+    
+    const shown = comments.slice(0, CONFIG.MAX_THREAD_COMMENTS);
+    const sections = [];
+    if (site.score) sections.push(`Score: ${site.score} points`);
+    if (site.body) sections.push(site.body);
+    if (shown.length) sections.push('## Comments', ...shown);
+    
+    return {
+      title: site.title,
+      author: site.author,
+      publishDate: site.publishDate,
+      content: sections.join('\n\n'),
+      structure: { type: 'discussion', comments: comments.length }
+    };
+  }
+  
+  /**
+   * Hacker News item pages
+   */
+  function extractHackerNews() {
+    const item = document.querySelector('.fatitem');
+    if (!item) return null;
+    
+    const storyLink = item.querySelector('.titleline > a');
+    const age = item.querySelector('.age')?.getAttribute('title') || '';
+    const sections = [];
+    
+    const score = firstText(['.score'], item);
+    if (score) sections.push(`Score: ${score}`);
+    if (storyLink?.href && !storyLink.href.includes('news.ycombinator.com')) {
+      sections.push(`Link: ${storyLink.href}`);
+    }
+    
+    const text = formatBlock(item.querySelector('.toptext') || item.querySelector('.commtext'));
+    if (text) sections.push(text);
+    
+    const comments = [];
+    document.querySelectorAll('tr.athing.comtr').forEach(row => {
+      const body = formatBlock(row.querySelector('.commtext'));
+      if (!body) return;
+      comments.push(formatEntry({
+        author: firstText(['.hnuser'], row),
+        depth: parseInt(row.querySelector('td.ind')?.getAttribute('indent') || '0', 10),
+        body
+      }));
+    });
+    
+    const shown = comments.slice(0, CONFIG.MAX_THREAD_COMMENTS);
+    if (shown.length) sections.push('## Comments', ...shown);
+    
+    return {
+      title: normalizeSpace(storyLink?.textContent) || document.title,
+      author: firstText(['.hnuser'], item),
+      // The age title is "2024-01-01T12:00:00 1704110400"
+      publishDate: age.split(' ')[0],
+      content: sections.join('\n\n'),
+      structure: { type: 'discussion', comments: comments.length }
+    };
+  }
+  
+  /**
+   * GitHub issues, pull requests and discussions (classic and React markup)
+   */
+  function extractGitHub() {
+    const commentSelector = '.timeline-comment, [data-testid="comment-viewer-outer-box"], .react-issue-comment';
+    const matches = Array.from(document.querySelectorAll(commentSelector));
+    // Skip comment boxes nested in another matched box
+    const entries = matches.filter(el => !matches.some(other => other !== el && other.contains(el)));
+    if (entries.length === 0) return null;
+    
+    const parsed = entries.map(entry => ({
+      author: firstText(['.author', '[data-testid="avatar-link"]', 'a[data-hovercard-type="user"]'], entry),
+      date: entry.querySelector('relative-time')?.getAttribute('datetime') || '',
+      body: formatBlock(entry.querySelector('.comment-body, [data-testid="markdown-body"], .markdown-body'))
+    })).filter(entry => entry.body);
+    
+    if (parsed.length === 0) return null;
+    
+    const [opening, ...replies] = parsed;
+    const state = firstText(['.gh-header-meta .State', '[data-testid="header-state"]']);
+    const labels = Array.from(document.querySelectorAll('.js-issue-labels .IssueLabel, [data-testid="issue-labels"] a'))
+      .map(label => normalizeSpace(label.textContent))
+      .filter(Boolean);
+    
+    const sections = [];
+    if (state) sections.push(`State: ${state}`);
+    if (labels.length) sections.push(`Labels: ${labels.join(', ')}`);
+    sections.push('## Description', opening.body);
+    
+    const shown = replies.slice(0, CONFIG.MAX_THREAD_COMMENTS);
+    if (shown.length) {
+      sections.push('## Comments', ...shown.map(reply => formatEntry({
+        author: reply.author,
+        meta: reply.date ? reply.date.split('T')[0] : '',
+        body: reply.body
+      })));
+    }
+    
+    const type = location.pathname.includes('/pull/') ? 'pull-request'
+      : location.pathname.includes('/discussions/') ? 'discussion'
+      : 'issue';
+    
+    return {
+      title: firstText(['.js-issue-title', 'bdi.markdown-title', '[data-testid="issue-title"]', '.gh-header-title']),
+      author: opening.author,
+      publishDate: opening.date,
+      tags: labels,
+      content: sections.join('\n\n'),
+      structure: { type, comments: replies.length }
+    };
+  }
+  
+  /**
+   * Stack Overflow and other Stack Exchange Q&A pages
+   */
+  function extractStackExchange() {
+    const question = document.querySelector('#question');
+    if (!question) return null;
+    
+    const getAuthor = (post) => {
+      const names = post.querySelectorAll('.post-signature .user-details [itemprop="name"], .post-signature .user-details a');
+      // With edits there are two signatures; the owner's comes last
+      return normalizeSpace(names[names.length - 1]?.textContent);
+    };
+    
+    const votes = firstText(['.js-vote-count'], question);
+    const tags = Array.from(question.querySelectorAll('.post-tag'))
+      .map(tag => normalizeSpace(tag.textContent))
+      .filter(Boolean);
+    
+    const sections = [];
+    if (votes) sections.push(`Votes: ${votes}`);
+    if (tags.length) sections.push(`Tags: ${tags.join(', ')}`);
+    sections.push('## Question', formatBlock(question.querySelector('.js-post-body, .s-prose')));
+    
+    const answers = Array.from(document.querySelectorAll('#answers .answer'))
+      .map(answer => ({
+        author: getAuthor(answer),
+        score: parseInt(answer.getAttribute('data-score') || firstText(['.js-vote-count'], answer) || '0', 10),
+        accepted: answer.classList.contains('accepted-answer') || answer.matches('[itemprop="acceptedAnswer"]'),
+        body: formatBlock(answer.querySelector('.js-post-body, .s-prose'))
+      }))
+      .filter(answer => answer.body)
+      // Accepted answer first, then by score
+      .sort((a, b) => (b.accepted - a.accepted) || (b.score - a.score));
+    
+    answers.slice(0, CONFIG.MAX_ANSWERS).forEach(answer => {
+      const meta = [answer.accepted ? '✓ accepted' : '', `${answer.score} votes`].filter(Boolean).join(', ');
+      sections.push(`## Answer (${meta})`, formatEntry({ author: answer.author, body: answer.body }));
+    });
+    
+    return {
+      title: firstText(['#question-header h1', 'h1[itemprop="name"]']),
+      author: getAuthor(question),
+      publishDate: question.querySelector('time[itemprop="dateCreated"]')?.getAttribute('datetime') ||
+                   question.querySelector('.user-action-time .relativetime')?.getAttribute('title') || '',
+      tags,
+      content: sections.join('\n\n'),
+      structure: { type: 'qa', answers: answers.length }
+    };
+  }
+  
+  /**
+   * Wikipedia articles (body text up to the reference sections)
+   */
+  function extractWikipedia() {
+    const body = document.querySelector('#mw-content-text .mw-parser-output');
+    if (!body) return null;
+    
+    const clone = body.cloneNode(true);
+    const junk = [
+      '.mw-editsection', 'sup.reference', '.reference', '.reflist', '.references',
+      '.navbox', '.vertical-navbox', '.infobox', '.sidebar', '.metadata', '.ambox',
+      '.hatnote', '.shortdescription', '#toc', '.toc', '.thumb', 'figure',
+      '.mw-empty-elt', 'style', '.noprint'
+    ];
+    junk.forEach(selector => clone.querySelectorAll(selector).forEach(el => el.remove()));
+    
+    // Stop at the first reference-type section
+    const stopHeadings = ['references', 'notes', 'see also', 'external links', 'further reading',
+                          'bibliography', 'sources', 'citations', 'footnotes'];
+    const kept = document.createElement('div');
+    const sectionTitles = [];
+    
+    for (const child of Array.from(clone.children)) {
+      const heading = child.matches('h2, h3, h4') ? child : child.querySelector(':scope > h2, :scope > h3, :scope > h4');
+      if (heading) {
+        const title = normalizeSpace(heading.textContent);
+        if (heading.tagName === 'H2' && stopHeadings.includes(title.toLowerCase())) break;
+        sectionTitles.push(title);
+      }
+      kept.appendChild(child);
+    }
+    
+    const lastModified = normalizeSpace(document.querySelector('#footer-info-lastmod')?.textContent);
+    
+    return {
+      title: firstText(['#firstHeading']),
+      author: 'Wikipedia contributors',
+      modifiedDate: lastModified,
+      content: formatBlock(kept),
+      structure: { type: 'encyclopedia', sections: sectionTitles }
+    };
+  }
+  
+  /**
+   * Site adapter registry
+   * Each adapter matches on hostname (and optionally path) and returns
+   * { title, author, publishDate, modifiedDate, tags, content, structure },
+   * or null to fall back to the generic pipeline. Add new sites here.
+   */
+  const SITE_ADAPTERS = [
+    {
+      name: 'reddit',
+      hosts: /(^|\.)reddit\.com$/,
+      paths: /\/comments\//,
+      extract: extractReddit
+    },
+    {
+      name: 'hackernews',
+      hosts: /^news\.ycombinator\.com$/,
+      paths: /^\/item/,
+      extract: extractHackerNews
+    },
+    {
+      name: 'github',
+      hosts: /^github\.com$/,
+      paths: /^\/[^/]+\/[^/]+\/(issues|pull|discussions)\/\d+/,
+      extract: extractGitHub
+    },
+    {
+      name: 'stackexchange',
+      hosts: /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net)$/,
+      paths: /^\/questions\/\d+/,
+      extract: extractStackExchange
+    },
+    {
+      name: 'wikipedia',
+      hosts: /(^|\.)wikipedia\.org$/,
+      paths: /^\/wiki\//,
+      extract: extractWikipedia
+    }
+  ];
+  
+  /**
+   * Find the adapter for the current page
+   */
+  function findSiteAdapter() {
+    return SITE_ADAPTERS.find(adapter =>
+      adapter.hosts.test(location.hostname) &&
+      (!adapter.paths || adapter.paths.test(location.pathname))
+    ) || null;
+  }
+  
+  /**
+   * Run a site adapter, returning null if it fails or finds nothing
+   */
+  function runSiteAdapter(adapter) {
+    try {
+      const siteResult = adapter.extract();
+      return siteResult?.content ? siteResult : null;
+    } catch (error) {
+      // Adapter failed (site markup changed), use generic extraction
+      return null;
+    }
+  }
+
+  // ============= USER RULE EXTRACTION =============
+  
+  /**
+   * Remove elements matching the rule's exclude selectors
+   */
+  function removeExcluded(root) {
+    (SITE_RULE?.exclude || []).forEach(selector => {
+      try {
+        root.querySelectorAll(selector).forEach(el => el.remove());
+      } catch (e) {
+        // Ignore invalid selectors
+      }
+    });
+  }
+  
+  /**
+   * Read a rule's title/author/date selector
+   * Meta tags use their content attribute, dates prefer a datetime attribute
+   */
+  function queryRuleField(selector, isDate = false) {
+    if (!selector) return '';
+    
+    try {
+      const el = document.querySelector(selector);
+      if (!el) return '';
+      if (el.tagName === 'META') return (el.getAttribute('content') || '').trim();
+      if (isDate && el.getAttribute('datetime')) return el.getAttribute('datetime');
+      return normalizeSpace(el.textContent);
+    } catch (e) {
+      return '';
+    }
+  }
+  
+  /**
+   * Build content from the rule's include selectors
+   * @returns {{ content: string, matches: number }}
+   */
+  function extractWithRuleIncludes() {
+    const matches = [];
+    SITE_RULE.include.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          if (!matches.includes(el)) matches.push(el);
+        });
+      } catch (e) {
+        // Ignore invalid selectors
+      }
+    });
+    
+    // Outermost elements only, in page order
+    const roots = matches
+      .filter(el => !matches.some(other => other !== el && other.contains(el)))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+    
+    const content = roots
+      .map(el => {
+        const clone = el.cloneNode(true);
+        removeExcluded(clone);
+        return formatBlock(clone);
+      })
+      .filter(Boolean)
+      .join('\n\n');
+    
+    return { content, matches: roots.length };
+  }
+  
+  /**
+   * Light cleanup for already-structured text
+   * (cleanText would merge comment and code lines)
+   */
+  function tidyStructuredText(text) {
+    return text
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // ============= QUALITY DIAGNOSTICS =============
+  
+  // Base confidence per extraction strategy
+  const STRATEGY_CONFIDENCE = {
+    'rule': 0.95,
+    'site-adapter': 0.9,
+    'semantic': 0.8,
+    'structured-data': 0.75,
+    'scoring': 0.6,
+    'fallback': 0.2
+  };
+  
+  // Paywall and cookie wall markers (checked on the page and in the extracted text)
+  const PAYWALL_SELECTORS = [
+    '[class*="paywall"]', '[id*="paywall"]', '[class*="piano"]', '[id*="piano"]',
+    '[class*="subscriber-only"]', '[class*="premium-content"]', '[class*="meteredContent"]'
+  ];
+  const PAYWALL_TEXT = /(subscribe|sign in|log in|register) (now )?to (continue|keep) reading|already a subscriber|this (article|story|content) is (for|available to) (subscribers|members)|to read the full (article|story)/i;
+  const COOKIE_WALL_SELECTORS = [
+    '#onetrust-banner-sdk', '#onetrust-consent-sdk', '#CybotCookiebotDialog', '.fc-consent-root',
+    '#usercentrics-root', '.qc-cmp2-container', '#didomi-host', '[id*="cookie-banner"]', '[class*="cookie-consent"]'
+  ];
+  const COOKIE_TEXT = /\b(cookies?|consent|gdpr|privacy settings|accept all|reject all|manage (options|preferences))\b/gi;
+  
+  /**
+   * Short CSS path to an element, e.g. "body > div.wrap > article#post"
+   */
+  function getSelectorPath(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current !== document.documentElement) {
+      const tag = current.localName;
+      if (current.id) {
+        parts.unshift(`${tag}#${CSS.escape(current.id)}`);
+        break;
+      }
+      
+      const className = (current.getAttribute('class') || '').trim().split(/\s+/)[0];
+      let part = className ? `${tag}.${CSS.escape(className)}` : tag;
+      
+      // Disambiguate between same-tag siblings
+      const parent = current.parentElement;
+      if (parent && current !== document.body) {
+        const sameTag = Array.from(parent.children).filter(child => child.localName === tag);
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+      
+      parts.unshift(part);
+      current = parent;
+    }
+    
+    return parts.join(' > ');
+  }
+  
+  /**
+   * Link density of an element, from scoring stats when available
+   */
+  function measureLinkDensity(element, stats) {
+    const scored = stats?.get(element);
+    if (scored) return getLinkDensity(scored);
+    
+    const textLength = (element.textContent || '').length;
+    if (textLength === 0) return 1;
+    
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      linkLength += (link.textContent || '').length;
+    });
+    return linkLength / textLength;
+  }
+  
+  /**
+   * Check whether any element matching the selectors is shown
+   */
+  function hasVisibleMatch(selectors) {
+    return selectors.some(selector => {
+      const el = document.querySelector(selector);
+      return el && !isHiddenElement(el) && (el.textContent || '').trim().length > 0;
+    });
+  }
+  
+  /**
+   * Problems the user should know about before summarizing
+   * @returns {Array<string>} Warning codes: 'paywall', 'cookie-wall', 'short-content', 'no-main-content'
+   */
+  function detectWarnings(content, strategy) {
+    const warnings = [];
+    const isShort = content.length < CONFIG.SHORT_CONTENT_LENGTH;
+    
+    const accessibleForFree = String(result.structuredData?.isAccessibleForFree ?? '').toLowerCase();
+    if (accessibleForFree === 'false' || PAYWALL_TEXT.test(content.substring(0, 5000)) ||
+        (isShort && hasVisibleMatch(PAYWALL_SELECTORS))) {
+      warnings.push('paywall');
+    }
+    
+    // A consent dialog only matters when it crowds out the article
+    const cookieMentions = (content.substring(0, 5000).match(COOKIE_TEXT) || []).length;
+    if ((isShort && cookieMentions >= 2) || (cookieMentions >= 5 && hasVisibleMatch(COOKIE_WALL_SELECTORS))) {
+      warnings.push('cookie-wall');
+    }
+    
+    if (isShort) {
+      warnings.push('short-content');
+    }
+    
+    if (strategy === 'fallback') {
+      warnings.push('no-main-content');
+    }
+    
+    return warnings;
+  }
+  
+  /**
+   * Confidence that the content is the page's main text (0-1)
+   */
+  function scoreConfidence(diagnostics, content) {
+    let confidence = STRATEGY_CONFIDENCE[diagnostics.strategy] ?? 0.5;
+    
+    // Ramp up to full confidence at a few paragraphs of text
+    confidence *= Math.min(1, content.length / (CONFIG.SHORT_CONTENT_LENGTH * 2));
+    
+    if (diagnostics.linkDensity !== null) {
+      confidence *= 1 - diagnostics.linkDensity;
+    }
+    if (diagnostics.warnings.includes('paywall') || diagnostics.warnings.includes('cookie-wall')) {
+      confidence *= 0.5;
+    }
+    
+    return Math.round(confidence * 100) / 100;
+  }
+  
+  // ============= PAGINATION =============
+  
+  // Containers of "1 2 3 Next" style page navigation
+  const PAGER_SELECTORS = [
+    '[class*="pagination"]', '[class*="pager"]', '[class*="page-numbers"]', '[class*="paging"]',
+    'nav[aria-label*="pag" i]'
+  ];
+  const NEXT_LINK_TEXT = /^(next( page)?|continue( reading)?|weiter|suivant|siguiente|›|»|→|>)\s*[›»→>]?$/i;
+  
+  /**
+   * Normalize a link into a same-site page URL different from this page
+   * @returns {string} URL or ''
+   */
+  function toNextPageUrl(href) {
+    if (!href) return '';
+    try {
+      const url = new URL(href, location.href);
+      url.hash = '';
+      const current = new URL(location.href);
+      current.hash = '';
+      if (!/^https?:$/.test(url.protocol) || url.hostname !== location.hostname || url.href === current.href) {
+        return '';
+      }
+      return url.href;
+    } catch (e) {
+      return '';
+    }
+  }
+  
+  /**
+   * Find the next page of a paginated article
+   * rel="next" first, then the "Next" or current+1 link in page navigation
+   */
+  function findNextPageUrl() {
+    const relNext = document.querySelector('link[rel~="next"][href], a[rel~="next"][href]');
+    const fromRel = toNextPageUrl(relNext?.getAttribute('href'));
+    if (fromRel) return fromRel;
+    
+    for (const selector of PAGER_SELECTORS) {
+      for (const pager of document.querySelectorAll(selector)) {
+        const links = Array.from(pager.querySelectorAll('a[href]'));
+        
+        const next = links.find(link => NEXT_LINK_TEXT.test((link.textContent || '').trim()) ||
+          /\bnext\b/i.test(link.getAttribute('aria-label') || ''));
+        const fromText = toNextPageUrl(next?.getAttribute('href'));
+        if (fromText) return fromText;
+        
+        // Numbered pages: the link right after the current one
+        const current = pager.querySelector('[aria-current="page"], .current, .active, [class*="current"]');
+        const currentNumber = parseInt((current?.textContent || '').trim(), 10);
+        if (currentNumber) {
+          const following = links.find(link => (link.textContent || '').trim() === String(currentNumber + 1));
+          const fromNumber = toNextPageUrl(following?.getAttribute('href'));
+          if (fromNumber) return fromNumber;
+        }
+      }
+    }
+    
+    return '';
+  }
+  
+  // ============= MEDIA TRANSCRIPTS =============
+  
+  const VIMEO_EMBED = /player\.vimeo\.com\/video\/(\d+)/;
+  const VIMEO_PAGE = /^https?:\/\/(?:www\.)?vimeo\.com\/(?:.*\/)?(\d+)(?:[/?#]|$)/;
+  const YOUTUBE_EMBED = /(?:youtube(?:-nocookie)?\.com\/embed\/|youtube\.com\/watch\?v=)([\w-]{11})/;
+  const SUBTITLE_FILE = /\.(vtt|srt)(?:[?#]|$)/i;
+  const TRANSCRIPT_LINK_TEXT = /\btranscri(pt|ption)s?\b/i;
+  
+  /**
+   * Absolute http(s) URL for an attribute value
+   * @returns {string} URL or ''
+   */
+  function toAbsoluteUrl(value) {
+    if (!value) return '';
+    try {
+      const url = new URL(value, location.href);
+      return /^https?:$/.test(url.protocol) ? url.href : '';
+    } catch (e) {
+      return '';
+    }
+  }
+  
+  /**
+   * Subtitle/caption <track> files of a media element
+   */
+  function getTextTracks(media) {
+    return Array.from(media.querySelectorAll('track[src]'))
+      .filter(track => ['', 'subtitles', 'captions'].includes((track.getAttribute('kind') || '').toLowerCase()))
+      .map(track => ({
+        url: toAbsoluteUrl(track.getAttribute('src')),
+        label: track.getAttribute('label') || '',
+        languageCode: (track.getAttribute('srclang') || '').toLowerCase(),
+        kind: (track.getAttribute('kind') || 'subtitles').toLowerCase(),
+        isDefault: track.hasAttribute('default')
+      }))
+      .filter(track => track.url);
+  }
+  
+  /**
+   * Links to a transcript page or subtitle file ("Transcript", "Read the transcript", talk.vtt)
+   */
+  function findTranscriptLinks() {
+    const seen = new Set([location.href.split('#')[0]]);
+    const links = [];
+    
+    for (const link of document.querySelectorAll('a[href]')) {
+      const url = toAbsoluteUrl(link.getAttribute('href'));
+      const text = normalizeSpace(link.textContent || link.getAttribute('aria-label') || '');
+      if (!url || seen.has(url.split('#')[0])) continue;
+      if (!SUBTITLE_FILE.test(url) && !TRANSCRIPT_LINK_TEXT.test(text) && !/\/transcript\b/i.test(url)) continue;
+      
+      seen.add(url.split('#')[0]);
+      links.push({ url, label: text.substring(0, 80) });
+      if (links.length >= CONFIG.MAX_TRANSCRIPT_LINKS) break;
+    }
+    
+    return links;
+  }
+  
+  /**
+   * Whether a player belongs to the page rather than being a side clip or ad
+   */
+  function isFeaturedMedia(element) {
+    return !mainElement || mainElement.contains(element) || element.contains(mainElement) ||
+      element.clientWidth >= CONFIG.MIN_PLAYER_WIDTH;
+  }
+  
+  /**
+   * Find the page's main video or audio and where its transcript can come from
+   * Checks <video>/<audio> with <track> files, Vimeo and YouTube embeds, and
+   * transcript links; pages without any playable media return null.
+   */
+  function findMedia() {
+    const elements = Array.from(document.querySelectorAll('video, audio'));
+    // Prefer media with caption tracks, then the largest featured player
+    const element = elements.find(media => getTextTracks(media).length > 0) ||
+      elements.filter(isFeaturedMedia)
+        .sort((a, b) => (b.clientWidth * b.clientHeight) - (a.clientWidth * a.clientHeight))[0];
+    
+    const iframes = Array.from(document.querySelectorAll('iframe[src]'))
+      .filter(isFeaturedMedia)
+      .map(frame => frame.getAttribute('src'));
+    const vimeoId = VIMEO_PAGE.exec(location.href)?.[1] ||
+      iframes.map(src => VIMEO_EMBED.exec(src)?.[1]).find(Boolean);
+    const youtubeId = iframes.map(src => YOUTUBE_EMBED.exec(src)?.[1]).find(Boolean);
+    
+    if (!element && !vimeoId && !youtubeId) return null;
+    
+    const tracks = element ? getTextTracks(element) : [];
+    const provider = tracks.length || !(vimeoId || youtubeId) ? 'html5' : (vimeoId ? 'vimeo' : 'youtube');
+    
+    return {
+      kind: element?.tagName === 'AUDIO' && provider === 'html5' ? 'audio' : 'video',
+      provider,
+      id: provider === 'vimeo' ? vimeoId : (provider === 'youtube' ? youtubeId : ''),
+      pageUrl: location.href.split('#')[0],
+      src: toAbsoluteUrl(element?.currentSrc || element?.getAttribute('src') || element?.querySelector('source[src]')?.getAttribute('src')),
+      title: element?.getAttribute('title') || element?.getAttribute('aria-label') || '',
+      tracks,
+      transcriptLinks: findTranscriptLinks()
+    };
+  }
+  
+  // ============= SECTION OUTLINE =============
+  
+  /**
+   * Build a heading tree from the Markdown headings in the extracted text
+   * Each section holds the text up to the next heading; text before the
+   * first heading becomes an untitled level-0 section. ids follow page order.
+   */
+  function buildOutline(content) {
+    const sections = [];
+    let current = { level: 0, title: '', lines: [] };
+    let fence = '';
+    
+    for (const line of content.split('\n')) {
+      // "# comments" inside code blocks are not headings
+      const fenceMatch = /^(`{3,})/.exec(line);
+      if (fenceMatch && (!fence || line.trim() === fence)) {
+        fence = fence ? '' : fenceMatch[1];
+      }
+      
+      const heading = !fence && /^(#{1,6})\s+(.+)$/.exec(line);
+      if (heading) {
+        sections.push(current);
+        current = { level: heading[1].length, title: heading[2].trim(), lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
+    
+    if (sections.filter(section => section.title).length < 2) return [];
+    
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    let nextId = 0;
+    
+    sections.forEach(section => {
+      const text = section.lines.join('\n').trim();
+      if (!section.title && !text) return;
+      
+      const node = { id: nextId++, level: section.level, title: section.title, text, children: [] };
+      while (stack.length > 1 && stack[stack.length - 1].level >= node.level) stack.pop();
+      stack[stack.length - 1].children.push(node);
+      if (node.title) stack.push(node);
+    });
+    
+    return root.children;
+  }
+  
+  // ============= LEARNED BOILERPLATE =============
+  
+  // Fingerprints the side panel has seen on many pages of this domain
+  const LEARNED_BOILERPLATE = new Set(EXTRACT_OPTIONS.boilerplate || []);
+  
+  /**
+   * Fingerprint a paragraph (FNV-1a over its normalized text)
+   * Case, spacing and numbers are ignored so "12 comments" matches "3 comments"
+   */
+  function fingerprintBlock(text) {
+    const normalized = text.toLowerCase().replace(/\d+/g, '0').replace(/\s+/g, ' ').trim();
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * Fingerprint the paragraphs of the content and drop the learned ones
+   * Code blocks and short lines (headings, captions) are left alone.
+   */
+  function removeLearnedBoilerplate(content) {
+    const fingerprints = new Map();
+    let removed = 0;
+    let inFence = false;
+    
+    const kept = content.split('\n\n').filter(block => {
+      // Code blocks may contain blank lines; every part of one is kept
+      const wasInFence = inFence;
+      if ((block.match(/^`{3,}/gm) || []).length % 2 === 1) inFence = !inFence;
+      
+      const text = block.trim();
+      if (wasInFence || inFence || text.startsWith('```') || text.length < CONFIG.MIN_BOILERPLATE_BLOCK_LENGTH) return true;
+      
+      const hash = fingerprintBlock(text);
+      if (fingerprints.size < CONFIG.MAX_BLOCK_FINGERPRINTS && !fingerprints.has(hash)) {
+        fingerprints.set(hash, { hash, sample: text.substring(0, 160) });
+      }
+      if (!LEARNED_BOILERPLATE.has(hash)) return true;
+      
+      removed++;
+      return false;
+    });
+    
+    return { content: kept.join('\n\n'), removed, fingerprints: [...fingerprints.values()] };
+  }
+  
   // ============= MAIN CONTENT EXTRACTION =============
   
-  // Starting main content extraction
-  const mainElement = findMainContent();
+  let scoring = null; // Set when the generic heuristics run
+  let strategy = 'fallback';
+  let mainElement = null;
   
-  if (mainElement) {
-    // Main content element found, extracting text
-    result.content = extractStructuredText(mainElement);
+  // Precedence: user rule include selectors, then site adapter, then generic heuristics
+  const ruleResult = SITE_RULE?.include?.length ? extractWithRuleIncludes() : null;
+  const siteAdapter = ruleResult?.content ? null : findSiteAdapter();
+  const siteResult = siteAdapter ? runSiteAdapter(siteAdapter) : null;
+  
+  if (ruleResult?.content) {
+    strategy = 'rule';
+    result.content = tidyStructuredText(ruleResult.content);
+  } else if (siteResult) {
+    strategy = 'site-adapter';
+    // Site adapter matched: keep its fields, fall back to metadata for the rest
+    result.siteAdapter = siteAdapter.name;
+    result.structure = siteResult.structure || null;
+    ['title', 'author', 'publishDate', 'modifiedDate'].forEach(field => {
+      if (siteResult[field]) result[field] = siteResult[field];
+    });
+    if (siteResult.tags?.length) result.tags = siteResult.tags.slice(0, 10);
+    
+    result.content = tidyStructuredText(siteResult.content);
   } else {
-    // No main content element found, using fallback
-    // Fallback: Get all visible text (risky but better than nothing)
-    result.content = document.body.innerText || document.body.textContent || '';
+    // Starting main content extraction
+    scoring = scorePage();
+    const found = findMainContent(scoring);
+    const articleBody = typeof result.structuredData?.articleBody === 'string'
+      ? cleanText(result.structuredData.articleBody)
+      : '';
+    
+    if (found) {
+      // Main content element found, extracting text
+      mainElement = found.element;
+      strategy = found.strategy;
+      result.content = extractStructuredText(mainElement);
+    } else {
+      // No main content element found, using fallback
+      // Fallback: Get all visible text (risky but better than nothing)
+      result.content = document.body.innerText || document.body.textContent || '';
+    }
+    
+    // Clean and normalize content
+    result.content = cleanText(result.content);
+    
+    // JSON-LD articleBody wins when the page only shows part of the article
+    if (articleBody.length > result.content.length) {
+      strategy = 'structured-data';
+      mainElement = null;
+      result.content = articleBody;
+    }
+  }
+  
+  // Threads repeat short replies by design, so only articles are fingerprinted
+  let boilerplateRemoved = 0;
+  if (strategy !== 'site-adapter') {
+    const learned = removeLearnedBoilerplate(result.content);
+    result.content = learned.content;
+    result.blockFingerprints = learned.fingerprints;
+    boilerplateRemoved = learned.removed;
   }
-
-  // Clean and normalize content
-  result.content = cleanText(result.content);
+  
+  // Only articles are stitched; threads and whole-page fallbacks paginate listings, not text
+  if (strategy !== 'site-adapter' && strategy !== 'fallback') {
+    result.nextPageUrl = findNextPageUrl();
+  }
+  
+  // Long content is chunked at summarization time; beyond this it is cut
+  const truncated = result.content.length > CONFIG.MAX_CONTENT_LENGTH;
+  if (truncated) {
+    result.content = result.content.substring(0, CONFIG.MAX_CONTENT_LENGTH);
+  }
+  
+  result.outline = buildOutline(result.content);
+  result.media = findMedia();
+  
+  if (SITE_RULE) {
+    result.title = queryRuleField(SITE_RULE.title) || result.title;
+    result.author = queryRuleField(SITE_RULE.author) || result.author;
+    result.publishDate = queryRuleField(SITE_RULE.date, true) || result.publishDate;
+    result.siteRule = {
+      domain: SITE_RULE.domain,
+      includeMatches: ruleResult ? ruleResult.matches : null
+    };
+  }
+  
+  // Timing: time spent waiting for the page vs extracting from it
+  const finishedAt = performance.now();
+  result.timing = {
+    settleMs: Math.round(settledAt - startedAt),
+    extractMs: Math.round(finishedAt - settledAt),
+    totalMs: Math.round(finishedAt - startedAt),
+    nodesScored: scoring?.nodesScored || 0,
+    budgetExceeded: scoring?.budgetExceeded || false
+  };
   
   // Calculate statistics
   result.wordCount = result.content.split(/\s+/).filter(w => w.length > 0).length;
@@ -690,19 +1921,16 @@
 
   // ============= QUALITY VALIDATION =============
   
-  // Validate that we extracted meaningful content
-  const hasValidContent = result.content.length >= CONFIG.MIN_CONTENT_LENGTH;
-  const hasTitle = result.title && result.title !== 'Web Page';
-  
-  if (!hasValidContent) {
-    // Content extraction may be incomplete - content too short
-  } else {
-    // Content extraction successful
-  }
-  
-  if (!hasTitle) {
-    // Could not extract a meaningful title
-  }
+  result.diagnostics = {
+    strategy,
+    selectorPath: mainElement ? getSelectorPath(mainElement) : '',
+    linkDensity: mainElement ? Math.round(measureLinkDensity(mainElement, scoring?.stats) * 100) / 100 : null,
+    confidence: 0,
+    truncated,
+    boilerplateRemoved,
+    warnings: detectWarnings(result.content, strategy)
+  };
+  result.diagnostics.confidence = scoreConfidence(result.diagnostics, result.content);
 
   // Return the extracted content
   return result;
@@ -0,0 +1,351 @@
+// Interactive content picker
+// Highlights block elements under the cursor; click to include a region,
+// Shift+click to exclude one. Resolves with the combined text when the
+// user clicks Done (or { cancelled: true } on Cancel/Esc).
+
+(async function() {
+
+  // ============= CONFIGURATION =============
+
+  const CONFIG = {
+    ROOT_ID: 'snapsummary-picker',
+    PICK_ATTR: 'data-snapsummary-pick',
+    MAX_CONTENT_LENGTH: 200000,
+    // Elements that can be picked as a whole
+    BLOCK_TAGS: new Set([
+      'article', 'section', 'main', 'div', 'p', 'ul', 'ol', 'li', 'dl', 'table',
+      'pre', 'blockquote', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'aside',
+      'header', 'footer', 'td', 'dd'
+    ])
+  };
+
+  // A picker is already running in this tab: reuse it
+  if (globalThis.__snapsummaryPicker) {
+    return globalThis.__snapsummaryPicker.promise;
+  }
+
+  // ============= PAGE STYLES =============
+
+  const pageStyle = document.createElement('style');
+  pageStyle.textContent = `
+    [${CONFIG.PICK_ATTR}="include"] {
+      outline: 3px solid #10b981 !important;
+      outline-offset: 2px !important;
+      background-color: rgba(16, 185, 129, 0.08) !important;
+    }
+    [${CONFIG.PICK_ATTR}="exclude"] {
+      outline: 3px dashed #ef4444 !important;
+      outline-offset: 2px !important;
+      background-color: rgba(239, 68, 68, 0.08) !important;
+    }
+  `;
+  document.documentElement.appendChild(pageStyle);
+
+  // ============= OVERLAY =============
+
+  // Shadow DOM keeps page styles away from the toolbar
+  const host = document.createElement('div');
+  host.id = CONFIG.ROOT_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  shadow.innerHTML = `
+    <style>
+      .highlight {
+        position: fixed;
+        pointer-events: none;
+        z-index: 2147483646;
+        border: 2px solid #667eea;
+        background: rgba(102, 126, 234, 0.12);
+        border-radius: 3px;
+        transition: all 0.05s ease-out;
+        display: none;
+      }
+      .toolbar {
+        position: fixed;
+        left: 50%;
+        bottom: 16px;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        padding: 10px 14px;
+        background: #1f2937;
+        color: white;
+        font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        border-radius: 10px;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+      }
+      .hint {
+        color: #d1d5db;
+        font-size: 12px;
+      }
+      .count {
+        font-weight: 600;
+        white-space: nowrap;
+      }
+      button {
+        border: none;
+        border-radius: 6px;
+        padding: 6px 12px;
+        font: inherit;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      .done {
+        background: #667eea;
+        color: white;
+      }
+      .done:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+      .secondary {
+        background: #374151;
+        color: white;
+      }
+    </style>
+    <div class="highlight"></div>
+    <div class="toolbar">
+      <span class="hint">Click to include · Shift+click to exclude · ↑/↓ widen/narrow · Esc to cancel</span>
+      <span class="count"></span>
+      <button class="secondary clear">Clear</button>
+      <button class="secondary cancel">Cancel</button>
+      <button class="done" disabled>Done</button>
+    </div>
+  `;
+  document.documentElement.appendChild(host);
+
+  const highlight = shadow.querySelector('.highlight');
+  const countLabel = shadow.querySelector('.count');
+  const doneButton = shadow.querySelector('.done');
+
+  // ============= STATE =============
+
+  let hovered = null;
+  // Elements the user narrowed away from with ↑ (for ↓)
+  const widenedFrom = [];
+
+  // ============= UTILITY FUNCTIONS =============
+
+  /**
+   * Check whether an element belongs to the picker itself
+   */
+  function isPickerElement(el) {
+    return el === host || host.contains(el);
+  }
+
+  /**
+   * Nearest pickable block for a hovered element
+   */
+  function findBlock(el) {
+    let current = el;
+    while (current && current !== document.body && current !== document.documentElement) {
+      if (CONFIG.BLOCK_TAGS.has(current.tagName.toLowerCase()) && current.textContent.trim()) {
+        return current;
+      }
+      current = current.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Move the hover box over an element
+   */
+  function showHighlight(el) {
+    hovered = el;
+    if (!el) {
+      highlight.style.display = 'none';
+      return;
+    }
+
+    const rect = el.getBoundingClientRect();
+    Object.assign(highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Included elements, outermost only, in page order
+   */
+  function getIncludedRoots() {
+    const included = Array.from(document.querySelectorAll(`[${CONFIG.PICK_ATTR}="include"]`));
+    return included.filter(el => !included.some(other => other !== el && other.contains(el)));
+  }
+
+  /**
+   * Update the toolbar counters
+   */
+  function updateToolbar() {
+    const included = document.querySelectorAll(`[${CONFIG.PICK_ATTR}="include"]`).length;
+    const excluded = document.querySelectorAll(`[${CONFIG.PICK_ATTR}="exclude"]`).length;
+
+    countLabel.textContent = `${included} included${excluded ? `, ${excluded} excluded` : ''}`;
+    doneButton.disabled = included === 0;
+  }
+
+  /**
+   * Toggle an element's include/exclude mark
+   */
+  function toggleMark(el, mark) {
+    if (el.getAttribute(CONFIG.PICK_ATTR) === mark) {
+      el.removeAttribute(CONFIG.PICK_ATTR);
+    } else {
+      // A region is either included or excluded, and marks inside an included region are redundant
+      if (mark === 'include') {
+        el.querySelectorAll(`[${CONFIG.PICK_ATTR}="include"]`).forEach(child => child.removeAttribute(CONFIG.PICK_ATTR));
+      }
+      el.setAttribute(CONFIG.PICK_ATTR, mark);
+    }
+    updateToolbar();
+  }
+
+  /**
+   * Combined text of the included regions without the excluded ones
+   * innerText keeps the page's line breaks; excluded regions are hidden while reading
+   */
+  function collectText() {
+    const hideExcluded = document.createElement('style');
+    hideExcluded.textContent = `[${CONFIG.PICK_ATTR}="exclude"] { display: none !important; }`;
+    document.documentElement.appendChild(hideExcluded);
+
+    try {
+      return getIncludedRoots()
+        .map(el => (el.innerText || '').replace(/\n{3,}/g, '\n\n').trim())
+        .filter(Boolean)
+        .join('\n\n')
+        .substring(0, CONFIG.MAX_CONTENT_LENGTH);
+    } finally {
+      hideExcluded.remove();
+    }
+  }
+
+  // ============= EVENT HANDLERS =============
+
+  /**
+   * Highlight the block under the cursor
+   */
+  function handleMouseMove(e) {
+    if (isPickerElement(e.target)) {
+      showHighlight(null);
+      return;
+    }
+    const block = findBlock(e.target);
+    // Keep a widened (↑) highlight while the cursor stays inside it
+    if (widenedFrom.length && block && hovered?.contains(block)) return;
+    if (block !== hovered) {
+      widenedFrom.length = 0;
+      showHighlight(block);
+    }
+  }
+
+  /**
+   * Include (or Shift: exclude) the highlighted block
+   */
+  function handleClick(e) {
+    if (isPickerElement(e.target)) return;
+
+    // Don't follow links or trigger page handlers while picking
+    e.preventDefault();
+    e.stopPropagation();
+
+    const block = hovered || findBlock(e.target);
+    if (block) toggleMark(block, e.shiftKey ? 'exclude' : 'include');
+  }
+
+  /**
+   * Swallow page mouse events while picking
+   */
+  function blockEvent(e) {
+    if (isPickerElement(e.target)) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * Esc cancels; ↑/↓ widen or narrow the highlight
+   */
+  function handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      finish({ cancelled: true });
+    } else if (e.key === 'ArrowUp' && hovered) {
+      const parent = findBlock(hovered.parentElement);
+      if (parent) {
+        e.preventDefault();
+        widenedFrom.push(hovered);
+        showHighlight(parent);
+      }
+    } else if (e.key === 'ArrowDown' && widenedFrom.length) {
+      e.preventDefault();
+      showHighlight(widenedFrom.pop());
+    }
+  }
+
+  /**
+   * Keep the hover box aligned while the page scrolls
+   */
+  function handleScroll() {
+    if (hovered) showHighlight(hovered);
+  }
+
+  // ============= LIFECYCLE =============
+
+  let resolvePick;
+  const promise = new Promise(resolve => { resolvePick = resolve; });
+
+  /**
+   * Remove the overlay and marks, then resolve the pick
+   */
+  function finish(outcome) {
+    const content = outcome.cancelled ? '' : collectText();
+    const regions = outcome.cancelled ? 0 : getIncludedRoots().length;
+
+    document.removeEventListener('mousemove', handleMouseMove, true);
+    document.removeEventListener('click', handleClick, true);
+    document.removeEventListener('mousedown', blockEvent, true);
+    document.removeEventListener('mouseup', blockEvent, true);
+    document.removeEventListener('keydown', handleKeyDown, true);
+    window.removeEventListener('scroll', handleScroll, true);
+
+    document.querySelectorAll(`[${CONFIG.PICK_ATTR}]`).forEach(el => el.removeAttribute(CONFIG.PICK_ATTR));
+    pageStyle.remove();
+    host.remove();
+    delete globalThis.__snapsummaryPicker;
+
+    resolvePick(outcome.cancelled ? { cancelled: true } : {
+      cancelled: false,
+      url: location.href,
+      title: document.title,
+      content,
+      regions
+    });
+  }
+
+  document.addEventListener('mousemove', handleMouseMove, true);
+  document.addEventListener('click', handleClick, true);
+  document.addEventListener('mousedown', blockEvent, true);
+  document.addEventListener('mouseup', blockEvent, true);
+  document.addEventListener('keydown', handleKeyDown, true);
+  window.addEventListener('scroll', handleScroll, true);
+
+  shadow.querySelector('.done').addEventListener('click', () => finish({ cancelled: false }));
+  shadow.querySelector('.cancel').addEventListener('click', () => finish({ cancelled: true }));
+  shadow.querySelector('.clear').addEventListener('click', () => {
+    document.querySelectorAll(`[${CONFIG.PICK_ATTR}]`).forEach(el => el.removeAttribute(CONFIG.PICK_ATTR));
+    updateToolbar();
+  });
+
+  // The side panel can cancel a running picker (same isolated world)
+  globalThis.__snapsummaryPicker = {
+    promise,
+    cancel: () => finish({ cancelled: true })
+  };
+
+  updateToolbar();
+
+  return promise;
+})();
@@ -22,7 +22,7 @@ export default [
         targets: [
           // Core extension files
           {
-            src: ['manifest.json', 'background.js', 'content-extractor.js'],
+            src: ['manifest.json', 'background.js', 'content-extractor.js', 'element-picker.js'],
             dest: 'dist'
           },
           // Static assets
@@ -34,6 +34,15 @@ export default [
           {
             src: ['sidepanel/index.html', 'sidepanel/index.css'],
             dest: 'dist/sidepanel'
+          },
+          // pdf.js worker and character maps (loaded at runtime by the PDF service)
+          {
+            src: 'node_modules/pdfjs-dist/build/pdf.worker.min.mjs',
+            dest: 'dist/sidepanel'
+          },
+          {
+            src: 'node_modules/pdfjs-dist/cmaps/*',
+            dest: 'dist/sidepanel/pdf-cmaps'
           }
         ]
       })
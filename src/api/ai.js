@@ -5,6 +5,8 @@
 /* global LanguageModel, Translator */
 
 import { CONFIG, AI_PROMPTS, ERROR_MESSAGES } from '../config/constants.js';
+import { chunkText } from '../utils/chunking.js';
+import { readTextStream, isAbortError } from '../utils/stream.js';
 
 let session = null;
 
@@ -60,43 +62,205 @@ export function resetSession() {
  * Generate text using AI prompt
  * @param {string} prompt - User prompt
  * @param {object} params - AI parameters
+ * @param {object} options - Request options
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
  * @returns {Promise<string>} Generated text
  */
-export async function generateText(prompt, params = {}) {
+export async function generateText(prompt, params = {}, options = {}) {
   if (!isPromptApiAvailable()) {
     throw new Error(ERROR_MESSAGES.PROMPT_API_UNAVAILABLE);
   }
   
   try {
     const aiSession = await getSession(params);
-    return await aiSession.prompt(prompt);
+    return await aiSession.prompt(prompt, { signal: options.signal });
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('AI generation failed:', error);
     resetSession();
     throw error;
   }
 }
 
+/**
+ * Generate text using AI prompt, streaming the output
+ * @param {string} prompt - User prompt
+ * @param {object} params - AI parameters
+ * @param {object} options - Request options
+ * @param {Function} options.onChunk - Called with the text generated so far
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<string>} Full generated text
+ */
+export async function generateTextStreaming(prompt, params = {}, options = {}) {
+  if (!isPromptApiAvailable()) {
+    throw new Error(ERROR_MESSAGES.PROMPT_API_UNAVAILABLE);
+  }
+  
+  try {
+    const aiSession = await getSession(params);
+    const stream = aiSession.promptStreaming(prompt, { signal: options.signal });
+    return await readTextStream(stream, options.onChunk);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('AI streaming generation failed:', error);
+    resetSession();
+    throw error;
+  }
+}
+
+/**
+ * Create a throwaway session with the shared session's system prompt
+ * @param {object} params - AI parameters
+ * @returns {Promise<object>} AI session
+ */
+async function createScratchSession(params = {}) {
+  return await LanguageModel.create({
+    initialPrompts: [AI_PROMPTS.SYSTEM],
+    temperature: params.temperature || CONFIG.DEFAULT_TEMPERATURE,
+    topK: params.topK || CONFIG.DEFAULT_TOP_K
+  });
+}
+
+/**
+ * Work out how many characters of content fit in one prompt
+ * The session's remaining input quota, minus the tokens of the prompt around
+ * the content, is converted to characters with a chars-per-token ratio
+ * measured on the content itself. Falls back to CONFIG.CONTENT_LIMIT when
+ * the session cannot report its quota.
+ * @param {object} aiSession - AI session the prompt will be sent to
+ * @param {Function} buildPrompt - (content) => prompt
+ * @param {string} content - Content to be sent (sampled for the ratio)
+ * @returns {Promise<number>} Maximum characters of content per prompt
+ */
+async function getContentBudget(aiSession, buildPrompt, content) {
+  if (!aiSession?.inputQuota || typeof aiSession.measureInputUsage !== 'function') {
+    return CONFIG.CONTENT_LIMIT;
+  }
+  
+  try {
+    const promptTokens = await aiSession.measureInputUsage(buildPrompt(''));
+    const available = aiSession.inputQuota - (aiSession.inputUsage || 0) - promptTokens;
+    
+    const sample = content.substring(0, CONFIG.CONTENT_LIMIT);
+    const sampleTokens = sample ? await aiSession.measureInputUsage(sample) : 0;
+    const charsPerToken = sampleTokens > 0 ? sample.length / sampleTokens : 4;
+    
+    // Leave headroom for tokenizer variance
+    return Math.max(1000, Math.floor(available * CONFIG.CHUNK_QUOTA_RATIO * charsPerToken));
+  } catch (error) {
+    return CONFIG.CONTENT_LIMIT;
+  }
+}
+
+/**
+ * Generate text in a throwaway session
+ * Keeps chunk prompts out of the shared session's conversation history
+ * @param {string} prompt - User prompt
+ * @param {object} params - AI parameters
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<string>} Generated text
+ */
+async function generateIsolatedText(prompt, params = {}, signal = undefined) {
+  const scratchSession = await createScratchSession(params);
+  
+  try {
+    return await scratchSession.prompt(prompt, { signal });
+  } finally {
+    scratchSession.destroy?.();
+  }
+}
+
+/**
+ * Condense content that does not fit one prompt (map-reduce)
+ * Each structural chunk is reduced to key-point notes, repeated until it fits.
+ * Chunks are sized from the model's input quota (see getContentBudget).
+ * @param {string} title - Content title
+ * @param {string} content - Content to condense
+ * @param {object} aiParams - AI parameters (temperature, topK)
+ * @param {object} options - Options
+ * @param {number} options.maxLength - Characters the result must fit in (default CONFIG.CONTENT_LIMIT)
+ * @param {Function} options.onProgress - Progress callback (stage, current, total)
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<string>} Condensed content
+ */
+export async function condenseContent(title, content, aiParams, options = {}) {
+  const maxLength = options.maxLength || CONFIG.CONTENT_LIMIT;
+  let current = content;
+  
+  const scratchSession = await createScratchSession(aiParams);
+  let chunkBudget;
+  try {
+    chunkBudget = await getContentBudget(
+      scratchSession,
+      (chunk) => AI_PROMPTS.CHUNK_NOTES(title, chunk, 1, 1),
+      content
+    );
+  } finally {
+    scratchSession.destroy?.();
+  }
+  
+  for (let round = 0; round < CONFIG.MAX_REDUCE_ROUNDS && current.length > maxLength; round++) {
+    const chunks = chunkText(current, chunkBudget);
+    const notes = [];
+    
+    for (const [index, chunk] of chunks.entries()) {
+      options.onProgress?.('chunk', index + 1, chunks.length);
+      notes.push(await generateIsolatedText(
+        AI_PROMPTS.CHUNK_NOTES(title, chunk, index + 1, chunks.length),
+        aiParams,
+        options.signal
+      ));
+    }
+    
+    const condensed = notes.join('\n\n');
+    if (condensed.length >= current.length) break;
+    current = condensed;
+  }
+  
+  options.onProgress?.('combine', 1, 1);
+  return current;
+}
+
 /**
  * Generate summary from content
+ * Content that does not fit the session's input quota is condensed chunk by
+ * chunk before the final prompt
  * @param {string} title - Content title
  * @param {string} content - Content to summarize
  * @param {string} customPrompt - User's custom prompt (optional)
  * @param {string} contentType - Content type ('youtube' or 'webpage')
  * @param {object} aiParams - AI parameters (temperature, topK)
+ * @param {object} options - Additional options
+ * @param {Function} options.onProgress - Progress callback (stage, current, total)
+ * @param {Function} options.onChunk - Streams the summary when set; called with the text so far
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
  * @returns {Promise<string>} Summary text
  */
-export async function generateSummary(title, content, customPrompt = '', contentType = 'content', aiParams = {}) {
-  const contentLimit = CONFIG.CONTENT_LIMIT;
-  const contentToUse = content.substring(0, contentLimit);
-  const isTruncated = content.length > contentLimit;
+export async function generateSummary(title, content, customPrompt = '', contentType = 'content', aiParams = {}, options = {}) {
+  if (!isPromptApiAvailable()) {
+    throw new Error(ERROR_MESSAGES.PROMPT_API_UNAVAILABLE);
+  }
+  
+  const buildPrompt = (text) => customPrompt.trim()
+    ? AI_PROMPTS.CUSTOM_SUMMARY(title, text, customPrompt, false)
+    : AI_PROMPTS.DEFAULT_SUMMARY(title, text, contentType, false);
+  const contentLimit = await getContentBudget(await getSession(aiParams), buildPrompt, content);
+  const condensed = content.length > contentLimit
+    ? await condenseContent(title, content, aiParams, { ...options, maxLength: contentLimit })
+    : content;
+  const contentToUse = condensed.substring(0, contentLimit);
+  const isTruncated = condensed.length > contentLimit;
   
   // Build prompt
   const prompt = customPrompt.trim()
     ? AI_PROMPTS.CUSTOM_SUMMARY(title, contentToUse, customPrompt, isTruncated)
     : AI_PROMPTS.DEFAULT_SUMMARY(title, contentToUse, contentType, isTruncated);
   
-  return await generateText(prompt, aiParams);
+  if (options.onChunk) {
+    return await generateTextStreaming(prompt, aiParams, options);
+  }
+  
+  return await generateText(prompt, aiParams, options);
 }
 
 /**
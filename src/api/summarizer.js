@@ -6,7 +6,9 @@
 
 /* global Summarizer */
 
-import { ERROR_MESSAGES } from '../config/constants.js';
+import { CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { chunkText } from '../utils/chunking.js';
+import { readTextStream } from '../utils/stream.js';
 
 /**
  * Check if Summarizer API is available
@@ -83,6 +85,8 @@ export async function downloadSummarizerModel(onProgress = null) {
  * @param {string} options.sharedContext - Context to guide summarization
  * @param {string} options.context - Additional context for this specific summary
  * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {Function} options.onProgress - Progress callback (stage, current, total) for long content
+ * @param {Function} options.onChunk - Streams the summary when set; called with the text so far
  * @returns {Promise<string>} Summary text
  */
 export async function generateSummary(text, options = {}) {
@@ -110,17 +114,32 @@ export async function generateSummary(text, options = {}) {
     };
     
     // Create summarizer with options
-    const summarizer = await Summarizer.create(summaryOptions);
+    const summarizer = await Summarizer.create({ ...summaryOptions, signal: options.signal });
+    const context = options.context || options.sharedContext;
     
-    // Generate summary
-    const summaryText = await summarizer.summarize(text, {
-      context: options.context || options.sharedContext,
-      signal: options.signal
-    });
+    // Content over the input quota is condensed chunk by chunk first (map-reduce)
+    const input = await fitsInputQuota(summarizer, text, context)
+      ? text
+      : await condenseToQuota(text, summarizer, summaryOptions, options);
+    
+    // Generate summary (streamed when a chunk callback is provided)
+    const summaryText = options.onChunk
+      ? await readTextStream(
+          summarizer.summarizeStreaming(input, { context, signal: options.signal }),
+          options.onChunk
+        )
+      : await summarizer.summarize(input, {
+          context,
+          signal: options.signal
+        });
     
     return summaryText;
     
   } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    
     console.error('Summarizer API error:', error);
     
     // Handle quota exceeded error
@@ -136,6 +155,163 @@ export async function generateSummary(text, options = {}) {
   }
 }
 
+/**
+ * Generate summary using Summarizer API, streaming the output
+ * @param {string} text - Text to summarize
+ * @param {Function} onChunk - Called with the summary text generated so far
+ * @param {object} options - Summary options (see generateSummary)
+ * @returns {Promise<string>} Full summary text
+ */
+export async function generateSummaryStreaming(text, onChunk, options = {}) {
+  return await generateSummary(text, { ...options, onChunk });
+}
+
+/**
+ * Measure how many input tokens text would use
+ * Falls back to a rough estimate (1 token ≈ 4 characters) when unsupported
+ * @param {object} summarizer - Summarizer instance
+ * @param {string} text - Text to measure
+ * @param {string} context - Context passed alongside the text
+ * @returns {Promise<number>} Token count
+ */
+async function measureTokens(summarizer, text, context) {
+  if (typeof summarizer.measureInputUsage === 'function') {
+    try {
+      return await summarizer.measureInputUsage(text, { context });
+    } catch (error) {
+      // Fall through to estimate
+    }
+  }
+  
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Check whether text fits the summarizer's input quota
+ * @param {object} summarizer - Summarizer instance
+ * @param {string} text - Text to check
+ * @param {string} context - Context passed alongside the text
+ * @returns {Promise<boolean>}
+ */
+export async function fitsInputQuota(summarizer, text, context) {
+  if (!summarizer.inputQuota) {
+    return text.length <= CONFIG.CONTENT_LIMIT;
+  }
+  
+  return await measureTokens(summarizer, text, context) <= summarizer.inputQuota;
+}
+
+/**
+ * Work out a chunk size in characters that fits the input quota
+ * Derives a chars-per-token ratio from the text itself
+ * @param {object} summarizer - Summarizer instance
+ * @param {string} text - Text to be chunked
+ * @returns {Promise<number>} Maximum characters per chunk
+ */
+async function getChunkBudget(summarizer, text) {
+  if (!summarizer.inputQuota) {
+    return CONFIG.CONTENT_LIMIT;
+  }
+  
+  const tokens = await measureTokens(summarizer, text);
+  const charsPerToken = tokens > 0 ? text.length / tokens : 4;
+  
+  // Leave headroom for per-chunk context and tokenizer variance
+  return Math.max(1000, Math.floor(summarizer.inputQuota * CONFIG.CHUNK_QUOTA_RATIO * charsPerToken));
+}
+
+/**
+ * Summarize one chunk, halving it if it still exceeds the quota
+ * Chunks are not split below CONFIG.MIN_CHUNK_LENGTH characters
+ * @param {object} summarizer - Summarizer used for partial summaries
+ * @param {string} chunk - Chunk text
+ * @param {string} context - Context for this chunk
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<string>} Partial summary
+ */
+async function summarizeChunk(summarizer, chunk, context, signal) {
+  if (await fitsInputQuota(summarizer, chunk, context)) {
+    return await summarizer.summarize(chunk, { context, signal });
+  }
+  
+  // No chunk fits next to a context that alone exceeds the quota; drop the context
+  if (context && !(await fitsInputQuota(summarizer, '', context))) {
+    return await summarizeChunk(summarizer, chunk, '', signal);
+  }
+  
+  const halves = chunk.length > CONFIG.MIN_CHUNK_LENGTH
+    ? chunkText(chunk, Math.ceil(chunk.length / 2))
+    : [];
+  if (halves.length < 2) {
+    throw new Error(ERROR_MESSAGES.CONTENT_TOO_LONG);
+  }
+  const partials = [];
+  
+  for (const half of halves) {
+    partials.push(await summarizeChunk(summarizer, half, context, signal));
+  }
+  
+  return partials.join('\n\n');
+}
+
+/**
+ * Condense text until it fits the final summarizer's input quota
+ * Map step: summarize each structural chunk into key points
+ * Reduce step: repeat over the joined partial summaries if still too long
+ * 
+ * @param {string} text - Text to condense
+ * @param {object} finalSummarizer - Summarizer that will produce the final summary
+ * @param {object} summaryOptions - Options the final summarizer was created with
+ * @param {object} options - Original generateSummary options (context, signal, onProgress)
+ * @returns {Promise<string>} Condensed text
+ */
+async function condenseToQuota(text, finalSummarizer, summaryOptions, options) {
+  const finalContext = options.context || options.sharedContext;
+  
+  const partSummarizer = await Summarizer.create({
+    type: 'key-points',
+    format: 'markdown',
+    length: 'long',
+    sharedContext: summaryOptions.sharedContext,
+    signal: options.signal
+  });
+  
+  try {
+    let current = text;
+    
+    for (let round = 0; round < CONFIG.MAX_REDUCE_ROUNDS; round++) {
+      const chunkBudget = await getChunkBudget(partSummarizer, current);
+      const chunks = chunkText(current, chunkBudget);
+      const partials = [];
+      
+      for (const [index, chunk] of chunks.entries()) {
+        options.onProgress?.('chunk', index + 1, chunks.length);
+        
+        const chunkContext = `${finalContext ? `${finalContext} ` : ''}` +
+          `This is part ${index + 1} of ${chunks.length} of a longer text.`;
+        partials.push(await summarizeChunk(partSummarizer, chunk, chunkContext, options.signal));
+      }
+      
+      const condensed = partials.join('\n\n');
+      
+      // Stop if summarizing didn't shrink the text; truncation is the last resort
+      if (condensed.length >= current.length) break;
+      current = condensed;
+      
+      if (await fitsInputQuota(finalSummarizer, current, finalContext)) {
+        options.onProgress?.('combine', 1, 1);
+        return current;
+      }
+    }
+    
+    const maxChars = await getChunkBudget(finalSummarizer, current);
+    options.onProgress?.('combine', 1, 1);
+    return current.substring(0, maxChars);
+  } finally {
+    partSummarizer.destroy?.();
+  }
+}
+
 /**
  * Generate summary with structured context
  * Follows Terra's pattern of passing title, subtitle, and content separately
@@ -0,0 +1,259 @@
+/**
+ * Quota-aware YouTube Data API Client
+ * Every request is counted against a daily budget that resets at midnight
+ * Pacific Time (when Google resets the API quota). Once the budget is spent,
+ * or the API reports the quota exceeded, requests fail fast until the reset.
+ * Video resources are cached by ID and revalidated with their ETag.
+ *
+ * Usage in chrome.storage.local: { day, keys: { [keyTag]: { used, exhausted } } }
+ * Video cache in chrome.storage.local: { [videoId]: { item, etag, fetchedAt } }
+ */
+
+import { CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { getYouTubeApiKey } from '../utils/api-key-manager.js';
+
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const QUOTA_ERROR_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+// Units per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+  search: 100
+};
+
+/**
+ * Today's date in Pacific Time (YYYY-MM-DD), the day the quota is counted on
+ * @returns {string} Quota day
+ */
+function getQuotaDay() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: QUOTA_TIME_ZONE }).format(new Date());
+}
+
+/**
+ * Time left until the quota resets at midnight Pacific Time
+ * @returns {number} Milliseconds
+ */
+function getMsUntilReset() {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TIME_ZONE,
+    hourCycle: 'h23',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date());
+  const value = (type) => Number(parts.find(part => part.type === type)?.value || 0);
+  const elapsed = value('hour') * 3600 + value('minute') * 60 + value('second');
+
+  return (24 * 3600 - elapsed) * 1000;
+}
+
+/**
+ * Usage is tracked per key: the shared key and each custom key have their own budget
+ * @param {string} apiKey - API key in use
+ * @returns {string} Storage tag for the key (never the full key)
+ */
+function getKeyTag(apiKey) {
+  return apiKey === CONFIG.YOUTUBE_API_KEY ? 'shared' : `custom-${apiKey.slice(-6)}`;
+}
+
+/**
+ * Daily budget of a key
+ * The shared key is split between all users, so each install gets a share of it
+ * @param {string} apiKey - API key in use
+ * @returns {number} Quota units per day
+ */
+function getDailyBudget(apiKey) {
+  return apiKey === CONFIG.YOUTUBE_API_KEY ? CONFIG.YOUTUBE_SHARED_DAILY_UNITS : CONFIG.YOUTUBE_DAILY_UNITS;
+}
+
+/**
+ * Load today's usage (older days are dropped)
+ * @returns {Promise<object>} { day, keys }
+ */
+async function loadUsage() {
+  const result = await chrome.storage.local.get(CONFIG.YOUTUBE_QUOTA_KEY);
+  const usage = result[CONFIG.YOUTUBE_QUOTA_KEY];
+  const day = getQuotaDay();
+
+  return usage?.day === day ? usage : { day, keys: {} };
+}
+
+/**
+ * Update the usage of a key
+ * @param {string} apiKey - API key in use
+ * @param {Function} change - (entry) => void, mutates { used, exhausted }
+ */
+async function updateUsage(apiKey, change) {
+  const usage = await loadUsage();
+  const tag = getKeyTag(apiKey);
+  const entry = usage.keys[tag] || { used: 0, exhausted: false };
+
+  change(entry);
+  usage.keys[tag] = entry;
+  await chrome.storage.local.set({ [CONFIG.YOUTUBE_QUOTA_KEY]: usage });
+}
+
+/**
+ * Format a duration for quota messages
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "5h 12m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Error thrown instead of calling the API while the budget is spent
+ * @param {boolean} isSharedKey - Whether the shared key is in use
+ * @returns {Error} Error named 'QuotaExceededError'
+ */
+function createQuotaError(isSharedKey) {
+  const error = new Error(ERROR_MESSAGES.YOUTUBE_QUOTA_EXHAUSTED(formatDuration(getMsUntilReset()), isSharedKey));
+  error.name = 'QuotaExceededError';
+  return error;
+}
+
+/**
+ * Check if an error means the YouTube quota is spent
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError';
+}
+
+/**
+ * Get today's quota usage for the key in use
+ * @returns {Promise<object>} { used, budget, remaining, exhausted, resetsIn, isSharedKey, hasKey }
+ */
+export async function getQuotaStatus() {
+  const apiKey = await getYouTubeApiKey();
+  const usage = await loadUsage();
+  const entry = usage.keys[getKeyTag(apiKey)] || { used: 0, exhausted: false };
+  const budget = getDailyBudget(apiKey);
+
+  return {
+    used: entry.used,
+    budget,
+    remaining: entry.exhausted ? 0 : Math.max(0, budget - entry.used),
+    exhausted: entry.exhausted || entry.used >= budget,
+    resetsIn: formatDuration(getMsUntilReset()),
+    isSharedKey: apiKey === CONFIG.YOUTUBE_API_KEY,
+    hasKey: Boolean(apiKey)
+  };
+}
+
+/**
+ * Call a YouTube Data API endpoint, counting its quota cost
+ * @param {string} endpoint - API endpoint (e.g. 'videos')
+ * @param {object} params - Query parameters
+ * @param {object} options - { etag } to revalidate a cached response
+ * @returns {Promise<object|null>} Response data, or null when the ETag still matches (304)
+ */
+export async function youtubeApiRequest(endpoint, params, options = {}) {
+  const apiKey = await getYouTubeApiKey();
+  if (!apiKey) {
+    throw new Error(ERROR_MESSAGES.YOUTUBE_API_KEY_MISSING);
+  }
+
+  const isSharedKey = apiKey === CONFIG.YOUTUBE_API_KEY;
+  const cost = QUOTA_COSTS[endpoint] || 1;
+
+  const usage = await loadUsage();
+  const entry = usage.keys[getKeyTag(apiKey)];
+  if (entry?.exhausted || (entry?.used || 0) + cost > getDailyBudget(apiKey)) {
+    throw createQuotaError(isSharedKey);
+  }
+
+  const query = new URLSearchParams({ ...params, key: apiKey });
+  const response = await fetch(`${CONFIG.YOUTUBE_API_BASE}/${endpoint}?${query}`, {
+    headers: options.etag ? { 'If-None-Match': options.etag } : {}
+  });
+
+  // Conditional requests are charged like any other
+  await updateUsage(apiKey, (current) => { current.used += cost; });
+
+  if (response.status === 304) {
+    return null;
+  }
+
+  const data = await response.json();
+
+  if (data.error) {
+    const reasons = (data.error.errors || []).map(error => error.reason);
+    const isQuotaResponse = reasons.some(reason => QUOTA_ERROR_REASONS.includes(reason)) ||
+      (data.error.code === 403 && /quota/i.test(data.error.message || ''));
+
+    if (isQuotaResponse) {
+      // Back off until the reset instead of retrying a spent key
+      await updateUsage(apiKey, (current) => { current.exhausted = true; });
+      throw createQuotaError(isSharedKey);
+    }
+    throw new Error(data.error.message || `Failed to fetch YouTube ${endpoint}`);
+  }
+
+  return data;
+}
+
+/**
+ * Load the video cache
+ * @returns {Promise<object>} { [videoId]: { item, etag, fetchedAt } }
+ */
+async function loadVideoCache() {
+  const result = await chrome.storage.local.get(CONFIG.YOUTUBE_CACHE_KEY);
+  return result[CONFIG.YOUTUBE_CACHE_KEY] || {};
+}
+
+/**
+ * Save the video cache, keeping the most recently fetched entries
+ * @param {object} cache - { [videoId]: entry }
+ */
+async function saveVideoCache(cache) {
+  const entries = Object.entries(cache)
+    .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+    .slice(0, CONFIG.YOUTUBE_CACHE_MAX_VIDEOS);
+
+  await chrome.storage.local.set({ [CONFIG.YOUTUBE_CACHE_KEY]: Object.fromEntries(entries) });
+}
+
+/**
+ * Fetch video resources (snippet, contentDetails) through the cache
+ * Fresh entries (younger than CONFIG.YOUTUBE_CACHE_TTL_MS) cost nothing; a
+ * single stale video is revalidated with its ETag, others are fetched 50 per request
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Array<object>>} Video resources in the order of videoIds (missing videos left out)
+ */
+export async function fetchCachedVideos(videoIds) {
+  const cache = await loadVideoCache();
+  const now = Date.now();
+  const isFresh = (videoId) => cache[videoId] && now - cache[videoId].fetchedAt < CONFIG.YOUTUBE_CACHE_TTL_MS;
+  const stale = [...new Set(videoIds)].filter(videoId => !isFresh(videoId));
+
+  for (let i = 0; i < stale.length; i += CONFIG.YOUTUBE_PAGE_SIZE) {
+    const ids = stale.slice(i, i + CONFIG.YOUTUBE_PAGE_SIZE);
+    // The ETag covers the whole response, so only single-video requests can be revalidated
+    const cached = ids.length === 1 ? cache[ids[0]] : null;
+
+    const data = await youtubeApiRequest('videos', {
+      part: 'snippet,contentDetails',
+      id: ids.join(','),
+      maxResults: CONFIG.YOUTUBE_PAGE_SIZE
+    }, { etag: cached?.etag });
+
+    if (data === null) {
+      cached.fetchedAt = now;
+      continue;
+    }
+
+    ids.forEach(videoId => { delete cache[videoId]; });
+    (data.items || []).forEach(item => {
+      cache[item.id] = { item, etag: ids.length === 1 ? data.etag : '', fetchedAt: now };
+    });
+  }
+
+  if (stale.length > 0) {
+    await saveVideoCache(cache);
+  }
+
+  return videoIds.filter(videoId => cache[videoId]).map(videoId => cache[videoId].item);
+}
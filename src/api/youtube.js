@@ -1,73 +1,293 @@
 /**
  * YouTube Data API Integration
  * Supports both shared default key and user-provided custom keys
+ * (requests go through the quota-aware client in youtube-client.js).
+ * Without a key, video data is read from the watch page's player response.
  */
 
-import { CONFIG } from '../config/constants.js';
+import { CONFIG, ERROR_MESSAGES } from '../config/constants.js';
 import { extractVideoId } from '../utils/url.js';
+import { youtubeApiRequest, fetchCachedVideos, isQuotaError } from './youtube-client.js';
 import { getYouTubeApiKey } from '../utils/api-key-manager.js';
+import { parseCaptionTrack, segmentsToText } from '../utils/captions.js';
 
 /**
  * Fetch video data from YouTube Data API
- * Uses either user's custom key or default shared key
+ * Served from the video cache when fresh (see youtube-client.js). Without an
+ * API key, or once the day's quota is spent, the data is read from the
+ * video's player response instead (see fetchVideoDataFromPage)
  * @param {string} videoId - YouTube video ID
+ * @param {number} tabId - Chrome tab ID showing the video (optional)
  * @returns {Promise<object>} Video data
  */
-export async function fetchVideoData(videoId) {
-  // Get the appropriate API key (user's custom or default)
-  const apiKey = await getYouTubeApiKey();
-  
-  const url = `${CONFIG.YOUTUBE_API_BASE}/videos?` +
-    `part=snippet,contentDetails&` +
-    `id=${videoId}&` +
-    `key=${apiKey}`;
-  
-  const response = await fetch(url);
-  const data = await response.json();
-  
-  if (data.error) {
-    // Check if it's a quota error
-    if (data.error.code === 403 && data.error.message.includes('quota')) {
-      throw new Error(
-        '⏰ Daily quota exceeded (resets at midnight Pacific Time). ' +
-        'The extension is free to use with a shared API key. ' +
-        'Try again tomorrow, or the extension works great with web articles! 🌐'
-      );
+export async function fetchVideoData(videoId, tabId = null) {
+  if (!(await getYouTubeApiKey())) {
+    return fetchVideoDataFromPage(videoId, tabId);
+  }
+  
+  try {
+    const [video] = await fetchCachedVideos([videoId]);
+    
+    if (!video) {
+      throw new Error('Video not found');
     }
-    throw new Error(data.error.message || 'Failed to fetch video data');
+    
+    return video;
+  } catch (error) {
+    if (!isQuotaError(error)) throw error;
+    
+    // Keep the quota message if the page can't be read either
+    const video = await fetchVideoDataFromPage(videoId, tabId).catch(() => null);
+    if (!video) throw error;
+    return video;
   }
+}
+
+/**
+ * Fetch data for several videos (50 per request, cached ones are reused)
+ * Videos that no longer exist are left out
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Array<object>>} Video data in the order of videoIds
+ */
+export async function fetchVideosData(videoIds) {
+  return fetchCachedVideos(videoIds);
+}
+
+/**
+ * Fetch a playlist and the IDs of its videos
+ * Pages through playlistItems up to CONFIG.MAX_PLAYLIST_VIDEOS; private
+ * and deleted videos are skipped
+ * @param {string} playlistId - YouTube playlist ID
+ * @returns {Promise<object>} { id, title, description, channelTitle, thumbnail, videoIds, total }
+ */
+export async function fetchPlaylist(playlistId) {
+  const data = await youtubeApiRequest('playlists', {
+    part: 'snippet,contentDetails',
+    id: playlistId
+  });
   
-  if (!data.items || data.items.length === 0) {
-    throw new Error('Video not found');
+  const playlist = data.items?.[0];
+  if (!playlist) {
+    throw new Error(ERROR_MESSAGES.PLAYLIST_NOT_FOUND);
   }
   
-  return data.items[0];
+  const videoIds = [];
+  let pageToken = '';
+  
+  do {
+    const page = await youtubeApiRequest('playlistItems', {
+      part: 'snippet,status',
+      playlistId,
+      maxResults: CONFIG.YOUTUBE_PAGE_SIZE,
+      ...(pageToken && { pageToken })
+    });
+    
+    (page.items || []).forEach(item => {
+      const videoId = item.snippet?.resourceId?.videoId;
+      const isPrivate = item.status?.privacyStatus === 'private' ||
+        ['Private video', 'Deleted video'].includes(item.snippet?.title);
+      if (videoId && !isPrivate && !videoIds.includes(videoId)) {
+        videoIds.push(videoId);
+      }
+    });
+    
+    pageToken = page.nextPageToken || '';
+  } while (pageToken && videoIds.length < CONFIG.MAX_PLAYLIST_VIDEOS);
+  
+  return {
+    id: playlistId,
+    title: playlist.snippet?.title || 'YouTube Playlist',
+    description: playlist.snippet?.description || '',
+    channelTitle: playlist.snippet?.channelTitle || '',
+    thumbnail: getThumbnailUrl(playlist),
+    videoIds: videoIds.slice(0, CONFIG.MAX_PLAYLIST_VIDEOS),
+    total: playlist.contentDetails?.itemCount || videoIds.length
+  };
 }
 
 /**
  * Fetch video data from URL
  * @param {string} url - YouTube URL
+ * @param {number} tabId - Chrome tab ID showing the video (optional)
  * @returns {Promise<object>} Video data
  */
-export async function fetchVideoFromUrl(url) {
+export async function fetchVideoFromUrl(url, tabId = null) {
   const videoId = extractVideoId(url);
   
   if (!videoId) {
     throw new Error('Invalid YouTube URL');
   }
   
-  return fetchVideoData(videoId);
+  return fetchVideoData(videoId, tabId);
+}
+
+/**
+ * Read video data from the player response, without the Data API
+ * Uses the open tab when it shows the video, otherwise the watch page
+ * @param {string} videoId - YouTube video ID
+ * @param {number} tabId - Chrome tab ID showing the video (optional)
+ * @returns {Promise<object>} Video data in the Data API shape (see normalizePlayerResponse)
+ */
+export async function fetchVideoDataFromPage(videoId, tabId = null) {
+  let playerResponse = null;
+  
+  if (tabId) {
+    const pageResponse = await extractPlayerResponse(tabId);
+    // Ignore the tab if it has navigated to a different video
+    if (pageResponse?.videoDetails?.videoId === videoId) {
+      playerResponse = pageResponse;
+    }
+  }
+  
+  if (!playerResponse) {
+    playerResponse = await fetchPlayerResponse(videoId);
+  }
+  
+  if (playerResponse?.playabilityStatus?.status === 'ERROR') {
+    throw new Error(ERROR_MESSAGES.VIDEO_NOT_FOUND);
+  }
+  if (!playerResponse?.videoDetails?.videoId) {
+    throw new Error(ERROR_MESSAGES.VIDEO_PAGE_UNAVAILABLE);
+  }
+  
+  return normalizePlayerResponse(playerResponse);
 }
 
 /**
- * Extract captions/transcript from YouTube page
+ * Read the player response from an open YouTube tab
  * @param {number} tabId - Chrome tab ID
- * @returns {Promise<string|null>} Captions text or null
+ * @returns {Promise<object|null>} { videoDetails, microformat, playabilityStatus } or null
+ */
+async function extractPlayerResponse(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: extractPlayerResponseFromPage
+    });
+    
+    return results?.[0]?.result || null;
+  } catch (error) {
+    // Failed to read the player response
+    return null;
+  }
+}
+
+/**
+ * Function injected into YouTube page to read the video's player response
+ * This function runs in the context of the YouTube page
+ */
+function extractPlayerResponseFromPage() {
+  try {
+    // The live player knows about SPA navigations; the initial response may be stale
+    const player = document.getElementById('movie_player');
+    const playerResponse = player?.getPlayerResponse?.() || window.ytInitialPlayerResponse;
+    
+    if (!playerResponse?.videoDetails) {
+      return null;
+    }
+    
+    return {
+      videoDetails: playerResponse.videoDetails,
+      microformat: playerResponse.microformat || null,
+      playabilityStatus: playerResponse.playabilityStatus || null
+    };
+    
+  } catch (error) {
+    // Player response error
+    return null;
+  }
+}
+
+/**
+ * Read the player response from the YouTube watch page
+ * Used when the video is not open in a tab we can script
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<object|null>} Player response or null
+ */
+async function fetchPlayerResponse(videoId) {
+  try {
+    const response = await fetch(`${CONFIG.YOUTUBE_WATCH_BASE}?v=${videoId}`, {
+      credentials: 'omit'
+    });
+    
+    if (!response.ok) {
+      return null;
+    }
+    
+    return extractJsonValue(await response.text(), 'ytInitialPlayerResponse = ');
+  } catch (error) {
+    // Failed to fetch watch page
+    return null;
+  }
+}
+
+/**
+ * Format seconds as an ISO 8601 duration (e.g. "PT1H2M3S"), as the Data API does
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} ISO 8601 duration
+ */
+function toIsoDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  
+  return 'PT' +
+    (hours ? `${hours}H` : '') +
+    (minutes ? `${minutes}M` : '') +
+    (secs || (!hours && !minutes) ? `${secs}S` : '');
+}
+
+/**
+ * Convert a player response into the Data API video shape
+ * Gives the same snippet/contentDetails fields the rest of the app reads
+ * @param {object} playerResponse - { videoDetails, microformat }
+ * @returns {object} Video data (source: 'page')
+ */
+function normalizePlayerResponse(playerResponse) {
+  const details = playerResponse.videoDetails;
+  const microformat = playerResponse.microformat?.playerMicroformatRenderer || {};
+  const videoId = details.videoId;
+  
+  // Standard sizes exist for every video; maxres only when the player lists it
+  const thumbnail = (name, width, height) => ({ url: `https://i.ytimg.com/vi/${videoId}/${name}.jpg`, width, height });
+  const largest = [...(details.thumbnail?.thumbnails || [])].sort((a, b) => (b.width || 0) - (a.width || 0))[0];
+  
+  return {
+    kind: 'youtube#video',
+    id: videoId,
+    snippet: {
+      publishedAt: microformat.publishDate || microformat.uploadDate || '',
+      channelId: details.channelId || '',
+      title: details.title || microformat.title?.simpleText || '',
+      description: details.shortDescription || microformat.description?.simpleText || '',
+      thumbnails: {
+        default: thumbnail('default', 120, 90),
+        medium: thumbnail('mqdefault', 320, 180),
+        high: thumbnail('hqdefault', 480, 360),
+        ...(largest?.width >= 1280 && { maxres: largest })
+      },
+      channelTitle: details.author || microformat.ownerChannelName || '',
+      tags: details.keywords || []
+    },
+    contentDetails: {
+      duration: toIsoDuration(parseInt(details.lengthSeconds, 10) || 0)
+    },
+    source: 'page'
+  };
+}
+
+/**
+ * Extract caption track list from an open YouTube tab
+ * Runs in the page's MAIN world so the player response is reachable
+ * @param {number} tabId - Chrome tab ID
+ * @returns {Promise<object|null>} { videoId, tracks } or null
  */
 export async function extractCaptions(tabId) {
   try {
     const results = await chrome.scripting.executeScript({
       target: { tabId },
+      world: 'MAIN',
       func: extractCaptionsFromPage
     });
     
@@ -83,46 +303,226 @@ export async function extractCaptions(tabId) {
 }
 
 /**
- * Function injected into YouTube page to extract captions
+ * Function injected into YouTube page to extract caption tracks
  * This function runs in the context of the YouTube page
  */
 function extractCaptionsFromPage() {
   try {
-    // Access YouTube's player response data
-    const ytInitialPlayerResponse = window.ytInitialPlayerResponse;
+    // The live player knows about SPA navigations; the initial response may be stale
+    const player = document.getElementById('movie_player');
+    const playerResponse = player?.getPlayerResponse?.() || window.ytInitialPlayerResponse;
     
-    if (!ytInitialPlayerResponse || !ytInitialPlayerResponse.captions) {
+    const captionTracks = playerResponse?.captions
+      ?.playerCaptionsTracklistRenderer?.captionTracks;
+    
+    if (!captionTracks || captionTracks.length === 0) {
       return null;
     }
     
-    const captionTracks = ytInitialPlayerResponse.captions
-      .playerCaptionsTracklistRenderer?.captionTracks;
+    return {
+      videoId: playerResponse.videoDetails?.videoId || '',
+      tracks: captionTracks.map(track => ({
+        baseUrl: track.baseUrl,
+        languageCode: track.languageCode || '',
+        kind: track.kind || '',
+        name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || ''
+      }))
+    };
     
-    if (!captionTracks || captionTracks.length === 0) {
+  } catch (error) {
+    // Caption extraction error
+    return null;
+  }
+}
+
+/**
+ * Fetch caption track list from the YouTube watch page
+ * Used when the video is not open in a tab we can script
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Array<object>|null>} Caption tracks or null
+ */
+export async function fetchCaptionTracks(videoId) {
+  try {
+    const response = await fetch(`${CONFIG.YOUTUBE_WATCH_BASE}?v=${videoId}`, {
+      credentials: 'omit'
+    });
+    
+    if (!response.ok) {
       return null;
     }
     
-    // Prefer English captions, fallback to first available
-    const englishTrack = captionTracks.find(track => 
-      track.languageCode === 'en' || track.languageCode.startsWith('en')
-    );
+    const html = await response.text();
+    const captionTracks = extractJsonValue(html, '"captionTracks":');
     
-    const selectedTrack = englishTrack || captionTracks[0];
-    
-    if (!selectedTrack || !selectedTrack.baseUrl) {
+    if (!Array.isArray(captionTracks) || captionTracks.length === 0) {
       return null;
     }
     
-    // Note: Due to CORS, we can't fetch the captions directly from content script
-    // This would need to be handled by the service worker or return the URL
-    return selectedTrack.baseUrl;
+    return captionTracks.map(track => ({
+      baseUrl: track.baseUrl,
+      languageCode: track.languageCode || '',
+      kind: track.kind || '',
+      name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || ''
+    }));
+  } catch (error) {
+    // Failed to fetch watch page
+    return null;
+  }
+}
+
+/**
+ * Read the JSON value that follows a marker inside a page's HTML
+ * Balances brackets while respecting string literals
+ * @param {string} html - Page HTML
+ * @param {string} marker - Text immediately preceding the JSON value
+ * @returns {any} Parsed value or null
+ */
+function extractJsonValue(html, marker) {
+  const markerIndex = html.indexOf(marker);
+  if (markerIndex === -1) return null;
+  
+  const start = markerIndex + marker.length;
+  const open = html[start];
+  if (open !== '[' && open !== '{') return null;
+  
+  let depth = 0;
+  let inString = false;
+  
+  for (let i = start; i < html.length; i++) {
+    const char = html[i];
+    
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Pick the best caption track
+ * Prefers manual captions in the preferred language, then auto-generated ones
+ * @param {Array<object>} tracks - Caption tracks
+ * @param {string} preferredLanguage - Preferred language code
+ * @returns {object|null} Selected track
+ */
+export function selectCaptionTrack(tracks, preferredLanguage = 'en') {
+  if (!tracks || tracks.length === 0) return null;
+  
+  const matchesLanguage = (track) =>
+    track.languageCode === preferredLanguage ||
+    track.languageCode.startsWith(`${preferredLanguage}-`);
+  const isManual = (track) => track.kind !== 'asr';
+  
+  return tracks.find(track => matchesLanguage(track) && isManual(track)) ||
+         tracks.find(track => matchesLanguage(track)) ||
+         tracks.find(track => isManual(track)) ||
+         tracks[0];
+}
+
+/**
+ * Download and parse a caption track
+ * Fetched from the extension context (host permissions bypass page CORS)
+ * @param {object} track - Caption track with baseUrl
+ * @returns {Promise<Array<object>>} Transcript segments
+ */
+export async function fetchCaptionTrack(track) {
+  if (!track?.baseUrl) return [];
+  
+  const url = new URL(track.baseUrl, CONFIG.YOUTUBE_WATCH_BASE);
+  url.searchParams.set('fmt', 'json3');
+  
+  const response = await fetch(url.toString(), { credentials: 'omit' });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch captions (${response.status})`);
+  }
+  
+  return parseCaptionTrack(await response.text());
+}
+
+/**
+ * Fetch the transcript for a video
+ * Reads caption tracks from the open tab when possible, otherwise from the watch page
+ * @param {string} videoId - YouTube video ID
+ * @param {number} tabId - Chrome tab ID showing the video (optional)
+ * @returns {Promise<object|null>} Transcript { languageCode, kind, segments, text } or null
+ */
+export async function fetchTranscript(videoId, tabId = null) {
+  try {
+    let tracks = null;
+    
+    if (tabId) {
+      const pageCaptions = await extractCaptions(tabId);
+      // Ignore the tab if it has navigated to a different video
+      if (pageCaptions && (!pageCaptions.videoId || pageCaptions.videoId === videoId)) {
+        tracks = pageCaptions.tracks;
+      }
+    }
+    
+    if (!tracks) {
+      tracks = await fetchCaptionTracks(videoId);
+    }
+    
+    const track = selectCaptionTrack(tracks);
+    if (!track) return null;
+    
+    const segments = await fetchCaptionTrack(track);
+    if (segments.length === 0) return null;
     
+    return {
+      languageCode: track.languageCode,
+      kind: track.kind,
+      name: track.name,
+      segments,
+      text: segmentsToText(segments)
+    };
   } catch (error) {
-    // Caption extraction error
+    console.warn('Transcript unavailable:', error);
     return null;
   }
 }
 
+/**
+ * Attach transcript to video data (mutates and returns videoData)
+ * Sets `transcript` (segments + metadata) and `captions` (plain text)
+ * @param {object} videoData - Video data from API
+ * @param {number} tabId - Chrome tab ID showing the video (optional)
+ * @returns {Promise<object>} Video data
+ */
+export async function attachTranscript(videoData, tabId = null) {
+  if (!videoData?.id) return videoData;
+  
+  const transcript = await fetchTranscript(videoData.id, tabId);
+  
+  if (transcript) {
+    videoData.transcript = transcript;
+    videoData.captions = transcript.text;
+  }
+  
+  return videoData;
+}
+
 /**
  * Get thumbnail URL from video data
  * @param {object} videoData - Video data from API
@@ -11,11 +11,67 @@ export const CONFIG = {
   // This allows: GitHub repo = clean, Distributed extension = working
   YOUTUBE_API_KEY: API_KEYS.YOUTUBE_API_KEY,
   YOUTUBE_API_BASE: 'https://www.googleapis.com/youtube/v3',
+  YOUTUBE_WATCH_BASE: 'https://www.youtube.com/watch',
+  YOUTUBE_PAGE_SIZE: 50, // Max results per Data API request
+  MAX_PLAYLIST_VIDEOS: 100, // Playlists: videos summarized before the overview card
+  
+  // YouTube quota & video cache (chrome.storage.local, see api/youtube-client.js)
+  YOUTUBE_QUOTA_KEY: 'snapsummary_youtube_quota',
+  YOUTUBE_DAILY_UNITS: 10000, // Default Data API quota of a Google Cloud project
+  YOUTUBE_SHARED_DAILY_UNITS: 1000, // Each install's share of the shared key
+  YOUTUBE_CACHE_KEY: 'snapsummary_youtube_cache',
+  YOUTUBE_CACHE_TTL_MS: 6 * 60 * 60 * 1000, // Cached videos are revalidated after this
+  YOUTUBE_CACHE_MAX_VIDEOS: 100,
   
   // AI Settings
   DEFAULT_TEMPERATURE: 0.8,
   DEFAULT_TOP_K: 3,
-  CONTENT_LIMIT: 15000, // Max chars to send to AI
+  DEFAULT_SUMMARY_TYPE: 'tldr', // Used when the chosen type does not apply (e.g. chapters for a page without a transcript)
+  CONTENT_LIMIT: 15000, // Max chars per AI request (longer content is chunked)
+  CHUNK_QUOTA_RATIO: 0.8, // Share of the model input quota a single chunk may use
+  MAX_REDUCE_ROUNDS: 3, // Max map-reduce passes before falling back to truncation
+  MIN_CHUNK_LENGTH: 500, // Chunks that still exceed the quota are not split below this
+  
+  // Chapter Summaries
+  CHAPTER_WINDOW_SECONDS: 300, // Window size when the description has no chapter markers
+  MAX_CHAPTERS: 12,
+  MAX_SUMMARY_SECTIONS: 20, // Section-by-section summaries: one AI request per section
+  
+  // Context menu requests from background.js (chrome.storage.session)
+  PENDING_REQUEST_KEY: 'snapsummary_pending_request',
+  PENDING_REQUEST_MAX_AGE_MS: 60000,
+  LINK_LOAD_TIMEOUT_MS: 20000,
+  MAX_ARTICLE_PAGES: 5, // Paginated articles: pages stitched together, including the first
+  
+  // History
+  HISTORY_PAGE_SIZE: 20,
+  HISTORY_SEARCH_DEBOUNCE_MS: 250,
+  
+  // Tags & collections
+  MAX_TAG_LENGTH: 40,
+  MAX_TAGS_PER_CARD: 20,
+  MAX_TAG_SUGGESTIONS: 8,
+  
+  // Per-domain extraction rules (chrome.storage.local)
+  SITE_RULES_KEY: 'snapsummary_site_rules',
+  RULE_PREVIEW_DEBOUNCE_MS: 800,
+  RULE_PREVIEW_LENGTH: 1500,
+  
+  // Learned boilerplate: paragraphs seen on this many pages of a domain are removed
+  BOILERPLATE_KEY: 'snapsummary_boilerplate',
+  BOILERPLATE_MIN_PAGES: 3,
+  BOILERPLATE_MAX_PAGES: 100,   // Pages remembered per domain (to count each page once)
+  BOILERPLATE_MAX_BLOCKS: 500,  // Fingerprints kept per domain
+  
+  // PDF extraction (pdf.js)
+  PDF_MAX_BYTES: 50 * 1024 * 1024,
+  PDF_MAX_PAGES: 500,
+  PDF_CMAP_URL: 'pdf-cmaps/', // Copied next to the side panel by the build
+  
+  // Local documents (drag-and-drop / file picker)
+  MAX_FILE_BYTES: 50 * 1024 * 1024,
+  MAX_FILE_CONTENT_LENGTH: 500000,
+  SUBTITLE_PARAGRAPH_GAP: 2, // Seconds of silence that start a new transcript paragraph
   
   // Storage Keys
   STORAGE_KEYS: {
@@ -50,7 +106,7 @@ export const CONFIG = {
 export const AI_PROMPTS = {
   SYSTEM: {
     role: 'system',
-    content: 'You are a helpful assistant that creates concise, engaging summaries of YouTube videos and articles. Focus on key takeaways and important information. Format your response in markdown for better readability.'
+    content: 'You are a helpful assistant that creates concise, engaging summaries of YouTube videos and articles. Focus on key takeaways and important information. Format your response in markdown for better readability. Keep code in fenced code blocks with the language, and write math as TeX between $...$ (or $$...$$ for display formulas).'
   },
   
   DEFAULT_SUMMARY: (title, content, contentType, isTruncated) => `Please create a concise and engaging summary of this ${contentType}. Focus on the key takeaways and main points.
@@ -67,7 +123,39 @@ Provide a well-structured summary with bullet points or short paragraphs highlig
 Content${isTruncated ? ' (excerpt)' : ''}:
 ${content}
 
-User Request: ${customPrompt}`
+User Request: ${customPrompt}`,
+  
+  CHAPTER_SUMMARY: (videoTitle, chapterTitle, content) => `This is one part of the video "${videoTitle}"${chapterTitle ? `, titled "${chapterTitle}"` : ''}.
+
+Transcript:
+${content}
+
+Reply in exactly this format:
+Heading: <a short heading for this part, at most 8 words>
+Summary: <one or two sentences summarizing this part>`,
+  
+  SECTION_SUMMARY: (documentTitle, sectionTitle, content) => `This is the section "${sectionTitle}" of "${documentTitle}".
+
+Content:
+${content}
+
+Summarize this section in 2-4 concise markdown bullet points. Keep names, numbers, commands and conclusions.`,
+  
+  CHUNK_NOTES: (title, content, part, totalParts) => `This is part ${part} of ${totalParts} of "${title}".
+
+Content:
+${content}
+
+List the key points of this part as concise markdown bullet points. Keep names, numbers and conclusions.`,
+  
+  PLAYLIST_OVERVIEW: (playlistTitle, description, summaries) => `These are summaries of the videos in the YouTube playlist "${playlistTitle}", in playlist order.
+${description ? `\nPlaylist description: ${description}\n` : ''}
+${summaries}
+
+Write an overview of the whole playlist in markdown:
+- Start with two or three sentences on what the playlist covers and who it is for.
+- Then describe the arc of the playlist: how the topics build on each other from start to finish, grouping consecutive videos into stages where it helps. Refer to videos by their number.
+- End with the key takeaways of the whole series as bullet points.`
 };
 
 export const ERROR_MESSAGES = {
@@ -76,17 +164,69 @@ export const ERROR_MESSAGES = {
   TRANSLATOR_UNAVAILABLE: 'Chrome Translator API not available. This feature requires Chrome 138+ with AI features enabled.',
   REWRITER_UNAVAILABLE: 'Chrome Rewriter API not available. Please update Chrome to the latest version.',
   VIDEO_NOT_FOUND: 'Video not found',
+  VIDEO_PAGE_UNAVAILABLE: 'Could not read the video details from YouTube. Open the video in a tab and use auto-detect, or add a YouTube API key in Advanced Options.',
+  YOUTUBE_API_KEY_MISSING: 'This needs a YouTube API key. Add one in Advanced Options.',
   NO_CONTENT_TO_SUMMARIZE: 'Please select at least some content to summarize',
   EXTRACTION_FAILED: 'Failed to extract webpage content. Please navigate to the page and use the auto-detect button.',
   TRANSLATION_NOT_SUPPORTED: (lang) => `Translation to ${lang} is not supported.`,
-  CONTENT_TOO_LONG: 'Content is too long for summarization. Please try with a shorter excerpt.'
+  CONTENT_TOO_LONG: 'Content is too long for summarization. Please try with a shorter excerpt.',
+  CHAPTERS_NEED_TRANSCRIPT: 'Chapter summaries are only available for videos and audio with captions or a transcript. Please choose another summary type.',
+  SECTIONS_NEED_OUTLINE: 'Section summaries need a page with headings (or at least one section selected). Please choose another summary type.',
+  LINK_NOT_HTTP: 'Only http(s) links can be summarized.',
+  LINK_LOAD_TIMEOUT: 'The linked page took too long to load. Please open it and use auto-detect.',
+  SELECTION_EMPTY: 'No text is selected. Highlight a passage and try again.',
+  PICK_UNAVAILABLE: 'Content can only be picked on http(s) pages.',
+  PICK_EMPTY: 'The picked regions contain no text. Try including a larger block.',
+  PDF_FETCH_FAILED: 'Could not download the PDF. Check that it is still available and try again.',
+  PDF_INSECURE_URL: 'PDFs served over plain HTTP cannot be downloaded. Try the https:// address instead.',
+  PDF_TOO_LARGE: 'This PDF is larger than 50 MB and cannot be summarized.',
+  PDF_INVALID: 'This file could not be read as a PDF.',
+  PDF_ENCRYPTED: 'This PDF is password-protected and cannot be summarized.',
+  PDF_NO_TEXT: 'This PDF has no extractable text (it may be a scanned document).',
+  FILE_UNSUPPORTED: (name) => `"${name}" is not a supported file. Use TXT, Markdown, DOCX, EPUB, SRT, VTT or PDF.`,
+  FILE_TOO_LARGE: 'Files larger than 50 MB cannot be summarized.',
+  FILE_INVALID: (kind) => `This ${kind} could not be read. The file may be damaged.`,
+  FILE_NO_TEXT: (name) => `No text was found in "${name}".`,
+  BACKUP_INVALID_JSON: 'This file is not valid JSON. Please choose a SnapSummary backup file.',
+  BACKUP_INVALID_FORMAT: 'This file is not a SnapSummary backup.',
+  BACKUP_UNSUPPORTED_VERSION: (version) => `Backup version ${version} is not supported. Please update SnapSummary and try again.`,
+  BACKUP_INVALID_CARD: (position) => `Card ${position} in the backup is missing a title, summary or date.`,
+  BACKUP_INVALID_RULE: (position) => `Extraction rule ${position} in the backup is not valid.`,
+  YOUTUBE_QUOTA_EXHAUSTED: (resetsIn, isSharedKey) => `⏰ Today's YouTube quota is used up (resets in ${resetsIn}, at midnight Pacific Time). ` +
+    (isSharedKey
+      ? 'Add your own API key in Advanced Options to keep going, or try web articles meanwhile! 🌐'
+      : 'Try again after the reset, or web articles work without any quota! 🌐'),
+  PLAYLIST_NOT_FOUND: 'Playlist not found. It may be private or deleted.',
+  PLAYLIST_EMPTY: 'This playlist has no public videos to summarize.',
+  PLAYLIST_OVERVIEW_EMPTY: 'Summarize at least one video of the playlist before creating the overview.',
+  BATCH_RUNNING: 'Wait for the running batch to finish (or cancel it) first.',
+  RULE_DOMAIN_REQUIRED: 'Please enter the domain the rule applies to (e.g. wiki.example.com).',
+  RULE_INVALID_SELECTOR: (selector) => `"${selector}" is not a valid CSS selector.`,
+  RULE_PREVIEW_UNAVAILABLE: 'Open an http(s) page in the current tab to preview the rule.'
 };
 
 export const STATUS_MESSAGES = {
   DETECTING_PAGE: '🔍 Detecting current page...',
   FETCHING_VIDEO: '📺 Fetching YouTube video...',
+  FETCHING_TRANSCRIPT: '📝 Fetching video transcript...',
   EXTRACTING_CONTENT: '📄 Extracting webpage content...',
+  LOADING_LINK: '🔗 Loading linked page...',
+  LOADING_ARTICLE_PAGE: (page) => `📑 Loading article page ${page}...`,
+  PICKING_CONTENT: '🖱️ Click the parts of the page to summarize, then press Done on the page',
+  PICK_CANCELLED: 'ℹ️ Picking cancelled',
+  FETCHING_PDF: '📄 Downloading PDF...',
+  PDF_PAGE: (page, total) => `📄 Reading PDF page ${page} of ${total}...`,
+  READING_FILE: (name) => `📂 Reading ${name}...`,
+  FILE_CHAPTER: (chapter, total) => `📖 Reading chapter ${chapter} of ${total}...`,
   GENERATING_SUMMARY: '🤖 Generating AI summary...',
+  SUMMARY_PROGRESS: (stage, current, total) => ({
+    chapter: `🎬 Summarizing chapter ${current} of ${total}...`,
+    section: `📑 Summarizing section ${current} of ${total}...`,
+    chunk: `📚 Summarizing part ${current} of ${total}...`,
+    combine: '🧩 Combining partial summaries...'
+  })[stage] || '🤖 Generating AI summary...',
+  STREAMING_SUMMARY: '✍️ Writing summary...',
+  GENERATION_STOPPED: '⏹️ Generation stopped',
   GENERATING_IMAGE: '📸 Generating image...',
   TRANSLATING: '🌍 Translating card...',
   DOWNLOADING_MODEL: (percent) => `🌍 Downloading translation model... ${percent}%`,
@@ -97,6 +237,40 @@ export const STATUS_MESSAGES = {
   LINK_COPIED: '✅ Link copied!',
   NOTES_POLISHED: '✅ Notes polished!',
   ORIGINAL_RESTORED: '↩️ Original language restored',
-  ALREADY_IN_ENGLISH: 'ℹ️ Card is already in English'
+  ALREADY_IN_ENGLISH: 'ℹ️ Card is already in English',
+  BATCH_ITEM: (item) => ({
+    pending: '⏳ Waiting...',
+    running: item.message || '⚙️ Working...',
+    done: '✅ Saved to history',
+    error: `❌ ${item.error}`,
+    skipped: '⏭️ Skipped',
+    cancelled: '⏹️ Cancelled'
+  })[item.status] || '',
+  YOUTUBE_QUOTA: (status) => !status.hasKey
+    ? '🔓 No API key: video details are read from the YouTube page (playlists need a key)'
+    : status.exhausted
+    ? `⏰ YouTube quota used up today · videos are read from the YouTube page until the reset in ${status.resetsIn}`
+    : `📊 YouTube quota: ${status.used.toLocaleString()} of ${status.budget.toLocaleString()} units used today${status.isSharedKey ? ' (shared key)' : ''} · resets in ${status.resetsIn}`,
+  LOADING_PLAYLIST: '📚 Loading playlist...',
+  PLAYLIST_LOADED: (title, count, total) => `📚 ${title}: ${count} video${count === 1 ? '' : 's'}${total > count ? ` (first ${count} of ${total})` : ''}`,
+  PLAYLIST_OVERVIEW: (overview, done, total) => ({
+    running: '📚 Writing the playlist overview...',
+    done: '✅ Playlist overview saved to history',
+    error: `❌ ${overview.error}`
+  })[overview.status] || `📚 Overview card: ${done} of ${total} video${total === 1 ? '' : 's'} summarized`,
+  BACKUP_CREATED: (count) => `💾 Backup saved (${count} card${count === 1 ? '' : 's'})`,
+  BACKUP_RESTORED: (added, skipped) => `✅ Restored ${added} card${added === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} duplicate${skipped === 1 ? '' : 's'}` : ''}`,
+  RULE_SAVED: (domain) => `✅ Extraction rule saved for ${domain}`,
+  RULE_DELETED: (domain) => `🗑️ Extraction rule for ${domain} deleted`,
+  BOILERPLATE_RESET: (domain) => domain ? `🧹 Learned boilerplate for ${domain} forgotten` : '🧹 Learned boilerplate forgotten for all sites'
+};
+
+// Shown above extracted page content (codes come from content-extractor.js diagnostics)
+export const EXTRACTION_WARNINGS = {
+  'paywall': 'This page looks paywalled — only the free part may have been extracted.',
+  'cookie-wall': 'A cookie consent banner may have been captured instead of the article.',
+  'short-content': 'Very little text was found. The page may still be loading or need a login.',
+  'no-main-content': 'The main content could not be located, so all text on the page was used.',
+  'truncated': 'The page is very long; only the first part was extracted.'
 };
 
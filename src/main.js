@@ -7,27 +7,58 @@
 import { CONFIG, STATUS_MESSAGES, ERROR_MESSAGES } from './config/constants.js';
 
 // Utils
-import { extractVideoId, isYouTubeUrl, buildYouTubeUrl } from './utils/url.js';
+import { extractVideoId, extractPlaylistId, isYouTubeUrl, isYouTubePlaylistUrl, isValidHttpUrl, buildYouTubeUrl, getHostname } from './utils/url.js';
 import { saveString, loadString } from './utils/storage.js';
-import { show, hide, hideAll, enableButton, disableButton, setText, setValue, setHTML } from './utils/dom.js';
+import { show, hide, hideAll, enableButton, disableButton, setText, setValue, setHTML, escapeHtml } from './utils/dom.js';
 import { isEmpty } from './utils/validation.js';
-import { saveSummaryCard, getSavedCards, deleteSavedCard, clearAllSavedCards } from './utils/chrome-storage.js';
+import { isAbortError } from './utils/stream.js';
+import { parseTags, formatTags, suggestTags } from './utils/tags.js';
+import { getCardMeta } from './utils/card.js';
+import { outlineToText } from './utils/outline.js';
+import { getSiteRules, getSiteRuleForUrl, saveSiteRule, deleteSiteRule, createSiteRule, normalizeDomain } from './utils/site-rules.js';
+import { getLearnedBoilerplate, forgetBoilerplateBlock, resetBoilerplate } from './utils/boilerplate.js';
+import {
+  saveSummaryCard,
+  getSavedCardById,
+  searchSavedCards,
+  getSavedCardDomains,
+  getSavedCardLabels,
+  updateSavedCardLabels,
+  deleteSavedCard,
+  clearAllSavedCards
+} from './utils/chrome-storage.js';
 
 // API
 import { 
   fetchVideoFromUrl, 
+  attachTranscript,
   getThumbnailUrl, 
   getVideoTitle, 
   getVideoDescription, 
   getChannelName 
 } from './api/youtube.js';
+import { getQuotaStatus } from './api/youtube-client.js';
 import { getModelDefaults, resetSession as resetAISession } from './api/ai.js';
 
 // Services
-import { autoDetectContent, extractContentFromUrl } from './services/content-extractor.js';
-import { generateSummary, prepareContent, formatSummaryForDisplay } from './services/summary.js';
-import { exportCardAsPng, copySummaryText, copyUrl, getSocialShareHandler } from './services/export.js';
+import {
+  autoDetectContent,
+  extractWebContent,
+  extractContentFromUrl,
+  extractContentFromLink,
+  getSelectedText,
+  pickContent,
+  cancelContentPicker,
+  listWindowTabs
+} from './services/content-extractor.js';
+import { generateSummary, prepareContent, formatSummaryForDisplay, getPageContentType } from './services/summary.js';
+import { exportCardAsPng, exportCardsAsText, copySummaryText, copyUrl, getSocialShareHandler } from './services/export.js';
 import { translate, getLanguageName } from './services/translation.js';
+import { downloadBackup, parseBackup, restoreBackup } from './services/backup.js';
+import { parseDocumentFile, ACCEPTED_FILE_EXTENSIONS } from './services/documents.js';
+import { createBatchQueue, summarizeTab, BATCH_STATUS } from './services/batch.js';
+import { seekMediaInTab } from './services/media.js';
+import { loadPlaylist, generatePlaylistOverview } from './services/playlist.js';
 
 // UI
 import { 
@@ -43,12 +74,18 @@ import {
 import {
   initDisplayElements,
   displayContentSelection,
+  updateContentStats,
+  updateSectionPickerCount,
+  getExcludedSections,
   displayCard,
+  setCardSource,
   hideContentSelection,
   hideCard,
   updateCardSummary,
+  streamCardSummary,
   getCardElement,
-  getSummaryElement
+  getSummaryElement,
+  setSummaryLinkHandler
 } from './ui/display.js';
 
 // ==================== STATE ====================
@@ -58,7 +95,22 @@ const state = {
   currentContentType: null, // 'youtube' or 'webpage'
   originalSummary: null,
   originalTitle: null,
-  isTranslated: false
+  isTranslated: false,
+  generationController: null, // AbortController for the summary being generated
+  historyPage: 1,
+  savedCardId: null, // History ID of the card on display, once saved
+  cardMeta: {}, // Source metadata of the card on display (author, dates, summary type, language)
+  translatedLanguage: null,
+  historySelection: new Set(), // Card IDs selected for export
+  pendingRestore: null, // Parsed backup waiting for merge/replace choice
+  batchTabs: [], // http(s) tabs in this window
+  batchSelection: new Set(), // Tab IDs ticked for batch summarization
+  batchItems: [], // Queue items (status per tab)
+  playlist: null, // YouTube playlist listed in the Batch tab instead of open tabs
+  playlistOverview: null, // { status, cardId, error } of the playlist's overview card
+  lastContextRequestId: null, // Last context menu request handled
+  siteRules: [], // Saved per-domain extraction rules
+  pickerTabId: null // Tab with a running content picker
 };
 
 // ==================== DOM ELEMENTS ====================
@@ -73,14 +125,21 @@ const elements = {
   
   // Buttons
   buttonAutoDetect: document.getElementById('button-auto-detect'),
+  buttonPickContent: document.getElementById('button-pick-content'),
+  buttonPickRefine: document.getElementById('button-pick-refine'),
+  fileDropZone: document.getElementById('file-drop-zone'),
+  fileInput: document.getElementById('file-input'),
   buttonFetch: document.getElementById('button-fetch'),
   buttonReset: document.getElementById('button-reset'),
   buttonProceed: document.getElementById('button-proceed'),
   buttonCancelSelection: document.getElementById('button-cancel-selection'),
+  buttonStopGeneration: document.getElementById('button-stop-generation'),
   buttonSaveCard: document.getElementById('button-save-card'),
   buttonDownload: document.getElementById('button-download'),
   buttonTranslate: document.getElementById('button-translate'),
   buttonShareCard: document.getElementById('button-share-card'),
+  buttonExportText: document.getElementById('button-export-text'),
+  exportOptions: document.getElementById('export-options'),
   buttonRestoreOriginal: document.getElementById('button-restore-original'),
   buttonClearHistory: document.getElementById('button-clear-history'),
   
@@ -102,9 +161,17 @@ const elements = {
   previewChannel: document.getElementById('preview-channel'),
   descriptionText: document.getElementById('description-text'),
   contentLabel: document.getElementById('content-label'),
+  extractionWarnings: document.getElementById('extraction-warnings'),
   contentStats: document.getElementById('content-stats'),
   contentCharCount: document.getElementById('content-char-count'),
   contentWordCount: document.getElementById('content-word-count'),
+  contentPageStat: document.getElementById('content-page-stat'),
+  contentPageCount: document.getElementById('content-page-count'),
+  contentBoilerplateStat: document.getElementById('content-boilerplate-stat'),
+  contentBoilerplateCount: document.getElementById('content-boilerplate-count'),
+  sectionPicker: document.getElementById('section-picker'),
+  sectionPickerCount: document.getElementById('section-picker-count'),
+  sectionList: document.getElementById('section-list'),
   
   // Card
   cardContainer: document.getElementById('card-container'),
@@ -114,6 +181,11 @@ const elements = {
   cardVideoLink: document.getElementById('card-video-link'),
   cardTimestamp: document.getElementById('card-timestamp'),
   cardPersonalNotes: document.getElementById('card-personal-notes'),
+  cardTags: document.getElementById('card-tags'),
+  cardCollection: document.getElementById('card-collection'),
+  cardTagSuggestions: document.getElementById('card-tag-suggestions'),
+  tagOptions: document.getElementById('tag-options'),
+  collectionOptions: document.getElementById('collection-options'),
   cardPersonalNotesSection: document.getElementById('card-personal-notes-section'),
   
   // Translation
@@ -129,9 +201,49 @@ const elements = {
   // Tabs
   tabNew: document.getElementById('tab-new'),
   tabHistory: document.getElementById('tab-history'),
+  tabBatch: document.getElementById('tab-batch'),
+  batchContent: document.getElementById('batch-content'),
+  buttonRefreshTabs: document.getElementById('button-refresh-tabs'),
+  batchSelectAll: document.getElementById('batch-select-all'),
+  batchList: document.getElementById('batch-list'),
+  buttonStartBatch: document.getElementById('button-start-batch'),
+  batchStartText: document.getElementById('batch-start-text'),
+  buttonCancelBatch: document.getElementById('button-cancel-batch'),
+  batchTitle: document.getElementById('batch-title'),
+  buttonClosePlaylist: document.getElementById('button-close-playlist'),
+  playlistOverview: document.getElementById('playlist-overview'),
+  playlistOverviewStatus: document.getElementById('playlist-overview-status'),
+  buttonCreateOverview: document.getElementById('button-create-overview'),
+  buttonViewOverview: document.getElementById('button-view-overview'),
+  playlistNotice: document.getElementById('playlist-notice'),
+  buttonSummarizePlaylist: document.getElementById('button-summarize-playlist'),
   newSummaryContent: document.getElementById('new-summary-content'),
   historyContent: document.getElementById('history-content'),
   historyList: document.getElementById('history-list'),
+  historySearch: document.getElementById('history-search'),
+  historyFilterType: document.getElementById('history-filter-type'),
+  historyFilterDomain: document.getElementById('history-filter-domain'),
+  historyFilterTag: document.getElementById('history-filter-tag'),
+  historyFilterCollection: document.getElementById('history-filter-collection'),
+  historySort: document.getElementById('history-sort'),
+  historyDateFrom: document.getElementById('history-date-from'),
+  historyDateTo: document.getElementById('history-date-to'),
+  historyCount: document.getElementById('history-count'),
+  historyPagination: document.getElementById('history-pagination'),
+  historyPrev: document.getElementById('history-prev'),
+  historyNext: document.getElementById('history-next'),
+  historyPageInfo: document.getElementById('history-page-info'),
+  historySelectPage: document.getElementById('history-select-page'),
+  historyExportFormat: document.getElementById('history-export-format'),
+  buttonExportHistory: document.getElementById('button-export-history'),
+  buttonBackupHistory: document.getElementById('button-backup-history'),
+  buttonRestoreHistory: document.getElementById('button-restore-history'),
+  restoreFileInput: document.getElementById('restore-file-input'),
+  restoreOptions: document.getElementById('restore-options'),
+  restoreSummary: document.getElementById('restore-summary'),
+  buttonRestoreMerge: document.getElementById('button-restore-merge'),
+  buttonRestoreReplace: document.getElementById('button-restore-replace'),
+  buttonRestoreCancel: document.getElementById('button-restore-cancel'),
   
   // AI Settings
   sliderTemperature: document.getElementById('temperature'),
@@ -146,7 +258,29 @@ const elements = {
   testApiKeyButton: document.getElementById('test-api-key'),
   clearApiKeyButton: document.getElementById('clear-api-key'),
   apiKeyStatus: document.getElementById('api-key-status'),
-  apiKeyError: document.getElementById('api-key-error')
+  apiKeyError: document.getElementById('api-key-error'),
+  youtubeQuota: document.getElementById('youtube-quota'),
+  
+  // Extraction rules
+  extractionRules: document.getElementById('extraction-rules'),
+  ruleDomain: document.getElementById('rule-domain'),
+  ruleSaved: document.getElementById('rule-saved'),
+  ruleInclude: document.getElementById('rule-include'),
+  ruleExclude: document.getElementById('rule-exclude'),
+  ruleTitle: document.getElementById('rule-title'),
+  ruleAuthor: document.getElementById('rule-author'),
+  ruleDate: document.getElementById('rule-date'),
+  ruleRenderPages: document.getElementById('rule-render-pages'),
+  buttonSaveRule: document.getElementById('button-save-rule'),
+  buttonPreviewRule: document.getElementById('button-preview-rule'),
+  buttonDeleteRule: document.getElementById('button-delete-rule'),
+  rulePreview: document.getElementById('rule-preview'),
+  rulePreviewMeta: document.getElementById('rule-preview-meta'),
+  rulePreviewContent: document.getElementById('rule-preview-content'),
+  boilerplateSummary: document.getElementById('boilerplate-summary'),
+  boilerplateList: document.getElementById('boilerplate-list'),
+  buttonResetBoilerplate: document.getElementById('button-reset-boilerplate'),
+  buttonResetAllBoilerplate: document.getElementById('button-reset-all-boilerplate')
 };
 
 // ==================== INITIALIZATION ====================
@@ -177,25 +311,39 @@ async function init() {
     previewChannel: elements.previewChannel,
     descriptionText: elements.descriptionText,
     contentLabel: elements.contentLabel,
+    extractionWarnings: elements.extractionWarnings,
     contentStats: elements.contentStats,
     contentCharCount: elements.contentCharCount,
     contentWordCount: elements.contentWordCount,
+    contentPageStat: elements.contentPageStat,
+    contentPageCount: elements.contentPageCount,
+    contentBoilerplateStat: elements.contentBoilerplateStat,
+    contentBoilerplateCount: elements.contentBoilerplateCount,
+    sectionPicker: elements.sectionPicker,
+    sectionPickerCount: elements.sectionPickerCount,
+    sectionList: elements.sectionList,
     translationOptions: elements.translationOptions,
     translationInfo: elements.translationInfo,
     translationLanguage: elements.translationLanguage
   });
+  // Chapter links seek open pages; playlist overviews link to video cards
+  setSummaryLinkHandler(handleSummaryLink);
   
   // Load saved data
   loadSavedData();
   
   // Load API key
   await loadCurrentApiKey();
+  renderYouTubeQuota();
   
   // Initialize AI settings
   await initAISettings();
   
   // Setup event listeners
   setupEventListeners();
+  
+  // Handle a context menu request that opened the panel
+  checkPendingRequest();
 }
 
 /**
@@ -260,29 +408,138 @@ function setupEventListeners() {
   
   // Description textarea paste handler
   elements.descriptionText.addEventListener('paste', handlePaste);
+  elements.descriptionText.addEventListener('input', () => updateContentStats(elements.descriptionText.value));
+  elements.sectionList?.addEventListener('change', handleSectionToggle);
   
   // Main action buttons
   elements.buttonAutoDetect.addEventListener('click', handleAutoDetect);
+  elements.buttonPickContent?.addEventListener('click', handlePickContent);
+  elements.buttonPickRefine?.addEventListener('click', handlePickContent);
+  
+  // Local files (drop zone doubles as a file picker)
+  if (elements.fileInput) elements.fileInput.accept = ACCEPTED_FILE_EXTENSIONS;
+  elements.fileDropZone?.addEventListener('click', () => elements.fileInput?.click());
+  elements.fileDropZone?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      elements.fileInput?.click();
+    }
+  });
+  elements.fileInput?.addEventListener('change', () => {
+    handleFileSelected(elements.fileInput.files?.[0]);
+    elements.fileInput.value = ''; // Allow choosing the same file again
+  });
+  elements.fileDropZone?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    elements.fileDropZone.classList.add('drag-over');
+  });
+  elements.fileDropZone?.addEventListener('dragleave', () => {
+    elements.fileDropZone.classList.remove('drag-over');
+  });
+  elements.fileDropZone?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    elements.fileDropZone.classList.remove('drag-over');
+    handleFileSelected(e.dataTransfer?.files?.[0]);
+  });
   elements.buttonFetch.addEventListener('click', handleFetch);
   elements.buttonProceed.addEventListener('click', handleGenerateSummary);
   elements.buttonCancelSelection.addEventListener('click', handleCancelSelection);
+  elements.buttonStopGeneration?.addEventListener('click', handleStopGeneration);
   elements.buttonReset.addEventListener('click', handleReset);
   
   // Tabs
   elements.tabNew?.addEventListener('click', () => switchTab('new'));
   elements.tabHistory?.addEventListener('click', () => switchTab('history'));
+  elements.tabBatch?.addEventListener('click', () => switchTab('batch'));
+  
+  // Context menu requests arriving while the panel is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'session' && changes[CONFIG.PENDING_REQUEST_KEY]?.newValue) {
+      checkPendingRequest();
+    }
+    // Quota spent by any YouTube request, or a different key in use
+    if ((area === 'local' && changes[CONFIG.YOUTUBE_QUOTA_KEY]) || (area === 'sync' && changes.user_youtube_api_key)) {
+      renderYouTubeQuota();
+    }
+  });
+  
+  // Batch summarization
+  elements.buttonRefreshTabs?.addEventListener('click', loadBatchTabs);
+  elements.batchSelectAll?.addEventListener('change', handleSelectAllTabs);
+  elements.buttonStartBatch?.addEventListener('click', handleStartBatch);
+  elements.buttonCancelBatch?.addEventListener('click', () => batchQueue.cancel());
+  
+  // Playlists
+  elements.buttonSummarizePlaylist?.addEventListener('click', () => handleLoadPlaylist(elements.youtubeUrlInput.value.trim()));
+  elements.buttonClosePlaylist?.addEventListener('click', handleClosePlaylist);
+  elements.buttonCreateOverview?.addEventListener('click', handleCreateOverview);
+  elements.buttonViewOverview?.addEventListener('click', () => handleViewCard(state.playlistOverview?.cardId));
   
   // Card actions
   elements.buttonSaveCard?.addEventListener('click', handleSaveCard);
+  elements.cardTags?.addEventListener('change', handleCardLabelsChange);
+  elements.cardCollection?.addEventListener('change', handleCardLabelsChange);
   elements.buttonDownload.addEventListener('click', handleDownload);
   elements.buttonClearHistory?.addEventListener('click', handleClearHistory);
   
+  // History search & filters (any change goes back to the first page)
+  let searchTimer = null;
+  elements.historySearch?.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => refreshHistory(1), CONFIG.HISTORY_SEARCH_DEBOUNCE_MS);
+  });
+  [
+    elements.historyFilterType,
+    elements.historyFilterDomain,
+    elements.historyFilterTag,
+    elements.historyFilterCollection,
+    elements.historySort,
+    elements.historyDateFrom,
+    elements.historyDateTo
+  ].forEach(el => el?.addEventListener('change', () => refreshHistory(1)));
+  elements.historyPrev?.addEventListener('click', () => refreshHistory(state.historyPage - 1));
+  elements.historyNext?.addEventListener('click', () => refreshHistory(state.historyPage + 1));
+  elements.historySelectPage?.addEventListener('change', handleSelectHistoryPage);
+  elements.buttonExportHistory?.addEventListener('click', handleExportHistory);
+  
+  // Backup & restore
+  elements.buttonBackupHistory?.addEventListener('click', handleBackupHistory);
+  elements.buttonRestoreHistory?.addEventListener('click', () => elements.restoreFileInput?.click());
+  elements.restoreFileInput?.addEventListener('change', handleRestoreFile);
+  elements.buttonRestoreMerge?.addEventListener('click', () => handleConfirmRestore('merge'));
+  elements.buttonRestoreReplace?.addEventListener('click', () => handleConfirmRestore('replace'));
+  elements.buttonRestoreCancel?.addEventListener('click', handleCancelRestore);
+  
   // API Key actions
   elements.toggleApiKeyButton?.addEventListener('click', handleToggleApiKeyVisibility);
   elements.saveApiKeyButton?.addEventListener('click', handleSaveApiKey);
   elements.testApiKeyButton?.addEventListener('click', handleTestApiKey);
   elements.clearApiKeyButton?.addEventListener('click', handleClearApiKey);
   
+  // Extraction rules (editing a field refreshes the live preview)
+  elements.extractionRules?.addEventListener('toggle', () => {
+    if (elements.extractionRules.open) handleOpenRules();
+  });
+  elements.ruleSaved?.addEventListener('change', handleSelectSavedRule);
+  elements.buttonSaveRule?.addEventListener('click', handleSaveRule);
+  elements.buttonPreviewRule?.addEventListener('click', handlePreviewRule);
+  elements.buttonDeleteRule?.addEventListener('click', handleDeleteRule);
+  elements.ruleDomain?.addEventListener('change', loadLearnedBoilerplate);
+  elements.boilerplateList?.addEventListener('click', handleForgetBoilerplateBlock);
+  elements.buttonResetBoilerplate?.addEventListener('click', handleResetBoilerplate);
+  elements.buttonResetAllBoilerplate?.addEventListener('click', handleResetAllBoilerplate);
+  let rulePreviewTimer = null;
+  [
+    elements.ruleInclude,
+    elements.ruleExclude,
+    elements.ruleTitle,
+    elements.ruleAuthor,
+    elements.ruleDate
+  ].forEach(el => el?.addEventListener('input', () => {
+    clearTimeout(rulePreviewTimer);
+    rulePreviewTimer = setTimeout(handlePreviewRule, CONFIG.RULE_PREVIEW_DEBOUNCE_MS);
+  }));
+  
   // Translation
   elements.buttonTranslate.addEventListener('click', handleTranslate);
   elements.buttonConfirmTranslate?.addEventListener('click', handleConfirmTranslate);
@@ -292,6 +549,12 @@ function setupEventListeners() {
   // Share
   elements.buttonShareCard?.addEventListener('click', handleShareCard);
   
+  // Text export
+  elements.buttonExportText?.addEventListener('click', handleExportText);
+  document.querySelectorAll('.export-btn').forEach(btn => {
+    btn.addEventListener('click', () => handleExportCard(btn.dataset.format));
+  });
+  
   // Social share
   elements.shareTwitter.addEventListener('click', () => handleSocialShare('twitter'));
   elements.shareLinkedin.addEventListener('click', () => handleSocialShare('linkedin'));
@@ -326,6 +589,29 @@ function handlePaste(e) {
   document.execCommand('insertText', false, text);
 }
 
+/**
+ * Include or exclude a section (and its subsections) from the summary
+ * The content box is updated to show what will be summarized
+ */
+function handleSectionToggle(e) {
+  const box = e.target.closest('input[data-section-id]');
+  const outline = state.currentVideoData?.outline;
+  if (!box || !outline) return;
+  
+  // Subsections follow their section with a greater depth
+  const depth = Number(box.dataset.depth);
+  const boxes = Array.from(elements.sectionList.querySelectorAll('input[data-section-id]'));
+  for (const next of boxes.slice(boxes.indexOf(box) + 1)) {
+    if (Number(next.dataset.depth) <= depth) break;
+    next.checked = box.checked;
+  }
+  
+  updateSectionPickerCount();
+  const text = outlineToText(outline, getExcludedSections());
+  setValue(elements.descriptionText, text);
+  updateContentStats(text);
+}
+
 /**
  * Handle auto-detect button
  */
@@ -335,20 +621,30 @@ async function handleAutoDetect() {
   showStatus(STATUS_MESSAGES.DETECTING_PAGE);
   
   try {
-    const result = await autoDetectContent();
+    const result = await autoDetectContent({ onProgress: showStatus });
     
-    if (result.type === 'youtube') {
+    if (result.type === 'playlist') {
+      // YouTube playlist page: summarize its videos in the Batch tab
+      setValue(elements.youtubeUrlInput, result.url);
+      validateInputs();
+      await handleLoadPlaylist(result.url);
+      
+    } else if (result.type === 'youtube') {
       // YouTube video
       state.currentContentType = CONFIG.CONTENT_TYPES.YOUTUBE;
       setValue(elements.youtubeUrlInput, result.url);
       validateInputs(); // Re-enable fetch button
       showStatus(STATUS_MESSAGES.FETCHING_VIDEO);
       
-      const videoData = await fetchVideoFromUrl(result.url);
+      const videoData = await fetchVideoFromUrl(result.url, result.tabId);
+      
+      showStatus(STATUS_MESSAGES.FETCHING_TRANSCRIPT);
+      await attachTranscript(videoData, result.tabId);
       state.currentVideoData = videoData;
       
       hideLoading();
       displayContentSelection(videoData, 'youtube');
+      updatePlaylistNotice(result.url);
       enableButton(elements.buttonReset);
       
     } else if (result.type === 'webpage') {
@@ -360,6 +656,7 @@ async function handleAutoDetect() {
       
       hideLoading();
       displayContentSelection(result.data, 'webpage');
+      updatePlaylistNotice('');
       enableButton(elements.buttonReset);
     }
     
@@ -370,6 +667,107 @@ async function handleAutoDetect() {
   }
 }
 
+/**
+ * Show text taken from a page (a selection or picked regions) for summarizing
+ * @param {object} source - { url, title, content } plus a flag such as isSelection or isPicked
+ */
+function displayPageText(source) {
+  const data = {
+    type: 'webpage',
+    subtitle: '',
+    image: '',
+    description: '',
+    author: '',
+    ...source,
+    content: source.content.trim()
+  };
+  
+  state.currentContentType = CONFIG.CONTENT_TYPES.WEBPAGE;
+  state.currentVideoData = data;
+  setValue(elements.youtubeUrlInput, data.url);
+  validateInputs();
+  
+  displayContentSelection(data, 'webpage');
+  updatePlaylistNotice('');
+  enableButton(elements.buttonReset);
+}
+
+/**
+ * Read a dropped or picked file and show its text for summarizing
+ * @param {File} file - Local file
+ */
+async function handleFileSelected(file) {
+  if (!file) return;
+  
+  hideAllStatus();
+  showLoading();
+  
+  try {
+    const fileData = await parseDocumentFile(file, { onProgress: showStatus });
+    
+    state.currentContentType = CONFIG.CONTENT_TYPES.WEBPAGE;
+    state.currentVideoData = fileData;
+    // Files have no URL; clear any previous one so the card isn't linked to it
+    setValue(elements.youtubeUrlInput, '');
+    validateInputs();
+    
+    hideLoading();
+    hideAllStatus();
+    displayContentSelection(fileData, 'webpage');
+    updatePlaylistNotice('');
+    enableButton(elements.buttonReset);
+  } catch (error) {
+    hideLoading();
+    showError(error.message || 'Failed to read the file.');
+  }
+}
+
+/**
+ * Start the on-page content picker, or cancel it if it is running
+ */
+async function handlePickContent() {
+  if (state.pickerTabId !== null) {
+    cancelContentPicker(state.pickerTabId);
+    return;
+  }
+  
+  hideAllStatus();
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  const tab = tabs[0];
+  if (!tab?.url || !isValidHttpUrl(tab.url)) {
+    showError(ERROR_MESSAGES.PICK_UNAVAILABLE);
+    return;
+  }
+  
+  state.pickerTabId = tab.id;
+  elements.buttonPickContent?.classList.add('active');
+  showStatus(STATUS_MESSAGES.PICKING_CONTENT);
+  
+  try {
+    const result = await pickContent(tab.id);
+    hideAllStatus();
+    
+    if (result.cancelled) {
+      showStatus(STATUS_MESSAGES.PICK_CANCELLED, 2000);
+    } else if (isEmpty(result.content)) {
+      showError(ERROR_MESSAGES.PICK_EMPTY);
+    } else {
+      displayPageText({
+        url: result.url,
+        title: result.title || 'Picked Content',
+        content: result.content,
+        isPicked: true
+      });
+    }
+  } catch (error) {
+    hideAllStatus();
+    showError(error.message || 'Content picking failed');
+  } finally {
+    state.pickerTabId = null;
+    elements.buttonPickContent?.classList.remove('active');
+  }
+}
+
 /**
  * Handle fetch button
  */
@@ -380,26 +778,34 @@ async function handleFetch() {
   const url = elements.youtubeUrlInput.value.trim();
   
   try {
-    if (isYouTubeUrl(url)) {
+    if (isYouTubePlaylistUrl(url)) {
+      await handleLoadPlaylist(url);
+      
+    } else if (isYouTubeUrl(url)) {
       state.currentContentType = CONFIG.CONTENT_TYPES.YOUTUBE;
       showStatus(STATUS_MESSAGES.FETCHING_VIDEO);
       
       const videoData = await fetchVideoFromUrl(url);
+      
+      showStatus(STATUS_MESSAGES.FETCHING_TRANSCRIPT);
+      await attachTranscript(videoData);
       state.currentVideoData = videoData;
       
       hideLoading();
       displayContentSelection(videoData, 'youtube');
+      updatePlaylistNotice(url);
       enableButton(elements.buttonReset);
       
     } else {
       state.currentContentType = CONFIG.CONTENT_TYPES.WEBPAGE;
       showStatus(STATUS_MESSAGES.EXTRACTING_CONTENT);
       
-      const webpageData = await extractContentFromUrl(url);
+      const webpageData = await extractContentFromUrl(url, { onProgress: showStatus });
       state.currentVideoData = webpageData;
       
       hideLoading();
       displayContentSelection(webpageData, 'webpage');
+      updatePlaylistNotice('');
       enableButton(elements.buttonReset);
     }
     
@@ -417,7 +823,7 @@ async function handleGenerateSummary() {
   if (!state.currentVideoData) return;
   
   hideContentSelection();
-  showLoading();
+  showLoading(STATUS_MESSAGES.GENERATING_SUMMARY);
   
   // Clear personal notes for new card generation
   if (elements.cardPersonalNotes) {
@@ -425,17 +831,43 @@ async function handleGenerateSummary() {
   }
   
   const customPrompt = elements.customPromptInput.value.trim();
+  const contentData = state.currentVideoData;
+  const contentType = state.currentContentType;
+  resetCardLabels(contentData);
+  
+  // Stop button aborts generation; partial output is kept
+  const controller = new AbortController();
+  state.generationController = controller;
+  show(elements.buttonStopGeneration);
+  
+  let streamedMarkdown = '';
+  const handleChunk = (markdown) => {
+    if (!streamedMarkdown) {
+      // First chunk: swap the spinner for the card and render into it as text arrives
+      hideLoading();
+      displayCard(contentData, { html: '' }, contentType);
+      showStatus(STATUS_MESSAGES.STREAMING_SUMMARY);
+    }
+    streamedMarkdown = markdown;
+    streamCardSummary(formatSummaryForDisplay(markdown));
+  };
   
   try {
     // Prepare content (always include description and captions)
     // Following Terra's approach: structured content with title, subtitle, and body
-    const { title, subtitle, content } = prepareContent(
+    const { title, subtitle, content: preparedContent } = prepareContent(
       state.currentVideoData,
       state.currentContentType,
       true,  // Always include description
       true   // Always include captions
     );
     
+    // Sections unchecked in the outline are left out
+    const excludedSections = getExcludedSections();
+    const content = excludedSections.size > 0 && contentData.outline?.length
+      ? outlineToText(contentData.outline, excludedSections)
+      : preparedContent;
+    
     if (isEmpty(content)) {
       throw new Error(ERROR_MESSAGES.NO_CONTENT_TO_SUMMARIZE);
     }
@@ -443,7 +875,8 @@ async function handleGenerateSummary() {
     // Generate summary
     showStatus(STATUS_MESSAGES.GENERATING_SUMMARY);
     
-    const summaryType = elements.summaryType?.value || 'tldr';
+    const summaryType = elements.summaryType?.value || CONFIG.DEFAULT_SUMMARY_TYPE;
+    state.cardMeta = getCardMeta(contentData, contentType, summaryType);
     const summaryLength = elements.summaryLength?.value || 'long';
     
     const summary = await generateSummary({
@@ -451,11 +884,26 @@ async function handleGenerateSummary() {
       subtitle,  // Pass subtitle for Terra's structured format
       content,
       customPrompt,
-      contentType: state.currentContentType === 'youtube' ? 'YouTube video' : 'article',
+      contentType: state.currentContentType === 'youtube' ? 'YouTube video'
+        : getPageContentType(state.currentVideoData),
       temperature: parseFloat(elements.sliderTemperature.value),
       topK: parseInt(elements.sliderTopK.value),
       summaryType,
-      summaryLength
+      summaryLength,
+      transcript: state.currentVideoData?.transcript?.segments,
+      videoId: state.currentContentType === 'youtube' ? state.currentVideoData?.id : '',
+      media: state.currentContentType === 'youtube' ? null : state.currentVideoData?.media,
+      // Show notes of web pages can carry chapter markers too
+      description: state.currentVideoData?.snippet?.description || state.currentVideoData?.content || '',
+      outline: contentData.outline,
+      excludedSections,
+      onProgress: (stage, current, total) => {
+        const message = STATUS_MESSAGES.SUMMARY_PROGRESS(stage, current, total);
+        // Once the card is streaming, stages are reported in the status line
+        if (streamedMarkdown) showStatus(message); else showLoading(message);
+      },
+      onChunk: handleChunk,
+      signal: controller.signal
     });
     
     // Store original for translation
@@ -463,16 +911,45 @@ async function handleGenerateSummary() {
     
     // Display card
     hideLoading();
-    displayCard(state.currentVideoData, summary, state.currentContentType);
+    displayCard(contentData, summary, contentType);
     showStatus(STATUS_MESSAGES.SUCCESS, 3000);
     
   } catch (error) {
     hideLoading();
+    
+    if (isAbortError(error)) {
+      // Nothing to restore if the panel was reset while generating
+      if (state.currentVideoData !== contentData) return;
+      
+      if (streamedMarkdown) {
+        // Keep what was generated before Stop was pressed
+        const html = formatSummaryForDisplay(streamedMarkdown);
+        state.originalSummary = html;
+        displayCard(contentData, { markdown: streamedMarkdown, html }, contentType);
+      } else if (contentData) {
+        displayContentSelection(contentData, contentType);
+      }
+      showStatus(STATUS_MESSAGES.GENERATION_STOPPED, 2000);
+      return;
+    }
+    
     showError(error.message || 'An error occurred. Please try again.');
     // Summary generation error
+  } finally {
+    if (state.generationController === controller) {
+      state.generationController = null;
+      hide(elements.buttonStopGeneration);
+    }
   }
 }
 
+/**
+ * Handle stop generation button
+ */
+function handleStopGeneration() {
+  state.generationController?.abort();
+}
+
 /**
  * Handle cancel selection button
  */
@@ -485,10 +962,12 @@ function handleCancelSelection() {
  * Handle reset button
  */
 function handleReset() {
+  state.generationController?.abort();
   resetState();
   hideAllStatus();
   hideContentSelection();
   hideCard();
+  hide(elements.playlistNotice);
   setValue(elements.youtubeUrlInput, '');
   setValue(elements.descriptionText, '');
   disableButton(elements.buttonReset);
@@ -547,6 +1026,7 @@ function handleTranslate() {
   if (elements.socialShareOptions) {
     hide(elements.socialShareOptions);
   }
+  hide(elements.exportOptions);
 }
 
 /**
@@ -571,6 +1051,34 @@ function handleShareCard() {
   if (elements.translationOptions) {
     hide(elements.translationOptions);
   }
+  hide(elements.exportOptions);
+}
+
+/**
+ * Handle export text button - shows export format options
+ */
+function handleExportText() {
+  show(elements.exportOptions);
+  hide(elements.socialShareOptions);
+  hide(elements.translationOptions);
+}
+
+/**
+ * Export the card on display as text
+ * @param {string} format - 'markdown', 'obsidian', 'json' or 'html'
+ */
+function handleExportCard(format) {
+  try {
+    const card = {
+      id: state.savedCardId || undefined,
+      timestamp: state.cardMeta.timestamp || new Date().toISOString(),
+      ...collectCardData()
+    };
+    exportCardsAsText([card], format);
+    showStatus('📝 Card exported', 1500);
+  } catch (error) {
+    showError(error.message || 'Export failed');
+  }
 }
 
 /**
@@ -654,6 +1162,7 @@ async function handleConfirmTranslate() {
     show(elements.translationInfo);
     
     state.isTranslated = true;
+    state.translatedLanguage = targetLang;
     
     showStatus(`✅ Translated to ${langName}`, 2000);
     
@@ -679,6 +1188,7 @@ function handleRestoreOriginal() {
   
   hide(elements.translationInfo);
   state.isTranslated = false;
+  state.translatedLanguage = null;
   
   showStatus(STATUS_MESSAGES.ORIGINAL_RESTORED, 1500);
 }
@@ -692,6 +1202,9 @@ function resetState() {
   state.originalSummary = null;
   state.originalTitle = null;
   state.isTranslated = false;
+  state.translatedLanguage = null;
+  state.savedCardId = null;
+  state.cardMeta = {};
   resetAISession();
 }
 
@@ -702,21 +1215,35 @@ function switchTab(tab) {
     // Switching to tab
   if (tab === 'new') {
     elements.tabNew?.classList.add('active');
+    elements.tabBatch?.classList.remove('active');
     elements.tabHistory?.classList.remove('active');
     show(elements.newSummaryContent);
+    hide(elements.batchContent);
     hide(elements.historyContent);
     // New Summary visible, History hidden
     // Scroll to top
     if (elements.newSummaryContent) {
       elements.newSummaryContent.scrollTop = 0;
     }
+  } else if (tab === 'batch') {
+    elements.tabNew?.classList.remove('active');
+    elements.tabBatch?.classList.add('active');
+    elements.tabHistory?.classList.remove('active');
+    hide(elements.newSummaryContent);
+    show(elements.batchContent);
+    hide(elements.historyContent);
+    // Batch visible; list the window's tabs
+    loadBatchTabs();
   } else if (tab === 'history') {
     elements.tabNew?.classList.remove('active');
+    elements.tabBatch?.classList.remove('active');
     elements.tabHistory?.classList.add('active');
     hide(elements.newSummaryContent);
+    hide(elements.batchContent);
     show(elements.historyContent);
     // History visible, New Summary hidden
     // Loading history cards
+    loadHistoryFacets();
     loadHistoryCards();
     
     // Scroll to top immediately
@@ -731,22 +1258,37 @@ function switchTab(tab) {
   }
 }
 
+/**
+ * Collect the card on display (including edits) for saving or export
+ * @returns {object} Card data
+ */
+function collectCardData() {
+  return {
+    title: elements.cardTitle?.textContent || '',
+    summary: getSummaryElement()?.innerHTML || '',
+    url: state.cardMeta.url || elements.youtubeUrlInput?.value || '',
+    contentType: state.currentContentType || state.cardMeta.contentType,
+    thumbnail: elements.cardThumbnail?.src || '',
+    personalNotes: document.getElementById('card-personal-notes')?.textContent || '',
+    tags: parseTags(elements.cardTags?.value),
+    collection: elements.cardCollection?.value || '',
+    author: state.cardMeta.author || '',
+    publishDate: state.cardMeta.publishDate || '',
+    summaryType: state.cardMeta.summaryType || '',
+    language: (state.isTranslated ? state.translatedLanguage : state.cardMeta.language) || '',
+    fileName: state.cardMeta.fileName || ''
+  };
+}
+
 /**
  * Handle save card button
  */
 async function handleSaveCard() {
   try {
-    const cardData = {
-      title: elements.cardTitle?.textContent || '',
-      summary: getSummaryElement()?.innerHTML || '',
-      url: elements.youtubeUrlInput?.value || '',
-      contentType: state.currentContentType,
-      thumbnail: elements.cardThumbnail?.src || '',
-      personalNotes: document.getElementById('card-personal-notes')?.textContent || ''
-    };
+    const cardData = collectCardData();
     
     // Saving card data
-    await saveSummaryCard(cardData);
+    state.savedCardId = await saveSummaryCard(cardData);
     // Card saved successfully
     showStatus('✅ Card saved to history!', 2000);
   } catch (error) {
@@ -757,20 +1299,37 @@ async function handleSaveCard() {
 
 /**
  * Load and display history cards
+ * Applies the current search, filters, sort and page
  */
 async function loadHistoryCards() {
   try {
-    const cards = await getSavedCards();
-    // Loading history cards
-    
     if (!elements.historyList) {
       // historyList element not found
       return;
     }
     
+    const filters = getHistoryFilters();
+    const { cards, total, page, pageCount } = await searchSavedCards({
+      ...filters,
+      page: state.historyPage,
+      pageSize: CONFIG.HISTORY_PAGE_SIZE
+    });
+    state.historyPage = page;
+    
+    const isFiltered = Object.values(filters).some(value => value && value !== 'newest');
+    setText(elements.historyCount, total > 0 ? `${total} card${total === 1 ? '' : 's'}` : '');
+    updateHistoryPagination(page, pageCount);
+    
     if (cards.length === 0) {
       // No cards to display, showing empty state
-      elements.historyList.innerHTML = `
+      updateHistoryExport();
+      elements.historyList.innerHTML = isFiltered ? `
+        <div class="empty-state">
+          <span class="icon">🔍</span>
+          <p>No cards match your search</p>
+          <small>Try different keywords or clear the filters</small>
+        </div>
+      ` : `
         <div class="empty-state">
           <span class="icon">📭</span>
           <p>No saved cards yet</p>
@@ -783,14 +1342,22 @@ async function loadHistoryCards() {
     // Displaying cards
     
     const cardsHtml = cards.map(card => `
-      <div class="history-card" data-card-id="${card.id}">
-        <img src="${card.thumbnail || '../images/icon128.png'}" alt="Thumbnail" class="history-thumbnail">
+      <div class="history-card" data-card-id="${escapeHtml(card.id)}">
+        <input type="checkbox" class="history-select" data-card-id="${escapeHtml(card.id)}" title="Select for export"${state.historySelection.has(card.id) ? ' checked' : ''}/>
+        <img src="${escapeHtml(card.thumbnail || '../images/icon128.png')}" alt="Thumbnail" class="history-thumbnail">
         <div class="history-info">
-          <h4>${card.title}</h4>
-          <small>${new Date(card.timestamp).toLocaleDateString()}</small>
+          <h4>${escapeHtml(card.title)}</h4>
+          <small>${new Date(card.timestamp).toLocaleDateString()}${card.fileName ? ` · 📄 ${escapeHtml(card.fileName)}` : card.domain ? ` · ${escapeHtml(card.domain)}` : ''}</small>
+          ${renderCardLabels(card)}
           <div class="history-actions">
-            <button class="btn-view-card" data-card-id="${card.id}">View</button>
-            <button class="btn-delete-card" data-card-id="${card.id}">Delete</button>
+            <button class="btn-view-card" data-card-id="${escapeHtml(card.id)}">View</button>
+            <button class="btn-organize-card" data-card-id="${escapeHtml(card.id)}">Tags</button>
+            <button class="btn-delete-card" data-card-id="${escapeHtml(card.id)}">Delete</button>
+          </div>
+          <div class="history-organize" data-card-id="${escapeHtml(card.id)}" hidden>
+            <input type="text" class="input-field compact-field history-tags-input" list="tag-options" placeholder="Tags, comma separated" value="${escapeHtml(formatTags(card.tags))}"/>
+            <input type="text" class="input-field compact-field history-collection-input" list="collection-options" placeholder="Collection" value="${escapeHtml(card.collection || '')}"/>
+            <button class="btn-save-labels" data-card-id="${escapeHtml(card.id)}">Save</button>
           </div>
         </div>
       </div>
@@ -809,8 +1376,280 @@ async function loadHistoryCards() {
       btn.addEventListener('click', (e) => handleDeleteCard(e.target.dataset.cardId));
     });
     
+    document.querySelectorAll('.btn-organize-card').forEach(btn => {
+      btn.addEventListener('click', (e) => toggleCardOrganizer(e.target.dataset.cardId));
+    });
+    
+    document.querySelectorAll('.btn-save-labels').forEach(btn => {
+      btn.addEventListener('click', (e) => handleSaveCardLabels(e.target.dataset.cardId));
+    });
+    
+    document.querySelectorAll('.history-select').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          state.historySelection.add(e.target.dataset.cardId);
+        } else {
+          state.historySelection.delete(e.target.dataset.cardId);
+        }
+        updateHistoryExport();
+      });
+    });
+    updateHistoryExport();
+    
+    // Clicking a tag or collection chip filters by it
+    elements.historyList.querySelectorAll('.tag-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        if (chip.dataset.tag) setValue(elements.historyFilterTag, chip.dataset.tag);
+        if (chip.dataset.collection) setValue(elements.historyFilterCollection, chip.dataset.collection);
+        refreshHistory(1);
+      });
+    });
+    
   } catch (error) {
     // Failed to load history
+    showError('Failed to load history');
+  }
+}
+
+/**
+ * Read the history search and filter inputs
+ * @returns {object} Query options for searchSavedCards
+ */
+function getHistoryFilters() {
+  return {
+    query: elements.historySearch?.value.trim() || '',
+    contentType: elements.historyFilterType?.value || '',
+    domain: elements.historyFilterDomain?.value || '',
+    tag: elements.historyFilterTag?.value || '',
+    collection: elements.historyFilterCollection?.value || '',
+    dateFrom: elements.historyDateFrom?.value || '',
+    dateTo: elements.historyDateTo?.value || '',
+    sort: elements.historySort?.value || 'newest'
+  };
+}
+
+/**
+ * Reload history at a given page
+ * @param {number} page - Page number (1-based)
+ */
+function refreshHistory(page) {
+  state.historyPage = Math.max(1, page);
+  loadHistoryCards();
+}
+
+/**
+ * Update pagination controls
+ * @param {number} page - Current page
+ * @param {number} pageCount - Total pages
+ */
+function updateHistoryPagination(page, pageCount) {
+  if (pageCount <= 1) {
+    hide(elements.historyPagination);
+    return;
+  }
+  
+  setText(elements.historyPageInfo, `Page ${page} of ${pageCount}`);
+  if (page > 1) enableButton(elements.historyPrev); else disableButton(elements.historyPrev);
+  if (page < pageCount) enableButton(elements.historyNext); else disableButton(elements.historyNext);
+  show(elements.historyPagination);
+}
+
+/**
+ * Update the export button and "select page" checkbox for the current selection
+ */
+function updateHistoryExport() {
+  const count = state.historySelection.size;
+  setText(elements.buttonExportHistory, `Export (${count})`);
+  if (count > 0) enableButton(elements.buttonExportHistory); else disableButton(elements.buttonExportHistory);
+  
+  const pageBoxes = [...document.querySelectorAll('.history-select')];
+  if (elements.historySelectPage) {
+    elements.historySelectPage.checked = pageBoxes.length > 0 && pageBoxes.every(box => box.checked);
+  }
+}
+
+/**
+ * Select or deselect every card on the current history page
+ */
+function handleSelectHistoryPage() {
+  const checked = elements.historySelectPage?.checked;
+  
+  document.querySelectorAll('.history-select').forEach(box => {
+    box.checked = checked;
+    if (checked) {
+      state.historySelection.add(box.dataset.cardId);
+    } else {
+      state.historySelection.delete(box.dataset.cardId);
+    }
+  });
+  
+  updateHistoryExport();
+}
+
+/**
+ * Export the selected history cards in the chosen format
+ */
+async function handleExportHistory() {
+  try {
+    const cards = (await Promise.all([...state.historySelection].map(getSavedCardById)))
+      .filter(Boolean);
+    const format = elements.historyExportFormat?.value || 'markdown';
+    
+    exportCardsAsText(cards, format);
+    showStatus(`📝 Exported ${cards.length} card${cards.length === 1 ? '' : 's'}`, 2000);
+  } catch (error) {
+    showError(error.message || 'Export failed');
+  }
+}
+
+/**
+ * Render collection and tag chips for a history card
+ * @param {object} card - Saved card
+ * @returns {string} HTML ('' if the card has no labels)
+ */
+function renderCardLabels(card) {
+  const tags = card.tags || [];
+  if (!card.collection && tags.length === 0) return '';
+  
+  const collectionChip = card.collection
+    ? `<button class="tag-chip collection-chip" data-collection="${escapeHtml(card.collection)}">📁 ${escapeHtml(card.collection)}</button>`
+    : '';
+  const tagChips = tags
+    .map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+    .join('');
+  
+  return `<div class="history-labels">${collectionChip}${tagChips}</div>`;
+}
+
+/**
+ * Replace the options of a filter select, keeping the current selection if still present
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} allLabel - Label for the empty "all" option
+ * @param {Array<string>} values - Option values
+ */
+function fillFilterSelect(select, allLabel, values) {
+  if (!select) return;
+  
+  const selected = select.value;
+  select.innerHTML = `<option value="">${allLabel}</option>` +
+    values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+  select.value = values.includes(selected) ? selected : '';
+}
+
+/**
+ * Fill a datalist used for autocompletion
+ * @param {HTMLDataListElement} datalist - Datalist element
+ * @param {Array<string>} values - Suggestions
+ */
+function fillDatalist(datalist, values) {
+  if (!datalist) return;
+  datalist.innerHTML = values.map(value => `<option value="${escapeHtml(value)}"></option>`).join('');
+}
+
+/**
+ * Populate the site, tag and collection filters (and label autocompletion) from saved cards
+ */
+async function loadHistoryFacets() {
+  const [domains, { tags, collections }] = await Promise.all([
+    getSavedCardDomains(),
+    getSavedCardLabels()
+  ]);
+  
+  fillFilterSelect(elements.historyFilterDomain, 'All sites', domains);
+  fillFilterSelect(elements.historyFilterTag, 'All tags', tags);
+  fillFilterSelect(elements.historyFilterCollection, 'All collections', collections);
+  fillDatalist(elements.tagOptions, tags);
+  fillDatalist(elements.collectionOptions, collections);
+}
+
+/**
+ * Show or hide the inline tag editor of a history card
+ * @param {string} cardId - Card ID
+ */
+function toggleCardOrganizer(cardId) {
+  const organizer = [...document.querySelectorAll('.history-organize')]
+    .find(el => el.dataset.cardId === cardId);
+  if (organizer) organizer.hidden = !organizer.hidden;
+}
+
+/**
+ * Save tags and collection edited in the history list
+ * @param {string} cardId - Card ID
+ */
+async function handleSaveCardLabels(cardId) {
+  const organizer = [...document.querySelectorAll('.history-organize')]
+    .find(el => el.dataset.cardId === cardId);
+  if (!organizer) return;
+  
+  try {
+    await updateSavedCardLabels(cardId, {
+      tags: parseTags(organizer.querySelector('.history-tags-input')?.value),
+      collection: organizer.querySelector('.history-collection-input')?.value || ''
+    });
+    loadHistoryFacets();
+    loadHistoryCards(); // Refresh list
+    showStatus('🏷️ Tags updated', 1500);
+  } catch (error) {
+    showError('Failed to update tags');
+  }
+}
+
+/**
+ * Clear the card's tags and collection and suggest tags for new content
+ * @param {object} contentData - Extracted content or video data
+ */
+function resetCardLabels(contentData) {
+  state.savedCardId = null;
+  setValue(elements.cardTags, '');
+  setValue(elements.cardCollection, '');
+  renderTagSuggestions(suggestTags(contentData));
+  loadHistoryFacets(); // Refresh autocompletion
+}
+
+/**
+ * Render clickable tag suggestions under the card's tag input
+ * @param {Array<string>} suggestions - Suggested tags
+ */
+function renderTagSuggestions(suggestions) {
+  const container = elements.cardTagSuggestions;
+  if (!container) return;
+  
+  if (suggestions.length === 0) {
+    container.innerHTML = '';
+    hide(container);
+    return;
+  }
+  
+  container.innerHTML = suggestions
+    .map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}" title="Add tag">+ ${escapeHtml(tag)}</button>`)
+    .join('');
+  
+  container.querySelectorAll('.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      const tags = parseTags(elements.cardTags?.value);
+      setValue(elements.cardTags, formatTags([...tags, chip.dataset.tag]));
+      chip.remove();
+      if (!container.children.length) hide(container);
+      handleCardLabelsChange();
+    });
+  });
+  
+  show(container);
+}
+
+/**
+ * Persist tag/collection edits in the card view once the card is saved
+ */
+async function handleCardLabelsChange() {
+  if (!state.savedCardId) return;
+  
+  try {
+    await updateSavedCardLabels(state.savedCardId, {
+      tags: parseTags(elements.cardTags?.value),
+      collection: elements.cardCollection?.value || ''
+    });
+  } catch (error) {
+    showError('Failed to update tags');
   }
 }
 
@@ -819,15 +1658,14 @@ async function loadHistoryCards() {
  */
 async function handleViewCard(cardId) {
   try {
-    const cards = await getSavedCards();
-    const card = cards.find(c => c.id === cardId);
+    const card = await getSavedCardById(cardId);
     
     if (!card) return;
     
     // Populate card display
     if (elements.cardTitle) setText(elements.cardTitle, card.title);
     if (elements.cardThumbnail) elements.cardThumbnail.src = card.thumbnail;
-    if (elements.cardVideoLink) elements.cardVideoLink.href = card.url;
+    setCardSource(card.url, card.fileName);
     updateCardSummary(card.summary);
     
     if (card.personalNotes) {
@@ -835,6 +1673,22 @@ async function handleViewCard(cardId) {
       if (notesEl) notesEl.textContent = card.personalNotes;
     }
     
+    // Tag edits on a viewed card are saved back to it
+    state.savedCardId = card.id;
+    state.cardMeta = {
+      url: card.url,
+      contentType: card.contentType,
+      author: card.author,
+      publishDate: card.publishDate,
+      summaryType: card.summaryType,
+      language: card.language,
+      fileName: card.fileName,
+      timestamp: card.timestamp
+    };
+    setValue(elements.cardTags, formatTags(card.tags));
+    setValue(elements.cardCollection, card.collection || '');
+    renderTagSuggestions([]);
+    
     // Switch to new tab and show card
     switchTab('new');
     show(elements.cardContainer);
@@ -851,6 +1705,8 @@ async function handleViewCard(cardId) {
 async function handleDeleteCard(cardId) {
   try {
     await deleteSavedCard(cardId);
+    state.historySelection.delete(cardId);
+    loadHistoryFacets();
     loadHistoryCards(); // Refresh list
     showStatus('🗑️ Card deleted', 1500);
   } catch (error) {
@@ -869,6 +1725,8 @@ async function handleClearHistory() {
   
   try {
     await clearAllSavedCards();
+    state.historySelection.clear();
+    loadHistoryFacets();
     loadHistoryCards(); // Refresh list
     showStatus('🗑️ All cards deleted', 2000);
   } catch (error) {
@@ -877,25 +1735,807 @@ async function handleClearHistory() {
   }
 }
 
-// ==================== API KEY FUNCTIONS ====================
+// ==================== CONTEXT MENU FUNCTIONS ====================
 
 /**
- * Load current API key from storage
+ * Take the pending context menu request (set by background.js) and handle it
  */
-async function loadCurrentApiKey() {
+async function checkPendingRequest() {
   try {
-    const result = await chrome.storage.sync.get('user_youtube_api_key');
-    const userKey = result.user_youtube_api_key;
+    const key = CONFIG.PENDING_REQUEST_KEY;
+    const result = await chrome.storage.session.get(key);
+    const request = result[key];
     
-    if (userKey && userKey.trim().length > 0) {
-      setValue(elements.youtubeApiKeyInput, userKey);
-      hide(elements.apiKeyStatus);
-      hide(elements.apiKeyError);
-    } else {
-      setValue(elements.youtubeApiKeyInput, '');
-    }
+    if (!request || request.id === state.lastContextRequestId) return;
+    state.lastContextRequestId = request.id;
+    await chrome.storage.session.remove(key);
+    
+    // Ignore requests left over from a panel that never opened
+    if (Date.now() - request.id > CONFIG.PENDING_REQUEST_MAX_AGE_MS) return;
+    
+    await handleContextRequest(request);
   } catch (error) {
-    console.error('Error loading API key:', error);
+    // Failed to read context menu request
+  }
+}
+
+/**
+ * Pre-populate the panel from a context menu request
+ * @param {object} request - { action: 'selection'|'link'|'page', ... }
+ */
+async function handleContextRequest(request) {
+  switchTab('new');
+  handleReset();
+  
+  if (request.action === 'selection') {
+    await handleSelectionRequest(request);
+  } else if (request.action === 'link') {
+    await handleLinkRequest(request.linkUrl);
+  } else if (request.action === 'page') {
+    await handleAutoDetect();
+  }
+}
+
+/**
+ * Load highlighted text into the content selection
+ * @param {object} request - Context menu request
+ */
+async function handleSelectionRequest(request) {
+  const text = (await getSelectedText(request.tabId, request.frameId)) || request.selectionText;
+  
+  if (isEmpty(text)) {
+    showError(ERROR_MESSAGES.SELECTION_EMPTY);
+    return;
+  }
+  
+  displayPageText({
+    url: request.pageUrl,
+    title: request.pageTitle || 'Selected Text',
+    content: text,
+    isSelection: true
+  });
+}
+
+/**
+ * Load a linked page (YouTube links use the normal fetch flow)
+ * @param {string} url - Link URL
+ */
+async function handleLinkRequest(url) {
+  setValue(elements.youtubeUrlInput, url);
+  validateInputs();
+  
+  if (isYouTubeUrl(url)) {
+    await handleFetch();
+    return;
+  }
+  
+  if (!isValidHttpUrl(url)) {
+    showError(ERROR_MESSAGES.LINK_NOT_HTTP);
+    return;
+  }
+  
+  hideAllStatus();
+  showLoading();
+  showStatus(STATUS_MESSAGES.LOADING_LINK);
+  
+  try {
+    const linkData = await extractContentFromLink(url, { onProgress: showStatus });
+    
+    state.currentContentType = CONFIG.CONTENT_TYPES.WEBPAGE;
+    state.currentVideoData = linkData;
+    
+    hideLoading();
+    hideAllStatus();
+    displayContentSelection(linkData, 'webpage');
+    updatePlaylistNotice('');
+    enableButton(elements.buttonReset);
+  } catch (error) {
+    hideLoading();
+    showError(error.message || 'Failed to load the linked page.');
+  }
+}
+
+// ==================== BATCH FUNCTIONS ====================
+
+const batchQueue = createBatchQueue({
+  processItem: (tab, options) => summarizeTab(tab, getSummarySettings(), options),
+  onUpdate: (items) => {
+    state.batchItems = items;
+    renderBatchList();
+  },
+  onIdle: (items) => {
+    // A playlist run that was not cancelled ends with its overview card
+    const finished = state.playlist && !state.playlistOverview?.cardId &&
+      items.some(item => item.status === BATCH_STATUS.DONE) &&
+      !items.some(item => item.status === BATCH_STATUS.CANCELLED);
+    if (finished) handleCreateOverview();
+  }
+});
+
+/**
+ * Read summary settings from Advanced Options
+ * @returns {object} { summaryType, summaryLength, customPrompt, temperature, topK }
+ */
+function getSummarySettings() {
+  return {
+    summaryType: elements.summaryType?.value || CONFIG.DEFAULT_SUMMARY_TYPE,
+    summaryLength: elements.summaryLength?.value || 'long',
+    customPrompt: elements.customPromptInput.value.trim(),
+    temperature: parseFloat(elements.sliderTemperature.value),
+    topK: parseInt(elements.sliderTopK.value)
+  };
+}
+
+/**
+ * List the window's http(s) tabs (or the loaded playlist's videos) for batch summarization
+ */
+async function loadBatchTabs() {
+  if (state.playlist) {
+    state.batchTabs = state.playlist.videos;
+    renderBatchList();
+    return;
+  }
+  
+  try {
+    state.batchTabs = await listWindowTabs();
+    
+    // Drop selections for tabs that were closed
+    const openIds = new Set(state.batchTabs.map(tab => tab.id));
+    state.batchSelection.forEach(id => {
+      if (!openIds.has(id)) state.batchSelection.delete(id);
+    });
+    
+    renderBatchList();
+  } catch (error) {
+    showError('Failed to list open tabs');
+  }
+}
+
+/**
+ * Find the tab or playlist video ID behind a list element's data-tab-id
+ * @param {string} value - Attribute value
+ * @returns {any} Tab ID (number) or playlist video ID (string)
+ */
+function findBatchId(value) {
+  return [...state.batchTabs, ...state.batchItems].find(entry => String(entry.id) === value)?.id;
+}
+
+/**
+ * Render the tab list with each tab's queue status
+ */
+function renderBatchList() {
+  if (!elements.batchList) return;
+  renderPlaylistHeader();
+  
+  const running = batchQueue.isRunning();
+  const itemsById = new Map(state.batchItems.map(item => [item.id, item]));
+  // Tabs closed after being queued still show their result
+  const tabs = [
+    ...state.batchTabs,
+    ...state.batchItems.filter(item => !state.batchTabs.some(tab => tab.id === item.id)).map(item => item.data)
+  ];
+  
+  if (tabs.length === 0) {
+    elements.batchList.innerHTML = `
+      <div class="empty-state">
+        <span class="icon">🗂️</span>
+        <p>No web pages open in this window</p>
+        <small>Open some articles or videos, then click Refresh</small>
+      </div>
+    `;
+  } else {
+    elements.batchList.innerHTML = tabs.map(tab => {
+      const item = itemsById.get(tab.id);
+      const id = escapeHtml(String(tab.id));
+      const actions = [];
+      
+      if (item?.status === BATCH_STATUS.ERROR || item?.status === BATCH_STATUS.CANCELLED) {
+        actions.push(`<button class="btn-view-card btn-batch-retry" data-tab-id="${id}">Retry</button>`);
+      }
+      if (item?.status === BATCH_STATUS.PENDING || item?.status === BATCH_STATUS.RUNNING) {
+        actions.push(`<button class="btn-delete-card btn-batch-skip" data-tab-id="${id}">Skip</button>`);
+      }
+      if (item?.status === BATCH_STATUS.DONE && item.result?.cardId) {
+        actions.push(`<button class="btn-view-card btn-batch-view" data-card-id="${escapeHtml(item.result.cardId)}">View</button>`);
+      }
+      
+      return `
+        <div class="history-card batch-item">
+          <input type="checkbox" class="history-select batch-select" data-tab-id="${id}"${state.batchSelection.has(tab.id) ? ' checked' : ''}${running ? ' disabled' : ''}/>
+          <img src="${escapeHtml(tab.favIconUrl || '../images/icon32.png')}" alt="" class="batch-favicon${tab.videoData ? ' video-thumb' : ''}">
+          <div class="history-info">
+            <h4>${escapeHtml(tab.title)}</h4>
+            <small>${tab.isYouTube ? '📺 ' : ''}${escapeHtml(tab.position ? `Video ${tab.position}` : getHostname(tab.url))}</small>
+            ${item ? `<span class="batch-status ${item.status}">${escapeHtml(STATUS_MESSAGES.BATCH_ITEM(item))}</span>` : ''}
+            ${actions.length ? `<div class="history-actions">${actions.join('')}</div>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+  
+  elements.batchList.querySelectorAll('.batch-select').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const tabId = findBatchId(e.target.dataset.tabId);
+      if (e.target.checked) {
+        state.batchSelection.add(tabId);
+      } else {
+        state.batchSelection.delete(tabId);
+      }
+      updateBatchControls();
+    });
+  });
+  elements.batchList.querySelectorAll('.btn-batch-retry').forEach(btn => {
+    btn.addEventListener('click', () => batchQueue.retry(findBatchId(btn.dataset.tabId)));
+  });
+  elements.batchList.querySelectorAll('.btn-batch-skip').forEach(btn => {
+    btn.addEventListener('click', () => batchQueue.skip(findBatchId(btn.dataset.tabId)));
+  });
+  elements.batchList.querySelectorAll('.btn-batch-view').forEach(btn => {
+    btn.addEventListener('click', () => handleViewCard(btn.dataset.cardId));
+  });
+  
+  updateBatchControls();
+}
+
+/**
+ * Update start/cancel buttons and the select-all checkbox
+ */
+function updateBatchControls() {
+  const running = batchQueue.isRunning();
+  const count = state.batchSelection.size;
+  
+  setText(elements.batchStartText, `Summarize ${count} ${state.playlist ? 'Video' : 'Tab'}${count === 1 ? '' : 's'}`);
+  if (count > 0 && !running) enableButton(elements.buttonStartBatch); else disableButton(elements.buttonStartBatch);
+  if (running) show(elements.buttonCancelBatch); else hide(elements.buttonCancelBatch);
+  
+  if (elements.batchSelectAll) {
+    elements.batchSelectAll.disabled = running;
+    elements.batchSelectAll.checked = state.batchTabs.length > 0 &&
+      state.batchTabs.every(tab => state.batchSelection.has(tab.id));
+  }
+}
+
+/**
+ * Select or deselect all listed tabs
+ */
+function handleSelectAllTabs() {
+  const checked = elements.batchSelectAll?.checked;
+  state.batchTabs.forEach(tab => {
+    if (checked) {
+      state.batchSelection.add(tab.id);
+    } else {
+      state.batchSelection.delete(tab.id);
+    }
+  });
+  renderBatchList();
+}
+
+/**
+ * Queue the selected tabs (in tab order) and start summarizing
+ */
+function handleStartBatch() {
+  const tabs = state.batchTabs.filter(tab => state.batchSelection.has(tab.id));
+  if (tabs.length === 0) return;
+  
+  try {
+    batchQueue.start(tabs.map(tab => ({ id: tab.id, data: tab })));
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+// ==================== PLAYLIST FUNCTIONS ====================
+
+/**
+ * Offer the whole playlist when a watch URL carries a list= parameter
+ * @param {string} url - URL of the content on display
+ */
+function updatePlaylistNotice(url) {
+  if (extractPlaylistId(url)) {
+    show(elements.playlistNotice);
+  } else {
+    hide(elements.playlistNotice);
+  }
+}
+
+/**
+ * Load a YouTube playlist into the Batch tab, every video selected
+ * @param {string} url - YouTube URL with a list= parameter
+ */
+async function handleLoadPlaylist(url) {
+  if (batchQueue.isRunning()) {
+    hideLoading();
+    showError(ERROR_MESSAGES.BATCH_RUNNING);
+    return;
+  }
+  
+  hideAllStatus();
+  showLoading();
+  showStatus(STATUS_MESSAGES.LOADING_PLAYLIST);
+  
+  try {
+    const playlist = await loadPlaylist(url);
+    
+    state.playlist = playlist;
+    state.playlistOverview = { status: '', cardId: null, error: '' };
+    state.batchItems = [];
+    state.batchSelection = new Set(playlist.videos.map(video => video.id));
+    
+    hideLoading();
+    showStatus(STATUS_MESSAGES.PLAYLIST_LOADED(playlist.title, playlist.videos.length, playlist.total), 3000);
+    switchTab('batch');
+  } catch (error) {
+    hideLoading();
+    showError(error.message || 'Failed to load the playlist.');
+  }
+}
+
+/**
+ * Go back to listing the window's open tabs
+ */
+function handleClosePlaylist() {
+  if (batchQueue.isRunning()) return;
+  
+  state.playlist = null;
+  state.playlistOverview = null;
+  state.batchItems = [];
+  state.batchSelection.clear();
+  loadBatchTabs();
+}
+
+/**
+ * Show the playlist title and overview card status above the batch list
+ */
+function renderPlaylistHeader() {
+  const { playlist, playlistOverview: overview } = state;
+  const running = batchQueue.isRunning();
+  
+  setText(elements.batchTitle, playlist ? `📚 ${playlist.title}` : '📑 Summarize Open Tabs');
+  
+  if (!playlist) {
+    show(elements.buttonRefreshTabs);
+    hide(elements.buttonClosePlaylist);
+    hide(elements.playlistOverview);
+    return;
+  }
+  
+  hide(elements.buttonRefreshTabs);
+  if (running) hide(elements.buttonClosePlaylist); else show(elements.buttonClosePlaylist);
+  show(elements.playlistOverview);
+  
+  const done = state.batchItems.filter(item => item.status === BATCH_STATUS.DONE).length;
+  setText(elements.playlistOverviewStatus, STATUS_MESSAGES.PLAYLIST_OVERVIEW(overview, done, playlist.videos.length));
+  setText(elements.buttonCreateOverview, overview.cardId ? 'Recreate Overview' : 'Create Overview');
+  
+  if (done > 0 && !running && overview.status !== 'running') {
+    enableButton(elements.buttonCreateOverview);
+  } else {
+    disableButton(elements.buttonCreateOverview);
+  }
+  if (overview.cardId) show(elements.buttonViewOverview); else hide(elements.buttonViewOverview);
+}
+
+/**
+ * Write the playlist's overview card from the videos summarized so far
+ */
+async function handleCreateOverview() {
+  const playlist = state.playlist;
+  if (!playlist || state.playlistOverview.status === 'running') return;
+  
+  // Batch results carry the card ID and summary; the videos carry position and metadata
+  const results = state.batchItems
+    .filter(item => item.status === BATCH_STATUS.DONE && item.result)
+    .map(item => ({ ...playlist.videos.find(video => video.id === item.id), ...item.result }))
+    .filter(entry => entry.videoData);
+  
+  state.playlistOverview = { status: 'running', cardId: null, error: '' };
+  renderPlaylistHeader();
+  
+  let overview;
+  try {
+    const card = await generatePlaylistOverview(playlist, results, getSummarySettings());
+    overview = { status: 'done', cardId: card.cardId, error: '' };
+  } catch (error) {
+    overview = { status: 'error', cardId: null, error: error.message || 'Failed' };
+  }
+  
+  // The user may have gone back to open tabs meanwhile
+  if (state.playlist !== playlist) return;
+  state.playlistOverview = overview;
+  renderPlaylistHeader();
+}
+
+/**
+ * Handle links clicked in a card summary
+ * "#card=<id>" links from playlist overviews open that card; chapter links
+ * of web page videos seek the player when the page is open
+ * @param {string} url - Link URL
+ * @returns {Promise<boolean>} True if the link was handled
+ */
+async function handleSummaryLink(url) {
+  if (url.startsWith('#card=')) {
+    await handleViewCard(url.slice('#card='.length));
+    return true;
+  }
+  
+  return seekMediaInTab(url);
+}
+
+// ==================== BACKUP FUNCTIONS ====================
+
+/**
+ * Download a backup of cards, notes, tags and settings
+ */
+async function handleBackupHistory() {
+  try {
+    const count = await downloadBackup();
+    showStatus(STATUS_MESSAGES.BACKUP_CREATED(count), 2000);
+  } catch (error) {
+    showError('Failed to create backup');
+  }
+}
+
+/**
+ * Read and validate the chosen backup file, then ask how to restore it
+ */
+async function handleRestoreFile() {
+  const file = elements.restoreFileInput?.files?.[0];
+  if (!file) return;
+  
+  try {
+    const backup = parseBackup(await file.text());
+    state.pendingRestore = backup;
+    
+    const count = backup.cards.length;
+    const ruleCount = backup.siteRules.length;
+    const date = backup.exportedAt ? ` from ${new Date(backup.exportedAt).toLocaleDateString()}` : '';
+    const rules = ruleCount ? `, ${ruleCount} extraction rule${ruleCount === 1 ? '' : 's'}` : '';
+    setText(elements.restoreSummary, `📂 Backup${date}: ${count} card${count === 1 ? '' : 's'}${rules}`);
+    show(elements.restoreOptions);
+  } catch (error) {
+    showError(error.message || 'Failed to read backup');
+  } finally {
+    // Allow choosing the same file again
+    elements.restoreFileInput.value = '';
+  }
+}
+
+/**
+ * Restore the pending backup
+ * @param {string} mode - 'merge' or 'replace'
+ */
+async function handleConfirmRestore(mode) {
+  if (!state.pendingRestore) return;
+  
+  if (mode === 'replace' && !confirm('Replace all saved cards and extraction rules with the backup? This cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    const { added, skipped } = await restoreBackup(state.pendingRestore, mode);
+    handleCancelRestore();
+    
+    if (mode === 'replace') state.historySelection.clear();
+    loadSavedData(); // Pick up restored custom prompt
+    loadHistoryFacets();
+    loadSiteRules();
+    refreshHistory(1);
+    showStatus(STATUS_MESSAGES.BACKUP_RESTORED(added, skipped), 3000);
+  } catch (error) {
+    showError('Failed to restore backup');
+  }
+}
+
+/**
+ * Discard the pending backup
+ */
+function handleCancelRestore() {
+  state.pendingRestore = null;
+  hide(elements.restoreOptions);
+}
+
+// ==================== EXTRACTION RULE FUNCTIONS ====================
+
+/**
+ * Get the active tab (for prefilling the domain and previewing)
+ * @returns {Promise<object|null>} Tab or null
+ */
+async function getActiveTab() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tabs[0] || null;
+}
+
+/**
+ * Load saved rules into the "Saved rules" select
+ */
+async function loadSiteRules() {
+  try {
+    state.siteRules = await getSiteRules();
+  } catch (error) {
+    state.siteRules = [];
+  }
+  
+  const current = elements.ruleSaved.value;
+  elements.ruleSaved.innerHTML = '<option value="">Saved rules…</option>' +
+    state.siteRules.map(rule => `<option value="${escapeHtml(rule.domain)}">${escapeHtml(rule.domain)}</option>`).join('');
+  elements.ruleSaved.value = state.siteRules.some(rule => rule.domain === current) ? current : '';
+}
+
+/**
+ * Fill the editor with a rule (or clear it)
+ * @param {object|null} rule - Rule
+ * @param {string} domain - Domain to show when there is no rule
+ */
+function fillRuleForm(rule, domain = '') {
+  setValue(elements.ruleDomain, rule?.domain || domain);
+  setValue(elements.ruleInclude, (rule?.include || []).join('\n'));
+  setValue(elements.ruleExclude, (rule?.exclude || []).join('\n'));
+  setValue(elements.ruleTitle, rule?.title || '');
+  setValue(elements.ruleAuthor, rule?.author || '');
+  setValue(elements.ruleDate, rule?.date || '');
+  elements.ruleRenderPages.checked = Boolean(rule?.renderPages);
+  elements.ruleSaved.value = rule?.domain || '';
+}
+
+/**
+ * Read the editor fields
+ * @returns {object} Rule fields
+ */
+function getRuleFields() {
+  return {
+    domain: elements.ruleDomain.value,
+    include: elements.ruleInclude.value,
+    exclude: elements.ruleExclude.value,
+    title: elements.ruleTitle.value,
+    author: elements.ruleAuthor.value,
+    date: elements.ruleDate.value,
+    renderPages: elements.ruleRenderPages.checked
+  };
+}
+
+/**
+ * Prefill the editor with the active tab's domain and rule when opened
+ */
+async function handleOpenRules() {
+  await loadSiteRules();
+  if (elements.ruleDomain.value.trim()) {
+    loadLearnedBoilerplate();
+    return;
+  }
+  
+  try {
+    const tab = await getActiveTab();
+    if (!tab?.url || !isValidHttpUrl(tab.url)) return;
+    
+    const rule = await getSiteRuleForUrl(tab.url);
+    fillRuleForm(rule, normalizeDomain(tab.url));
+    if (rule) handlePreviewRule();
+  } catch (error) {
+    // No active tab; leave the editor empty
+  }
+  loadLearnedBoilerplate();
+}
+
+/**
+ * Load the rule chosen in the "Saved rules" select
+ */
+function handleSelectSavedRule() {
+  const rule = state.siteRules.find(item => item.domain === elements.ruleSaved.value);
+  if (rule) {
+    fillRuleForm(rule);
+    hide(elements.rulePreview);
+    loadLearnedBoilerplate();
+  }
+}
+
+/**
+ * Save the rule in the editor
+ */
+async function handleSaveRule() {
+  try {
+    const rule = await saveSiteRule(getRuleFields());
+    await loadSiteRules();
+    fillRuleForm(rule);
+    showStatus(STATUS_MESSAGES.RULE_SAVED(rule.domain), 2000);
+  } catch (error) {
+    showError(error.message || 'Failed to save rule');
+  }
+}
+
+/**
+ * Delete the rule for the domain in the editor
+ */
+async function handleDeleteRule() {
+  const domain = normalizeDomain(elements.ruleDomain.value);
+  if (!state.siteRules.some(rule => rule.domain === domain)) return;
+  if (!confirm(`Delete the extraction rule for ${domain}?`)) return;
+  
+  try {
+    await deleteSiteRule(domain);
+    await loadSiteRules();
+    fillRuleForm(null, domain);
+    hide(elements.rulePreview);
+    showStatus(STATUS_MESSAGES.RULE_DELETED(domain), 2000);
+  } catch (error) {
+    showError('Failed to delete rule');
+  }
+}
+
+/**
+ * Extract the active tab with the (unsaved) rule and show the result
+ */
+async function handlePreviewRule() {
+  let rule;
+  try {
+    rule = createSiteRule(getRuleFields());
+  } catch (error) {
+    renderRulePreview({ warning: error.message });
+    return;
+  }
+  
+  const tab = await getActiveTab().catch(() => null);
+  if (!tab?.url || !isValidHttpUrl(tab.url)) {
+    renderRulePreview({ warning: ERROR_MESSAGES.RULE_PREVIEW_UNAVAILABLE });
+    return;
+  }
+  
+  try {
+    const data = await extractWebContent(tab.id, { rule, preview: true });
+    renderRulePreview({ data, rule, tabDomain: normalizeDomain(tab.url) });
+  } catch (error) {
+    renderRulePreview({ warning: error.message });
+  }
+}
+
+/**
+ * Render the rule preview
+ * @param {object} preview - { data, rule, tabDomain, warning }
+ */
+function renderRulePreview({ data, rule, tabDomain, warning }) {
+  const warnings = [];
+  if (warning) warnings.push(warning);
+  
+  if (data && rule) {
+    const coversTab = tabDomain === rule.domain || tabDomain.endsWith(`.${rule.domain}`);
+    if (!coversTab) {
+      warnings.push(`The active tab (${tabDomain}) is not covered by this rule.`);
+    }
+    if (rule.include.length && !data.siteRule?.includeMatches) {
+      warnings.push('Include selectors matched nothing; automatic extraction was used.');
+    }
+  }
+  
+  const lines = data ? [
+    `<strong>Title:</strong> ${escapeHtml(data.title || '—')}`,
+    `<strong>Author:</strong> ${escapeHtml(data.author || '—')}`,
+    `<strong>Date:</strong> ${escapeHtml(data.publishDate || '—')}`,
+    `<strong>Words:</strong> ${data.wordCount || 0}` +
+      (data.siteRule?.includeMatches ? ` · ${data.siteRule.includeMatches} included element(s)` : '')
+  ] : [];
+  
+  setHTML(elements.rulePreviewMeta, [
+    ...warnings.map(text => `<span class="rule-warning">⚠️ ${escapeHtml(text)}</span>`),
+    ...lines
+  ].join('<br>'));
+  
+  const content = data?.content || '';
+  setText(elements.rulePreviewContent, content.length > CONFIG.RULE_PREVIEW_LENGTH
+    ? content.substring(0, CONFIG.RULE_PREVIEW_LENGTH) + '…'
+    : content);
+  
+  show(elements.rulePreview);
+}
+
+/**
+ * Show the paragraphs learned as boilerplate for the domain in the editor
+ */
+async function loadLearnedBoilerplate() {
+  const domain = normalizeDomain(elements.ruleDomain.value);
+  if (!domain) {
+    setText(elements.boilerplateSummary, 'Enter a domain to see what was learned for it.');
+    setHTML(elements.boilerplateList, '');
+    return;
+  }
+  
+  try {
+    const learned = await getLearnedBoilerplate(domain);
+    setText(elements.boilerplateSummary, learned.blocks.length
+      ? `${learned.blocks.length} paragraph(s) removed on ${domain} · ${learned.pages} page(s) read`
+      : `Nothing learned yet for ${domain} · ${learned.pages} page(s) read`);
+    setHTML(elements.boilerplateList, learned.blocks.map(block => `
+      <li>
+        <span title="${escapeHtml(block.sample)}">${escapeHtml(block.sample)}</span>
+        <small>${block.pages} pages</small>
+        <button class="btn-link" type="button" data-hash="${escapeHtml(block.hash)}" title="Keep this paragraph again">Keep</button>
+      </li>
+    `).join(''));
+  } catch (error) {
+    setText(elements.boilerplateSummary, 'Failed to load learned boilerplate');
+  }
+}
+
+/**
+ * Forget one learned paragraph ("Keep" button)
+ */
+async function handleForgetBoilerplateBlock(e) {
+  const button = e.target.closest('button[data-hash]');
+  if (!button) return;
+  
+  try {
+    await forgetBoilerplateBlock(elements.ruleDomain.value, button.dataset.hash);
+    await loadLearnedBoilerplate();
+  } catch (error) {
+    showError('Failed to update learned boilerplate');
+  }
+}
+
+/**
+ * Forget everything learned for the domain in the editor
+ */
+async function handleResetBoilerplate() {
+  const domain = normalizeDomain(elements.ruleDomain.value);
+  if (!domain) return;
+  if (!confirm(`Forget the boilerplate learned for ${domain}?`)) return;
+  
+  try {
+    await resetBoilerplate(domain);
+    await loadLearnedBoilerplate();
+    showStatus(STATUS_MESSAGES.BOILERPLATE_RESET(domain), 2000);
+  } catch (error) {
+    showError('Failed to reset learned boilerplate');
+  }
+}
+
+/**
+ * Forget the boilerplate learned for every site
+ */
+async function handleResetAllBoilerplate() {
+  if (!confirm('Forget the boilerplate learned for all sites?')) return;
+  
+  try {
+    await resetBoilerplate();
+    await loadLearnedBoilerplate();
+    showStatus(STATUS_MESSAGES.BOILERPLATE_RESET(''), 2000);
+  } catch (error) {
+    showError('Failed to reset learned boilerplate');
+  }
+}
+
+// ==================== API KEY FUNCTIONS ====================
+
+/**
+ * Load current API key from storage
+ */
+async function loadCurrentApiKey() {
+  try {
+    const result = await chrome.storage.sync.get('user_youtube_api_key');
+    const userKey = result.user_youtube_api_key;
+    
+    if (userKey && userKey.trim().length > 0) {
+      setValue(elements.youtubeApiKeyInput, userKey);
+      hide(elements.apiKeyStatus);
+      hide(elements.apiKeyError);
+    } else {
+      setValue(elements.youtubeApiKeyInput, '');
+    }
+  } catch (error) {
+    console.error('Error loading API key:', error);
+  }
+}
+
+/**
+ * Show today's YouTube quota usage under the API key settings
+ */
+async function renderYouTubeQuota() {
+  if (!elements.youtubeQuota) return;
+  
+  try {
+    const status = await getQuotaStatus();
+    setText(elements.youtubeQuota, STATUS_MESSAGES.YOUTUBE_QUOTA(status));
+    elements.youtubeQuota.classList.toggle('exhausted', status.exhausted);
+  } catch (error) {
+    console.error('Error loading YouTube quota:', error);
   }
 }
 
@@ -957,8 +2597,8 @@ async function handleTestApiKey() {
   try {
     showStatus('🧪 Testing API key...');
     
-    // Test with a simple YouTube API call
-    const testUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&q=test&key=${apiKey}&maxResults=1`;
+    // Test with a simple YouTube API call (1 quota unit; a search would cost 100)
+    const testUrl = `${CONFIG.YOUTUBE_API_BASE}/videos?part=id&chart=mostPopular&maxResults=1&key=${apiKey}`;
     const response = await fetch(testUrl);
     
     if (response.ok) {
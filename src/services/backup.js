@@ -0,0 +1,218 @@
+/**
+ * Backup Service - Export and restore history, notes, tags, settings and extraction rules
+ */
+
+import { CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { getSavedCards, restoreSavedCards } from '../utils/chrome-storage.js';
+import { getSiteRules, createSiteRule, restoreSiteRules } from '../utils/site-rules.js';
+import { saveString, loadString } from '../utils/storage.js';
+import { downloadText } from '../utils/dom.js';
+import { generateFilename } from '../utils/validation.js';
+import { sanitizeHtml } from './summary.js';
+
+export const BACKUP_FORMAT = 'snapsummary-backup';
+// Version 2 added per-domain extraction rules; version 1 files still restore
+export const BACKUP_VERSION = 2;
+
+// Card bundles from the text export can be imported too (cards only)
+const CARD_BUNDLE_FORMAT = 'snapsummary-cards';
+
+// Settings included in backups (the YouTube API key is deliberately left out)
+const BACKUP_SETTINGS = {
+  temperature: CONFIG.STORAGE_KEYS.TEMPERATURE,
+  topK: CONFIG.STORAGE_KEYS.TOP_K,
+  targetLanguage: CONFIG.STORAGE_KEYS.TARGET_LANGUAGE
+};
+
+/**
+ * Build a backup of all saved cards, settings, custom prompts and extraction rules
+ * @returns {Promise<object>} Backup data
+ */
+export async function createBackup() {
+  const settings = {};
+  Object.entries(BACKUP_SETTINGS).forEach(([name, key]) => {
+    const value = loadString(key);
+    if (value) settings[name] = value;
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    cards: await getSavedCards(),
+    settings,
+    prompts: {
+      custom: loadString(CONFIG.STORAGE_KEYS.CUSTOM_PROMPT)
+    },
+    siteRules: await getSiteRules()
+  };
+}
+
+/**
+ * Download a backup file
+ * @returns {Promise<number>} Number of cards in the backup
+ */
+export async function downloadBackup() {
+  const backup = await createBackup();
+  downloadText(JSON.stringify(backup, null, 2), generateFilename('snapsummary-backup', 'json'), 'application/json');
+  return backup.cards.length;
+}
+
+/**
+ * Check that a value is a non-empty string
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validate and normalize one card from a backup
+ * Backup files are untrusted, so the summary HTML is sanitized before it is saved
+ * @param {object} card - Card from the backup file
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {object} Card data
+ */
+function validateCard(card, index) {
+  const isValid = card && typeof card === 'object' &&
+    isNonEmptyString(card.title) &&
+    typeof card.summary === 'string' &&
+    isNonEmptyString(card.timestamp) &&
+    !Number.isNaN(new Date(card.timestamp).getTime());
+
+  if (!isValid) {
+    throw new Error(ERROR_MESSAGES.BACKUP_INVALID_CARD(index + 1));
+  }
+
+  const optionalString = (value) => typeof value === 'string' ? value : '';
+
+  return {
+    id: isNonEmptyString(card.id) ? card.id : '',
+    timestamp: new Date(card.timestamp).toISOString(),
+    title: card.title,
+    summary: sanitizeHtml(card.summary),
+    url: optionalString(card.url),
+    contentType: optionalString(card.contentType),
+    thumbnail: optionalString(card.thumbnail),
+    personalNotes: optionalString(card.personalNotes),
+    author: optionalString(card.author),
+    publishDate: optionalString(card.publishDate),
+    summaryType: optionalString(card.summaryType),
+    language: optionalString(card.language),
+    fileName: optionalString(card.fileName),
+    tags: Array.isArray(card.tags) ? card.tags.filter(tag => typeof tag === 'string') : [],
+    collection: optionalString(card.collection)
+  };
+}
+
+/**
+ * Validate one extraction rule from a backup
+ * @param {object} rule - Rule from the backup file
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {object} Rule
+ */
+function validateSiteRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(ERROR_MESSAGES.BACKUP_INVALID_RULE(index + 1));
+  }
+
+  const validated = createSiteRule(rule);
+  return isNonEmptyString(rule.updatedAt) ? { ...validated, updatedAt: rule.updatedAt } : validated;
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File contents
+ * @returns {object} { cards, settings, prompts, siteRules, exportedAt }
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.BACKUP_INVALID_JSON);
+  }
+
+  if (!data || (data.format !== BACKUP_FORMAT && data.format !== CARD_BUNDLE_FORMAT) || !Array.isArray(data.cards)) {
+    throw new Error(ERROR_MESSAGES.BACKUP_INVALID_FORMAT);
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > BACKUP_VERSION) {
+    throw new Error(ERROR_MESSAGES.BACKUP_UNSUPPORTED_VERSION(data.version));
+  }
+
+  const settings = {};
+  if (data.settings && typeof data.settings === 'object') {
+    Object.keys(BACKUP_SETTINGS).forEach(name => {
+      const value = data.settings[name];
+      if (typeof value === 'string' || typeof value === 'number') settings[name] = String(value);
+    });
+  }
+
+  return {
+    cards: data.cards.map(validateCard),
+    settings,
+    prompts: {
+      custom: typeof data.prompts?.custom === 'string' ? data.prompts.custom : ''
+    },
+    siteRules: Array.isArray(data.siteRules) ? data.siteRules.map(validateSiteRule) : [],
+    exportedAt: isNonEmptyString(data.exportedAt) ? data.exportedAt : ''
+  };
+}
+
+/**
+ * Key used to detect the same card across browsers
+ * @param {object} card - Card data
+ * @returns {string} Dedupe key
+ */
+function getDedupeKey(card) {
+  return `${card.url}|${new Date(card.timestamp).toISOString()}`;
+}
+
+/**
+ * Restore a parsed backup
+ * Merge keeps existing cards and skips cards with the same URL and timestamp;
+ * replace deletes all saved cards first. Extraction rules in the backup
+ * replace rules for the same domain (replace also drops all other rules).
+ * @param {object} backup - Result of parseBackup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<object>} { added, skipped, rules }
+ */
+export async function restoreBackup(backup, mode = 'merge') {
+  const replace = mode === 'replace';
+  const existing = replace ? [] : await getSavedCards();
+
+  const seenKeys = new Set(existing.map(getDedupeKey));
+  const usedIds = new Set(existing.map(card => card.id));
+  const cards = [];
+
+  backup.cards.forEach(card => {
+    const key = getDedupeKey(card);
+    if (seenKeys.has(key)) return;
+    seenKeys.add(key);
+
+    // Older cards have timestamp IDs, so two browsers can produce the same one
+    let id = card.id || crypto.randomUUID();
+    if (usedIds.has(id)) id = crypto.randomUUID();
+    usedIds.add(id);
+
+    cards.push({ ...card, id });
+  });
+
+  await restoreSavedCards(cards, { replace });
+  const rules = await restoreSiteRules(backup.siteRules, { replace });
+
+  Object.entries(backup.settings).forEach(([name, value]) => {
+    saveString(BACKUP_SETTINGS[name], value);
+  });
+  if (backup.prompts.custom) {
+    saveString(CONFIG.STORAGE_KEYS.CUSTOM_PROMPT, backup.prompts.custom);
+  }
+
+  return {
+    added: cards.length,
+    skipped: backup.cards.length - cards.length,
+    rules
+  };
+}
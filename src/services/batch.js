@@ -0,0 +1,235 @@
+/**
+ * Batch Summarization Service
+ * Runs extraction + summarization for several tabs one after another
+ */
+
+import { CONFIG, STATUS_MESSAGES, ERROR_MESSAGES } from '../config/constants.js';
+import { fetchVideoFromUrl, attachTranscript, getThumbnailUrl } from '../api/youtube.js';
+import { extractTabContent } from './content-extractor.js';
+import { generateSummary, prepareContent, getPageContentType } from './summary.js';
+import { saveSummaryCard } from '../utils/chrome-storage.js';
+import { getCardMeta } from '../utils/card.js';
+import { isEmpty } from '../utils/validation.js';
+import { isAbortError } from '../utils/stream.js';
+
+export const BATCH_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Extract content from a tab
+ * @param {object} tab - Tab from listWindowTabs, or a playlist video (see services/playlist.js)
+ * @param {Function} onProgress - Progress message callback
+ * @returns {Promise<object>} { data, contentType }
+ */
+async function extractTab(tab, onProgress) {
+  if (tab.videoData) {
+    // Playlist videos come with their metadata and are not open in a tab
+    onProgress(STATUS_MESSAGES.FETCHING_TRANSCRIPT);
+    const videoData = await attachTranscript({ ...tab.videoData });
+    return { data: videoData, contentType: CONFIG.CONTENT_TYPES.YOUTUBE };
+  }
+  
+  if (tab.isYouTube) {
+    onProgress(STATUS_MESSAGES.FETCHING_VIDEO);
+    const videoData = await fetchVideoFromUrl(tab.url, tab.id);
+    onProgress(STATUS_MESSAGES.FETCHING_TRANSCRIPT);
+    await attachTranscript(videoData, tab.id);
+    return { data: videoData, contentType: CONFIG.CONTENT_TYPES.YOUTUBE };
+  }
+
+  onProgress(STATUS_MESSAGES.EXTRACTING_CONTENT);
+  const data = await extractTabContent(tab.id, tab.url, { onProgress });
+  return { data, contentType: CONFIG.CONTENT_TYPES.WEBPAGE };
+}
+
+/**
+ * Summarize one tab and save the result to history
+ * @param {object} tab - Tab from listWindowTabs, or a playlist video (filed in tab.collection)
+ * @param {object} settings - Summary settings (summaryType, summaryLength, customPrompt, temperature, topK)
+ * @param {object} options - { signal, onProgress }
+ * @returns {Promise<object>} { cardId, title, summary } with the summary markdown
+ */
+export async function summarizeTab(tab, settings, options = {}) {
+  const { signal, onProgress = () => {} } = options;
+
+  const { data, contentType } = await extractTab(tab, onProgress);
+  signal?.throwIfAborted();
+
+  const { title, subtitle, content } = prepareContent(data, contentType, true, true);
+  if (isEmpty(content)) {
+    throw new Error(ERROR_MESSAGES.NO_CONTENT_TO_SUMMARIZE);
+  }
+
+  onProgress(STATUS_MESSAGES.GENERATING_SUMMARY);
+  const isYouTube = contentType === CONFIG.CONTENT_TYPES.YOUTUBE;
+  // Chapters need a transcript; other tabs in the batch get the default summary
+  const summaryType = settings.summaryType === 'chapters' && !data?.transcript?.segments?.length
+    ? CONFIG.DEFAULT_SUMMARY_TYPE
+    : settings.summaryType;
+
+  const summary = await generateSummary({
+    title,
+    subtitle,
+    content,
+    customPrompt: settings.customPrompt,
+    contentType: isYouTube ? 'YouTube video' : getPageContentType(data),
+    temperature: settings.temperature,
+    topK: settings.topK,
+    summaryType,
+    summaryLength: settings.summaryLength,
+    transcript: data?.transcript?.segments,
+    videoId: isYouTube ? data?.id : '',
+    media: isYouTube ? null : data?.media,
+    // Show notes of web pages can carry chapter markers too
+    description: data?.snippet?.description || data?.content || '',
+    outline: data?.outline,
+    onProgress: (stage, current, total) => onProgress(STATUS_MESSAGES.SUMMARY_PROGRESS(stage, current, total)),
+    signal
+  });
+
+  const cardId = await saveSummaryCard({
+    title,
+    summary: summary.html,
+    url: tab.url,
+    contentType,
+    thumbnail: isYouTube ? getThumbnailUrl(data) : (data?.image || ''),
+    collection: tab.collection || '',
+    ...getCardMeta(data, contentType, summaryType)
+  });
+
+  return { cardId, title, summary: summary.markdown };
+}
+
+/**
+ * Create a sequential queue
+ * Items are processed one at a time; a failed item is marked as an error
+ * and the queue moves on to the next one
+ * @param {object} options - Queue options
+ * @param {Function} options.processItem - async (item, { signal, onProgress }) => result
+ * @param {Function} options.onUpdate - Called with the item list whenever it changes
+ * @param {Function} options.onIdle - Called with the item list when nothing is left to process
+ * @returns {object} Queue controls
+ */
+export function createBatchQueue({ processItem, onUpdate = () => {}, onIdle = () => {} }) {
+  let items = [];
+  let running = false;
+  let controller = null;
+
+  const notify = () => onUpdate(items.map(item => ({ ...item })));
+
+  const update = (item, changes) => {
+    Object.assign(item, changes);
+    notify();
+  };
+
+  /**
+   * Process pending items until none are left or the queue is cancelled
+   */
+  async function run() {
+    if (running) return;
+    running = true;
+
+    try {
+      let item;
+      while ((item = items.find(entry => entry.status === BATCH_STATUS.PENDING))) {
+        controller = new AbortController();
+        update(item, { status: BATCH_STATUS.RUNNING, message: '', error: '' });
+
+        try {
+          const result = await processItem(item.data, {
+            signal: controller.signal,
+            onProgress: (message) => update(item, { message })
+          });
+          update(item, { status: BATCH_STATUS.DONE, message: '', result });
+        } catch (error) {
+          if (isAbortError(error) || controller.signal.aborted) {
+            const status = item.skipRequested ? BATCH_STATUS.SKIPPED : BATCH_STATUS.CANCELLED;
+            update(item, { status, message: '', skipRequested: false });
+          } else {
+            update(item, { status: BATCH_STATUS.ERROR, message: '', error: error.message || 'Failed' });
+          }
+        }
+      }
+    } finally {
+      running = false;
+      controller = null;
+      notify();
+      onIdle(items.map(item => ({ ...item })));
+    }
+  }
+
+  return {
+    /**
+     * Replace the queue with new items and start processing
+     * Throws while a batch is still running (cancel it first)
+     * @param {Array<object>} entries - { id, data } for each item
+     */
+    start(entries) {
+      if (running) {
+        throw new Error(ERROR_MESSAGES.BATCH_RUNNING);
+      }
+      items = entries.map(entry => ({
+        id: entry.id,
+        data: entry.data,
+        status: BATCH_STATUS.PENDING,
+        message: '',
+        error: '',
+        result: null
+      }));
+      notify();
+      run();
+    },
+
+    /**
+     * Stop the running item and cancel everything still pending
+     */
+    cancel() {
+      items
+        .filter(item => item.status === BATCH_STATUS.PENDING)
+        .forEach(item => { item.status = BATCH_STATUS.CANCELLED; });
+      controller?.abort();
+      notify();
+    },
+
+    /**
+     * Queue a failed or cancelled item again
+     * @param {any} id - Item ID
+     */
+    retry(id) {
+      const item = items.find(entry => entry.id === id);
+      if (!item || ![BATCH_STATUS.ERROR, BATCH_STATUS.CANCELLED].includes(item.status)) return;
+      update(item, { status: BATCH_STATUS.PENDING, error: '' });
+      run();
+    },
+
+    /**
+     * Skip a pending item, or stop and skip the running one
+     * @param {any} id - Item ID
+     */
+    skip(id) {
+      const item = items.find(entry => entry.id === id);
+      if (!item) return;
+
+      if (item.status === BATCH_STATUS.PENDING) {
+        update(item, { status: BATCH_STATUS.SKIPPED });
+      } else if (item.status === BATCH_STATUS.RUNNING) {
+        // Marked skipped once the aborted item settles
+        item.skipRequested = true;
+        controller?.abort();
+      }
+    },
+
+    /**
+     * @returns {boolean} Whether an item is being processed
+     */
+    isRunning() {
+      return running;
+    }
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Chapter Summary Service
+ * Splits a video transcript into chapters (description markers or time windows)
+ * and summarizes each chapter with a timestamp link
+ */
+
+import { CONFIG, AI_PROMPTS, ERROR_MESSAGES } from '../config/constants.js';
+import { generateText } from '../api/ai.js';
+import { isSummarizerAvailable, generateTLDR, generateHeadline } from '../api/summarizer.js';
+import { formatTimestamp, parseTimestamp, segmentsToText } from '../utils/captions.js';
+import { buildYouTubeTimestampUrl, buildMediaTimestampUrl } from '../utils/url.js';
+
+/**
+ * Parse chapter markers from a video description
+ * Recognizes lines like "0:00 Intro", "12:34 - Setup" or "Q&A (1:02:03)"
+ *
+ * @param {string} description - Video description
+ * @returns {Array<{start: number, title: string}>} Markers (empty if fewer than 2 valid ones)
+ */
+export function parseChapterMarkers(description) {
+  if (!description) return [];
+
+  const leading = /^\s*(?:[-*•▶►]\s*)?[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*[-–—:|.]?\s*(.+)$/;
+  const trailing = /^\s*(?:[-*•▶►]\s*)?(.+?)\s*[-–—:|]?\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*$/;
+
+  const markers = [];
+
+  for (const line of description.split('\n')) {
+    let timestamp = null;
+    let title = '';
+
+    const leadingMatch = line.match(leading);
+    if (leadingMatch) {
+      [, timestamp, title] = leadingMatch;
+    } else {
+      const trailingMatch = line.match(trailing);
+      if (trailingMatch) {
+        [, title, timestamp] = trailingMatch;
+      }
+    }
+
+    const start = parseTimestamp(timestamp);
+    title = title.trim();
+
+    if (start === null || !title) continue;
+
+    // Chapters must be in ascending order; anything else is a stray timestamp
+    if (markers.length > 0 && start <= markers[markers.length - 1].start) continue;
+
+    markers.push({ start, title });
+  }
+
+  return markers.length >= 2 ? markers : [];
+}
+
+/**
+ * Split transcript segments into chapters
+ * Uses description markers when present, fixed time windows otherwise
+ *
+ * @param {Array<object>} segments - Transcript segments { start, duration, text }
+ * @param {Array<object>} markers - Chapter markers from parseChapterMarkers
+ * @returns {Array<{start: number, title: string, text: string}>} Chapters
+ */
+export function splitIntoChapters(segments, markers = []) {
+  if (!segments || segments.length === 0) return [];
+
+  const last = segments[segments.length - 1];
+  const duration = last.start + (last.duration || 0);
+
+  let boundaries = markers;
+
+  if (boundaries.length === 0) {
+    // Grow the window for long videos so we stay under MAX_CHAPTERS
+    const windowSeconds = Math.max(
+      CONFIG.CHAPTER_WINDOW_SECONDS,
+      Math.ceil(duration / CONFIG.MAX_CHAPTERS / 60) * 60
+    );
+
+    boundaries = [];
+    for (let start = 0; start < duration; start += windowSeconds) {
+      boundaries.push({ start, title: '' });
+    }
+  }
+
+  const chapters = boundaries.map((marker, index) => {
+    const end = boundaries[index + 1]?.start ?? Infinity;
+    // Speech before the first marker belongs to the first chapter
+    const from = index === 0 ? -Infinity : marker.start;
+    const chapterSegments = segments.filter(seg => seg.start >= from && seg.start < end);
+
+    return {
+      start: marker.start,
+      title: marker.title,
+      text: segmentsToText(chapterSegments)
+    };
+  });
+
+  return chapters.filter(chapter => chapter.text.trim().length > 0);
+}
+
+/**
+ * Summarize a single chapter
+ * @param {object} chapter - Chapter { start, title, text }
+ * @param {object} options - Options
+ * @param {boolean} options.useSummarizer - Use Summarizer API (else Prompt API)
+ * @param {string} options.videoTitle - Video title for context
+ * @param {object} options.aiParams - Prompt API parameters (temperature, topK)
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<{heading: string, summary: string}>} Chapter heading and summary
+ */
+async function summarizeChapter(chapter, options) {
+  const text = chapter.text.substring(0, CONFIG.CONTENT_LIMIT);
+  const context = `Part of the video "${options.videoTitle}" starting at ${formatTimestamp(chapter.start)}.`;
+
+  if (options.useSummarizer) {
+    const summary = await generateTLDR(text, { length: 'short', context, signal: options.signal });
+    const heading = chapter.title ||
+      (await generateHeadline(text, { length: 'short', context, signal: options.signal })).replace(/^#+\s*/, '');
+
+    return { heading: heading.trim(), summary: summary.trim() };
+  }
+
+  const response = await generateText(
+    AI_PROMPTS.CHAPTER_SUMMARY(options.videoTitle, chapter.title, text),
+    options.aiParams,
+    { signal: options.signal }
+  );
+
+  // Prompt asks for "Heading: ...\nSummary: ..."; tolerate the model skipping the heading
+  const headingMatch = response.match(/^\s*\**heading\**:\s*(.+)$/im);
+  const summaryMatch = response.match(/\**summary\**:\s*([\s\S]+)$/i);
+
+  return {
+    heading: (chapter.title || headingMatch?.[1] || `Part ${formatTimestamp(chapter.start)}`).trim(),
+    summary: (summaryMatch?.[1] || response).trim()
+  };
+}
+
+/**
+ * Generate a timestamped chapter summary in markdown
+ * Each entry renders as "[12:34] Heading — summary" linking to that point in the video
+ *
+ * @param {object} params - Generation parameters
+ * @param {string} params.title - Video title
+ * @param {string} params.videoId - YouTube video ID
+ * @param {object} params.media - Media info of a web page's video or audio (instead of videoId)
+ * @param {string} params.description - Video description (for chapter markers)
+ * @param {Array<object>} params.transcript - Transcript segments
+ * @param {number} params.temperature - AI temperature (for Prompt API)
+ * @param {number} params.topK - AI top-K value (for Prompt API)
+ * @param {Function} params.onProgress - Progress callback (stage, current, total)
+ * @param {Function} params.onChunk - Called with the markdown so far after each chapter
+ * @param {AbortSignal} params.signal - Abort signal for cancellation
+ * @returns {Promise<string>} Summary markdown
+ */
+export async function generateChapterSummary(params) {
+  const { title, videoId, media, description, transcript, temperature, topK, onProgress, onChunk, signal } = params;
+
+  const chapters = splitIntoChapters(transcript, parseChapterMarkers(description));
+
+  if (chapters.length === 0) {
+    throw new Error(ERROR_MESSAGES.CHAPTERS_NEED_TRANSCRIPT);
+  }
+
+  const options = {
+    useSummarizer: await isSummarizerAvailable(),
+    videoTitle: title,
+    aiParams: { temperature, topK },
+    signal
+  };
+
+  const entries = [];
+
+  for (const [index, chapter] of chapters.entries()) {
+    onProgress?.('chapter', index + 1, chapters.length);
+
+    const { heading, summary } = await summarizeChapter(chapter, options);
+    const link = media ? buildMediaTimestampUrl(media, chapter.start) : buildYouTubeTimestampUrl(videoId, chapter.start);
+    const oneLine = summary.replace(/^[-*•]\s*/gm, '').replace(/\s*\n+\s*/g, ' ');
+
+    entries.push(`- [\\[${formatTimestamp(chapter.start)}\\]](${link}) **${heading}** — ${oneLine}`);
+    onChunk?.(entries.join('\n'));
+  }
+
+  return entries.join('\n');
+}
@@ -2,22 +2,55 @@
  * Web Content Extraction Service
  */
 
-import { getHostname } from '../utils/url.js';
+import { CONFIG, ERROR_MESSAGES, STATUS_MESSAGES } from '../config/constants.js';
+import { getHostname, isYouTubeUrl, isYouTubePlaylistUrl, isPdfUrl } from '../utils/url.js';
+import { getSiteRuleForUrl } from '../utils/site-rules.js';
+import { mergeOutlines } from '../utils/outline.js';
+import { getBoilerplateFingerprints, learnBoilerplate } from '../utils/boilerplate.js';
+import { extractPdfContent, isPdfDocument } from './pdf.js';
+import { attachMediaTranscript } from './media.js';
 
 /**
  * Extract content from current webpage
+ * The saved extraction rule for the tab's domain is applied unless
+ * options.rule is given (the rules editor passes its unsaved draft).
+ * Paragraphs learned as boilerplate for the domain are removed, and the
+ * page's paragraphs are counted towards learning (except for previews and
+ * when options.learn is false). With options.pageUrl the extractor fetches
+ * that page of the tab's site and reads its HTML instead of the open page.
  * @param {number} tabId - Chrome tab ID
+ * @param {object} options - { rule, preview, learn, pageUrl } (preview skips the lazy-load scrolling)
  * @returns {Promise<object>} Extracted content data
  */
-export async function extractWebContent(tabId) {
+export async function extractWebContent(tabId, options = {}) {
   try {
+    const pageUrl = options.pageUrl || (await chrome.tabs.get(tabId)).url;
+    let rule = options.rule;
+    if (rule === undefined) {
+      rule = await getSiteRuleForUrl(pageUrl);
+    }
+    const boilerplate = await getBoilerplateFingerprints(pageUrl);
+    
+    // Both scripts run in the same isolated world, so the extractor can read this global
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (extractOptions) => { globalThis.__snapsummaryExtractOptions = extractOptions; },
+      args: [{ rule: rule || null, preview: Boolean(options.preview), boilerplate, pageUrl: options.pageUrl || '' }]
+    });
+    
     const results = await chrome.scripting.executeScript({
       target: { tabId },
       files: ['content-extractor.js']
     });
     
     if (results && results[0] && results[0].result) {
-      return results[0].result;
+      const { blockFingerprints, ...data } = results[0].result;
+      if (!options.preview && options.learn !== false) {
+        // Learning is best-effort; extraction succeeds without it
+        await learnBoilerplate(data.url, blockFingerprints)
+          .catch(error => console.error('Failed to learn boilerplate:', error));
+      }
+      return data;
     }
     
     throw new Error('No content extracted');
@@ -29,11 +62,179 @@ export async function extractWebContent(tabId) {
 }
 
 /**
- * Extract content from URL (if it's the current tab)
+ * Extract a tab's content, using the PDF parser when the tab shows a PDF
+ * Script injection fails in Chrome's PDF viewer, so a failed extraction
+ * is retried as a PDF when the URL serves one. Paginated articles are
+ * stitched together with their following pages, and the transcript of
+ * the page's video or audio is attached when one is found.
+ * @param {number} tabId - Chrome tab ID
+ * @param {string} url - Tab URL
+ * @param {object} options - { onProgress } for PDF, pagination and transcript status messages
+ * @returns {Promise<object>} Extracted content data
+ */
+export async function extractTabContent(tabId, url, options = {}) {
+  if (!isPdfUrl(url)) {
+    let data = null;
+    try {
+      data = await extractWebContent(tabId);
+    } catch (error) {
+      if (!(await isPdfDocument(url))) throw error;
+    }
+    if (data) return attachMediaTranscript(await stitchFollowingPages(tabId, data, options), options);
+  }
+  
+  return extractPdfContent(url, options);
+}
+
+/**
+ * Split content into its blank-line separated blocks, keeping fenced code blocks whole
+ * @param {string} content - Extracted content
+ * @returns {Array<string>} Blocks
+ */
+function splitContentBlocks(content) {
+  const blocks = [];
+  let inFence = false;
+  
+  content.split('\n\n').forEach(part => {
+    if (inFence) {
+      blocks[blocks.length - 1] += `\n\n${part}`;
+    } else {
+      blocks.push(part);
+    }
+    if ((part.match(/^`{3,}/gm) || []).length % 2 === 1) inFence = !inFence;
+  });
+  
+  return blocks;
+}
+
+/**
+ * Check if a block is a plain paragraph (not code, a table or a list)
+ * @param {string} block - Content block
+ * @returns {boolean}
+ */
+function isPlainParagraph(block) {
+  const text = block.trim();
+  return Boolean(text) && !/^(`{3,}|\||[-*+] |\d+[.)] )/.test(text);
+}
+
+/**
+ * Drop the leading and trailing paragraphs of a page that an earlier page already had
+ * Repeated intros, bylines and author boxes sit at the edges of each page;
+ * code, tables, lists and the middle of the page are kept as they are
+ * @param {Array<string>} blocks - Blocks of the page
+ * @param {Set<string>} seen - Paragraphs of the earlier pages
+ * @returns {Array<string>} Remaining blocks
+ */
+function trimRepeatedEdges(blocks, seen) {
+  const isRepeated = (block) => !block.trim() || (isPlainParagraph(block) && seen.has(block.trim()));
+  let start = 0;
+  let end = blocks.length;
+  
+  while (start < end && isRepeated(blocks[start])) start++;
+  while (end > start && isRepeated(blocks[end - 1])) end--;
+  
+  return blocks.slice(start, end);
+}
+
+/**
+ * Extract one following page of a paginated article
+ * The page is fetched from the article's tab and run through the same
+ * extractor on its parsed HTML, so its scripts never run. Sites whose rule
+ * sets renderPages (text rendered by scripts) load the page in a background
+ * tab instead.
+ * @param {number} tabId - Tab of the first page
+ * @param {string} url - Page URL
+ * @param {boolean} renderPage - Load the page in a background tab
+ * @returns {Promise<object>} Extracted content data
+ */
+async function extractFollowingPage(tabId, url, renderPage) {
+  // Following pages are not learned as boilerplate: they share their intro and
+  // author box, so counting them would teach the article's own text
+  if (!renderPage) {
+    return extractWebContent(tabId, { learn: false, pageUrl: url });
+  }
+  
+  const tab = await chrome.tabs.create({ url, active: false });
+  try {
+    await waitForTabLoad(tab.id, CONFIG.LINK_LOAD_TIMEOUT_MS);
+    return await extractWebContent(tab.id, { learn: false });
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Append the following pages of a paginated article (rel="next" / "Page 2" links)
+ * The article is learned as boilerplate once, through its first page.
+ * Stops at CONFIG.MAX_ARTICLE_PAGES or the first page that fails; pages read
+ * until then are kept.
+ * @param {number} tabId - Tab of the first page
+ * @param {object} data - Extracted content of the first page
+ * @param {object} options - { onProgress } for status messages
+ * @returns {Promise<object>} Content data with pagination { pages, capped } and the joined outline
+ */
+async function stitchFollowingPages(tabId, data, options = {}) {
+  const { onProgress = () => {} } = options;
+  if (!data.nextPageUrl) return data;
+  
+  const renderPages = Boolean((await getSiteRuleForUrl(data.url))?.renderPages);
+  const visited = new Set([data.url]);
+  // Paragraphs repeated on every page (intro, author box) are kept once
+  const seenParagraphs = new Set();
+  const rememberParagraphs = (blocks) => blocks
+    .filter(isPlainParagraph)
+    .forEach(block => seenParagraphs.add(block.trim()));
+  rememberParagraphs(splitContentBlocks(data.content));
+  const contents = [data.content];
+  const outlines = [data.outline];
+  let nextUrl = data.nextPageUrl;
+  
+  while (nextUrl && !visited.has(nextUrl) && contents.length < CONFIG.MAX_ARTICLE_PAGES) {
+    visited.add(nextUrl);
+    onProgress(STATUS_MESSAGES.LOADING_ARTICLE_PAGE(contents.length + 1));
+    
+    let page;
+    try {
+      page = await extractFollowingPage(tabId, nextUrl, renderPages);
+    } catch (error) {
+      console.error('Article page extraction error:', error);
+      break;
+    }
+    
+    const blocks = trimRepeatedEdges(splitContentBlocks(page.content), seenParagraphs);
+    if (blocks.length === 0) break;
+    
+    rememberParagraphs(blocks);
+    contents.push(blocks.join('\n\n'));
+    outlines.push(page.outline);
+    nextUrl = page.nextPageUrl;
+  }
+  
+  if (contents.length === 1) return data;
+  
+  const content = contents.join('\n\n');
+  const wordCount = content.split(/\s+/).filter(Boolean).length;
+  
+  return {
+    ...data,
+    content,
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    outline: mergeOutlines(outlines),
+    pagination: {
+      pages: contents.length,
+      capped: Boolean(nextUrl) && !visited.has(nextUrl)
+    }
+  };
+}
+
+/**
+ * Extract content from URL (if it's the current tab, or a PDF)
  * @param {string} url - URL to extract content from
+ * @param {object} options - { onProgress } for PDF status messages
  * @returns {Promise<object>} Extracted content data
  */
-export async function extractContentFromUrl(url) {
+export async function extractContentFromUrl(url, options = {}) {
   try {
     // Get current tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -41,7 +242,12 @@ export async function extractContentFromUrl(url) {
     
     // Check if URL matches current tab
     if (tab && tab.url === url) {
-      return await extractWebContent(tab.id);
+      return await extractTabContent(tab.id, url, options);
+    }
+    
+    // PDFs can be downloaded without opening them
+    if (isPdfUrl(url)) {
+      return await extractPdfContent(url, options);
     }
     
     // If not current tab, return placeholder
@@ -62,11 +268,138 @@ export async function extractContentFromUrl(url) {
   }
 }
 
+/**
+ * Read the current text selection from a tab
+ * Keeps line breaks, unlike the context menu's selectionText
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} frameId - Frame containing the selection
+ * @returns {Promise<string>} Selected text ('' if unavailable)
+ */
+export async function getSelectedText(tabId, frameId = 0) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: () => window.getSelection()?.toString() || ''
+    });
+    return results?.[0]?.result || '';
+  } catch (error) {
+    console.error('Selection read error:', error);
+    return '';
+  }
+}
+
+/**
+ * Let the user pick regions of a page with an overlay (element-picker.js)
+ * Resolves once they press Done or Cancel on the page
+ * @param {number} tabId - Chrome tab ID
+ * @returns {Promise<object>} { cancelled, url, title, content, regions }
+ */
+export async function pickContent(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ['element-picker.js']
+  });
+  return results?.[0]?.result || { cancelled: true };
+}
+
+/**
+ * Close a running picker (resolves pickContent as cancelled)
+ * @param {number} tabId - Chrome tab ID
+ */
+export async function cancelContentPicker(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => globalThis.__snapsummaryPicker?.cancel()
+    });
+  } catch (error) {
+    // Tab closed or navigated; the picker is gone already
+  }
+}
+
+/**
+ * Wait until a tab has finished loading
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<void>}
+ */
+function waitForTabLoad(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(ERROR_MESSAGES.LINK_LOAD_TIMEOUT));
+    }, timeoutMs);
+    
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    };
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    };
+    
+    chrome.tabs.onUpdated.addListener(listener);
+    
+    // The tab may already be complete before the listener was added
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Extract content from a linked page by loading it in a background tab
+ * (PDF links are downloaded directly)
+ * @param {string} url - Link URL (http/https)
+ * @param {object} options - { onProgress } for PDF status messages
+ * @returns {Promise<object>} Extracted content data
+ */
+export async function extractContentFromLink(url, options = {}) {
+  if (isPdfUrl(url)) {
+    return extractPdfContent(url, options);
+  }
+  
+  const tab = await chrome.tabs.create({ url, active: false });
+  
+  try {
+    await waitForTabLoad(tab.id, CONFIG.LINK_LOAD_TIMEOUT_MS);
+    return await extractTabContent(tab.id, url, options);
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * List the http(s) tabs in the current window (for batch summarization)
+ * @returns {Promise<Array<object>>} Tabs with id, url, title, favIconUrl and isYouTube
+ */
+export async function listWindowTabs() {
+  const tabs = await chrome.tabs.query({ currentWindow: true });
+  
+  return tabs
+    .filter(tab => tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://')))
+    .map(tab => ({
+      id: tab.id,
+      url: tab.url,
+      title: tab.title || tab.url,
+      favIconUrl: tab.favIconUrl || '',
+      isYouTube: isYouTubeUrl(tab.url)
+    }));
+}
+
 /**
  * Auto-detect and extract content from current tab
- * @returns {Promise<object>} Detection result with type and data
+ * @param {object} options - { onProgress } for PDF status messages
+ * @returns {Promise<object>} Detection result with type ('youtube', 'playlist' or 'webpage') and data
  */
-export async function autoDetectContent() {
+export async function autoDetectContent(options = {}) {
   try {
     // Get current tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -78,6 +411,15 @@ export async function autoDetectContent() {
     
     const url = tab.url;
     
+    // Check if YouTube playlist page
+    if (isYouTubePlaylistUrl(url)) {
+      return {
+        type: 'playlist',
+        url: url,
+        tabId: tab.id
+      };
+    }
+    
     // Check if YouTube
     if (url.includes('youtube.com/watch') || url.includes('youtu.be/')) {
       return {
@@ -89,7 +431,7 @@ export async function autoDetectContent() {
     
     // Check if regular webpage (must be http/https)
     if (url.startsWith('http://') || url.startsWith('https://')) {
-      const content = await extractWebContent(tab.id);
+      const content = await extractTabContent(tab.id, url, options);
       return {
         type: 'webpage',
         url: url,
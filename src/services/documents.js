@@ -0,0 +1,380 @@
+/**
+ * Local Document Service
+ * Parses dropped/picked files (TXT, Markdown, DOCX, EPUB, SRT/VTT, PDF)
+ * into the same content shape as webpage extraction
+ */
+
+import { unzipSync, strFromU8 } from 'fflate';
+import { CONFIG, ERROR_MESSAGES, STATUS_MESSAGES } from '../config/constants.js';
+import { parseSubtitleFile } from '../utils/captions.js';
+import { parsePdfData } from './pdf.js';
+
+// File extension -> parser type
+const FILE_TYPES = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  docx: 'docx',
+  epub: 'epub',
+  srt: 'subtitles',
+  vtt: 'subtitles',
+  pdf: 'pdf'
+};
+
+// For the file picker's accept attribute
+export const ACCEPTED_FILE_EXTENSIONS = Object.keys(FILE_TYPES).map(ext => `.${ext}`).join(',');
+
+/**
+ * Get the extension of a file name
+ * @param {string} name - File name
+ * @returns {string} Lowercase extension without the dot
+ */
+function getExtension(name) {
+  const match = /\.([^.]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * File name without extension, for use as a title
+ * @param {string} name - File name
+ * @returns {string} Title
+ */
+function getFileTitle(name) {
+  return (name || '').replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+}
+
+/**
+ * Collapse whitespace inside a line of text
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeSpace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Unzip a DOCX/EPUB archive
+ * @param {Uint8Array} data - File bytes
+ * @param {string} kind - Document kind for the error message
+ * @param {Function} filter - Optional fflate entry filter
+ * @returns {object} Entry path -> bytes
+ */
+function unzipDocument(data, kind, filter) {
+  try {
+    return unzipSync(data, filter ? { filter } : undefined);
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.FILE_INVALID(kind));
+  }
+}
+
+/**
+ * Parse an XML document from a zip entry
+ * @param {object} files - Unzipped files
+ * @param {string} path - Entry path
+ * @param {string} type - MIME type for DOMParser
+ * @returns {Document|null} Parsed document
+ */
+function parseZipXml(files, path, type = 'application/xml') {
+  const data = files[path];
+  if (!data) return null;
+
+  const doc = new DOMParser().parseFromString(strFromU8(data), type);
+  return doc.getElementsByTagName('parsererror').length ? null : doc;
+}
+
+/**
+ * Text of the first element with a (qualified) tag name
+ * @param {Document|Element} root - Root node
+ * @param {string} tagName - Tag name such as 'dc:title'
+ * @returns {string} Text or ''
+ */
+function getTagText(root, tagName) {
+  return normalizeSpace(root?.getElementsByTagName(tagName)[0]?.textContent);
+}
+
+/**
+ * Convert an (X)HTML body to text, keeping headings, paragraphs and list items
+ * @param {Element} body - Body element
+ * @returns {string} Text
+ */
+function htmlBodyToText(body) {
+  const selector = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, dt, dd, tr';
+  const blocks = Array.from(body.querySelectorAll(selector))
+    // Skip blocks nested in another block (e.g. <p> inside <li>)
+    .filter(el => !el.parentElement?.closest(selector));
+
+  if (blocks.length === 0) return normalizeSpace(body.textContent);
+
+  return blocks
+    .map(el => {
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'pre') return el.textContent.trim();
+
+      const text = normalizeSpace(el.textContent);
+      if (!text) return '';
+      if (/^h[1-6]$/.test(tag)) return `## ${text}`;
+      if (tag === 'li') return `• ${text}`;
+      if (tag === 'blockquote') return `> ${text}`;
+      if (tag === 'tr') return Array.from(el.children).map(cell => normalizeSpace(cell.textContent)).join(' | ');
+      return text;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Parse YAML-style front matter at the top of a Markdown file
+ * @param {string} text - Markdown text
+ * @returns {object} { meta, body }
+ */
+function parseFrontMatter(text) {
+  const match = /^---\n([\s\S]*?)\n---\n?/.exec(text);
+  if (!match) return { meta: {}, body: text };
+
+  const meta = {};
+  match[1].split('\n').forEach(line => {
+    const pair = /^(\w+):\s*(.*)$/.exec(line);
+    if (pair) meta[pair[1].toLowerCase()] = pair[2].replace(/^["']|["']$/g, '').trim();
+  });
+
+  return { meta, body: text.slice(match[0].length) };
+}
+
+/**
+ * Parse a plain text or Markdown file
+ * @param {string} text - File contents
+ * @param {boolean} isMarkdown - Read front matter and the first heading
+ * @returns {object} Parsed fields
+ */
+function parseTextDocument(text, isMarkdown) {
+  const normalized = text.replace(/\r\n?/g, '\n');
+  if (!isMarkdown) return { content: normalized.trim() };
+
+  const { meta, body } = parseFrontMatter(normalized);
+  const heading = /^#\s+(.+)$/m.exec(body);
+
+  return {
+    title: meta.title || heading?.[1]?.trim() || '',
+    author: meta.author || '',
+    publishDate: meta.date || meta.published || '',
+    content: body.trim()
+  };
+}
+
+/**
+ * Parse a subtitle file into transcript paragraphs
+ * A new paragraph starts after a pause of CONFIG.SUBTITLE_PARAGRAPH_GAP seconds
+ * @param {string} text - File contents
+ * @returns {object} Parsed fields
+ */
+function parseSubtitleDocument(text) {
+  const segments = parseSubtitleFile(text);
+  const paragraphs = [];
+  let current = [];
+  let lastEnd = 0;
+
+  segments.forEach(segment => {
+    if (current.length && segment.start - lastEnd > CONFIG.SUBTITLE_PARAGRAPH_GAP) {
+      paragraphs.push(current.join(' '));
+      current = [];
+    }
+    current.push(segment.text);
+    lastEnd = segment.start + segment.duration;
+  });
+  if (current.length) paragraphs.push(current.join(' '));
+
+  return { content: paragraphs.join('\n\n') };
+}
+
+/**
+ * Text of one DOCX paragraph (<w:p>)
+ * @param {Element} paragraph - Paragraph element
+ * @returns {string} Text with heading/list markers
+ */
+function getDocxParagraphText(paragraph) {
+  let text = '';
+  const walk = (node) => {
+    Array.from(node.children).forEach(child => {
+      if (child.tagName === 'w:t') text += child.textContent;
+      else if (child.tagName === 'w:tab') text += '\t';
+      else if (child.tagName === 'w:br' || child.tagName === 'w:cr') text += '\n';
+      else if (child.tagName !== 'w:pPr') walk(child);
+    });
+  };
+  walk(paragraph);
+
+  text = text.trim();
+  if (!text) return '';
+
+  const style = paragraph.getElementsByTagName('w:pStyle')[0]?.getAttribute('w:val') || '';
+  if (/^(heading|title)/i.test(style)) return `## ${normalizeSpace(text)}`;
+  if (paragraph.getElementsByTagName('w:numPr').length) return `• ${text}`;
+  return text;
+}
+
+/**
+ * Parse a Word document (word/document.xml + docProps/core.xml)
+ * @param {Uint8Array} data - File bytes
+ * @returns {object} Parsed fields
+ */
+function parseDocx(data) {
+  const files = unzipDocument(data, 'Word document',
+    (file) => file.name === 'word/document.xml' || file.name === 'docProps/core.xml');
+
+  const doc = parseZipXml(files, 'word/document.xml');
+  const body = doc?.getElementsByTagName('w:body')[0];
+  if (!body) throw new Error(ERROR_MESSAGES.FILE_INVALID('Word document'));
+
+  const parts = [];
+  Array.from(body.children).forEach(child => {
+    if (child.tagName === 'w:p') {
+      parts.push(getDocxParagraphText(child));
+    } else if (child.tagName === 'w:tbl') {
+      Array.from(child.getElementsByTagName('w:tr')).forEach(row => {
+        const cells = Array.from(row.getElementsByTagName('w:tc'))
+          .map(cell => Array.from(cell.getElementsByTagName('w:p')).map(getDocxParagraphText).join(' ').trim());
+        if (cells.some(Boolean)) parts.push(cells.join(' | '));
+      });
+    }
+  });
+
+  const core = parseZipXml(files, 'docProps/core.xml');
+  return {
+    title: getTagText(core, 'dc:title'),
+    subtitle: getTagText(core, 'dc:subject'),
+    author: getTagText(core, 'dc:creator'),
+    publishDate: getTagText(core, 'dcterms:created'),
+    tags: getTagText(core, 'cp:keywords').split(/[,;]/).map(tag => tag.trim()).filter(Boolean),
+    content: parts.filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Resolve a path relative to a file inside the zip
+ * @param {string} base - Path of the referencing file
+ * @param {string} href - Relative href
+ * @returns {string} Zip path
+ */
+function resolveZipPath(base, href) {
+  const segments = base.split('/').slice(0, -1);
+  decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+    if (part === '..') segments.pop();
+    else if (part && part !== '.') segments.push(part);
+  });
+  return segments.join('/');
+}
+
+/**
+ * Parse an EPUB book, reading chapters in spine order
+ * @param {Uint8Array} data - File bytes
+ * @param {Function} onProgress - Progress message callback
+ * @returns {object} Parsed fields
+ */
+function parseEpub(data, onProgress) {
+  const files = unzipDocument(data, 'EPUB book');
+
+  const container = parseZipXml(files, 'META-INF/container.xml');
+  const opfPath = container?.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+  const opf = opfPath && parseZipXml(files, opfPath);
+  if (!opf) throw new Error(ERROR_MESSAGES.FILE_INVALID('EPUB book'));
+
+  const manifest = {};
+  Array.from(opf.getElementsByTagName('item')).forEach(item => {
+    manifest[item.getAttribute('id')] = item.getAttribute('href');
+  });
+
+  const spine = Array.from(opf.getElementsByTagName('itemref'))
+    .map(ref => manifest[ref.getAttribute('idref')])
+    .filter(Boolean);
+
+  const chapters = [];
+  spine.forEach((href, index) => {
+    onProgress(STATUS_MESSAGES.FILE_CHAPTER(index + 1, spine.length));
+
+    const path = resolveZipPath(opfPath, href);
+    const chapter = parseZipXml(files, path, 'application/xhtml+xml') ||
+                    parseZipXml(files, path, 'text/html');
+    const body = chapter?.querySelector('body');
+    const text = body ? htmlBodyToText(body) : '';
+    if (text) chapters.push(text);
+  });
+
+  return {
+    title: getTagText(opf, 'dc:title'),
+    subtitle: getTagText(opf, 'dc:description'),
+    author: Array.from(opf.getElementsByTagName('dc:creator')).map(el => normalizeSpace(el.textContent)).filter(Boolean).join(', '),
+    publishDate: getTagText(opf, 'dc:date'),
+    language: getTagText(opf, 'dc:language'),
+    tags: Array.from(opf.getElementsByTagName('dc:subject')).map(el => normalizeSpace(el.textContent)).filter(Boolean),
+    content: chapters.join('\n\n')
+  };
+}
+
+/**
+ * Parse a local file into content data
+ * @param {File} file - Dropped or picked file
+ * @param {object} options - { onProgress } called with status messages
+ * @returns {Promise<object>} Content data in the same shape as webpage extraction, with isFile set
+ */
+export async function parseDocumentFile(file, options = {}) {
+  const { onProgress = () => {} } = options;
+  const extension = getExtension(file.name);
+  const fileType = FILE_TYPES[extension];
+
+  if (!fileType) {
+    throw new Error(ERROR_MESSAGES.FILE_UNSUPPORTED(file.name));
+  }
+  if (file.size > CONFIG.MAX_FILE_BYTES) {
+    throw new Error(ERROR_MESSAGES.FILE_TOO_LARGE);
+  }
+
+  onProgress(STATUS_MESSAGES.READING_FILE(file.name));
+
+  let parsed;
+  if (fileType === 'pdf') {
+    parsed = await parsePdfData(new Uint8Array(await file.arrayBuffer()), {
+      fallbackTitle: getFileTitle(file.name),
+      onProgress
+    });
+  } else if (fileType === 'docx') {
+    parsed = parseDocx(new Uint8Array(await file.arrayBuffer()));
+  } else if (fileType === 'epub') {
+    parsed = parseEpub(new Uint8Array(await file.arrayBuffer()), onProgress);
+  } else {
+    const text = await file.text();
+    parsed = fileType === 'subtitles'
+      ? parseSubtitleDocument(text)
+      : parseTextDocument(text, fileType === 'markdown');
+  }
+
+  const content = (parsed.content || '').substring(0, CONFIG.MAX_FILE_CONTENT_LENGTH);
+  if (!content.trim()) {
+    throw new Error(ERROR_MESSAGES.FILE_NO_TEXT(file.name));
+  }
+
+  const wordCount = content.split(/\s+/).filter(Boolean).length;
+
+  return {
+    type: 'webpage',
+    url: '',
+    title: parsed.title || getFileTitle(file.name) || file.name,
+    subtitle: parsed.subtitle || '',
+    content,
+    image: '',
+    author: parsed.author || '',
+    publishDate: parsed.publishDate || '',
+    modifiedDate: parsed.modifiedDate || (file.lastModified ? new Date(file.lastModified).toISOString() : ''),
+    description: parsed.subtitle || '',
+    excerpt: '',
+    tags: parsed.tags || [],
+    language: parsed.language || '',
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    ...(parsed.isPdf ? { isPdf: true, pageCount: parsed.pageCount } : {}),
+    isFile: true,
+    fileName: file.name,
+    fileType: extension,
+    fileSize: file.size
+  };
+}
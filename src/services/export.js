@@ -3,8 +3,11 @@
  */
 
 import { toPng } from 'html-to-image';
-import { downloadFile, copyToClipboard } from '../utils/dom.js';
+import TurndownService from 'turndown';
+import { zipSync, strToU8 } from 'fflate';
+import { downloadFile, downloadText, downloadBlob, copyToClipboard, escapeHtml } from '../utils/dom.js';
 import { generateFilename } from '../utils/validation.js';
+import { sanitizeHtml } from './summary.js';
 import { prepareCardForDownload } from '../utils/card.js';
 import { prepareImagesForExport } from '../utils/image.js';
 
@@ -74,6 +77,282 @@ async function attemptExport(cardElement) {
   });
 }
 
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  bulletListMarker: '-',
+  codeBlockStyle: 'fenced',
+  emDelimiter: '*'
+});
+
+// Rendered math (KaTeX MathML) is written back as its TeX source
+turndown.addRule('math', {
+  filter: (node) => node.nodeName === 'SPAN' && node.classList.contains('katex'),
+  replacement: (content, node) => {
+    const tex = node.querySelector('annotation[encoding="application/x-tex"]')?.textContent || content;
+    return node.querySelector('math')?.getAttribute('display') === 'block' ? `\n\n$$${tex}$$\n\n` : `$${tex}$`;
+  }
+});
+
+// Section-by-section summaries: each collapsible section becomes a heading
+turndown.addRule('sectionSummary', {
+  filter: 'summary',
+  replacement: (content) => `\n\n### ${content.trim()}\n\n`
+});
+
+/**
+ * Convert summary HTML to Markdown
+ * @param {string} html - Summary HTML
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html) {
+  return turndown.turndown(sanitizeHtml(html || '')).trim();
+}
+
+/**
+ * Format a value for YAML front matter
+ * Strings are double-quoted (JSON strings are valid YAML)
+ * @param {string|Array<string>} value - Value
+ * @returns {string} YAML value
+ */
+function toYamlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => JSON.stringify(String(item))).join(', ')}]`;
+  }
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Build a YAML front matter block, skipping empty fields
+ * @param {object} fields - Front matter fields
+ * @returns {string} Front matter including --- fences
+ */
+function buildFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => Array.isArray(value) ? value.length > 0 : Boolean(value))
+    .map(([key, value]) => `${key}: ${toYamlValue(value)}`);
+
+  return ['---', ...lines, '---'].join('\n');
+}
+
+/**
+ * Make a string safe to use as a filename (also valid as an Obsidian note name)
+ * @param {string} name - Desired name
+ * @returns {string} Safe filename stem
+ */
+function toSafeFilename(name) {
+  const safe = (name || '')
+    .replace(/[\\/:*?"<>|#^[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 100);
+
+  return safe || 'snapsummary-card';
+}
+
+/**
+ * Format a tag for Obsidian/Logseq (no spaces allowed)
+ * @param {string} tag - Tag
+ * @returns {string} Tag
+ */
+function toNoteTag(tag) {
+  return tag.replace(/\s+/g, '-');
+}
+
+/**
+ * Build a Markdown link that survives any title and URL
+ * Brackets in the text are escaped; spaces, parentheses and angle brackets
+ * in the URL are percent-encoded so they don't end the link early
+ * @param {string} text - Link text
+ * @param {string} url - Link target
+ * @returns {string} Markdown link
+ */
+function toMarkdownLink(text, url) {
+  const label = text.replace(/[[\]]/g, '\\$&');
+  const target = url.replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  return `[${label}](${target})`;
+}
+
+/**
+ * Convert a card to a Markdown document with YAML front matter
+ * @param {object} card - Card data
+ * @returns {string} Markdown
+ */
+export function cardToMarkdown(card) {
+  const frontMatter = buildFrontMatter({
+    title: card.title,
+    url: card.url,
+    file: card.fileName,
+    author: card.author,
+    publishDate: card.publishDate,
+    tags: card.tags || [],
+    collection: card.collection,
+    summaryType: card.summaryType,
+    language: card.language,
+    savedAt: card.timestamp
+  });
+
+  const sections = [frontMatter, `# ${card.title || 'Summary'}`, htmlToMarkdown(card.summary)];
+
+  if (card.personalNotes) {
+    sections.push(`## Personal Notes\n\n${card.personalNotes.trim()}`);
+  }
+  if (card.url) {
+    sections.push(toMarkdownLink('Read Original Content', card.url));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Convert a card to an Obsidian/Logseq note
+ * Tags are hyphenated and the collection becomes a [[wiki link]]
+ * @param {object} card - Card data
+ * @returns {string} Markdown note
+ */
+export function cardToObsidianNote(card) {
+  const frontMatter = buildFrontMatter({
+    title: card.title,
+    source: card.url,
+    file: card.fileName,
+    author: card.author,
+    published: card.publishDate,
+    created: card.timestamp,
+    tags: (card.tags || []).map(toNoteTag),
+    collection: card.collection,
+    summaryType: card.summaryType,
+    language: card.language
+  });
+
+  const meta = [];
+  if (card.url) meta.push(`Source: ${toMarkdownLink(card.title || card.url, card.url)}`);
+  if (card.collection) meta.push(`Collection: [[${card.collection}]]`);
+
+  const sections = [frontMatter];
+  if (meta.length > 0) sections.push(meta.join('\n'));
+  sections.push(`## Summary\n\n${htmlToMarkdown(card.summary)}`);
+  if (card.personalNotes) {
+    sections.push(`## Notes\n\n${card.personalNotes.trim()}`);
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Convert cards to a JSON bundle
+ * @param {Array<object>} cards - Cards
+ * @returns {string} JSON
+ */
+export function cardsToJson(cards) {
+  return JSON.stringify({
+    format: 'snapsummary-cards',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    cards
+  }, null, 2);
+}
+
+/**
+ * Convert cards to a standalone HTML page
+ * @param {Array<object>} cards - Cards
+ * @returns {string} HTML document
+ */
+export function cardsToHtml(cards) {
+  const articles = cards.map(card => {
+    const meta = [card.author, card.publishDate && new Date(card.publishDate).toLocaleDateString()]
+      .filter(Boolean)
+      .map(escapeHtml)
+      .join(' · ');
+    const tags = (card.tags || []).map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join(' ');
+
+    return `
+  <article>
+    <h2>${escapeHtml(card.title || 'Summary')}</h2>
+    ${meta ? `<p class="meta">${meta}</p>` : ''}
+    ${tags || card.collection ? `<p class="labels">${card.collection ? `<span class="tag">📁 ${escapeHtml(card.collection)}</span> ` : ''}${tags}</p>` : ''}
+    <div class="summary">${sanitizeHtml(card.summary || '')}</div>
+    ${card.personalNotes ? `<h3>Personal Notes</h3>\n    <p class="notes">${escapeHtml(card.personalNotes)}</p>` : ''}
+    ${card.url ? `<p><a href="${escapeHtml(card.url)}">Read Original Content</a></p>` : ''}
+  </article>`;
+  }).join('\n');
+
+  const title = cards.length === 1 ? cards[0].title : `SnapSummary – ${cards.length} cards`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title || 'SnapSummary')}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #333; line-height: 1.6; }
+    article { padding: 24px 0; border-bottom: 1px solid #eee; }
+    h2 { margin: 0 0 8px 0; }
+    .meta { color: #888; font-size: 14px; margin: 0 0 8px 0; }
+    .tag { display: inline-block; padding: 2px 8px; margin-right: 4px; font-size: 12px; color: #5568d3; background: #eef0fd; border-radius: 999px; }
+    .notes { white-space: pre-wrap; background: #fff9e6; padding: 12px; border-radius: 8px; }
+    a { color: #667eea; }
+  </style>
+</head>
+<body>
+${articles}
+</body>
+</html>
+`;
+}
+
+const TEXT_EXPORTS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', perCard: true, render: cardToMarkdown },
+  obsidian: { extension: 'md', mimeType: 'text/markdown', perCard: true, render: cardToObsidianNote },
+  json: { extension: 'json', mimeType: 'application/json', perCard: false, render: cardsToJson },
+  html: { extension: 'html', mimeType: 'text/html', perCard: false, render: cardsToHtml }
+};
+
+/**
+ * Export cards as a text file
+ * Markdown and Obsidian formats write one note per card (several notes are
+ * bundled in a zip, since Chrome blocks a burst of downloads); JSON and HTML
+ * bundle all cards in one file
+ * @param {Array<object>} cards - Cards to export
+ * @param {string} format - 'markdown', 'obsidian', 'json' or 'html'
+ * @returns {number} Number of files downloaded
+ */
+export function exportCardsAsText(cards, format) {
+  const exporter = TEXT_EXPORTS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (!cards || cards.length === 0) {
+    throw new Error('No cards to export');
+  }
+
+  if (!exporter.perCard) {
+    const prefix = cards.length === 1 ? toSafeFilename(cards[0].title) : 'snapsummary-cards';
+    downloadText(exporter.render(cards), generateFilename(prefix, exporter.extension), exporter.mimeType);
+    return 1;
+  }
+
+  if (cards.length === 1) {
+    downloadText(exporter.render(cards[0]), `${toSafeFilename(cards[0].title)}.${exporter.extension}`, exporter.mimeType);
+    return 1;
+  }
+
+  // Obsidian links notes by name, so keep note filenames readable and unique
+  const usedNames = new Set();
+  const files = {};
+  cards.forEach(card => {
+    let name = toSafeFilename(card.title);
+    for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+      name = `${toSafeFilename(card.title)} (${i})`;
+    }
+    usedNames.add(name.toLowerCase());
+    files[`${name}.${exporter.extension}`] = strToU8(exporter.render(card));
+  });
+
+  const zip = zipSync(files);
+  downloadBlob(new Blob([zip], { type: 'application/zip' }), generateFilename(`snapsummary-${format}`, 'zip'));
+  return 1;
+}
+
 /**
  * Copy summary text to clipboard
  * @param {HTMLElement} summaryElement - Summary element
@@ -0,0 +1,195 @@
+/**
+ * Media Transcript Service
+ * Transcripts for video and audio on any page: <track> subtitle files,
+ * Vimeo and YouTube embeds, and linked transcripts (subtitle files or
+ * timestamped transcript pages). Results use the same shape as YouTube
+ * transcripts, so chapter summaries work the same way.
+ */
+
+import { STATUS_MESSAGES } from '../config/constants.js';
+import { fetchTranscript, selectCaptionTrack } from '../api/youtube.js';
+import { parseSubtitleFile, parseTimestampedLines, segmentsToText } from '../utils/captions.js';
+
+const VIMEO_PLAYER_BASE = 'https://player.vimeo.com';
+const SUBTITLE_FILE = /\.(vtt|srt)(?:[?#]|$)/i;
+// Leaf blocks read from transcript pages (one line each)
+const TRANSCRIPT_BLOCKS = 'p, li, dt, dd, td, h2, h3, h4, div';
+
+/**
+ * Download a text file
+ * Fetched from the extension context (host permissions bypass page CORS).
+ * URLs come from the page, so the user's cookies are never sent with them,
+ * and only https: URLs are fetched (the only scheme connect-src allows).
+ * @param {string} url - File URL
+ * @returns {Promise<string>} Response body
+ */
+async function fetchText(url) {
+  if (new URL(url).protocol !== 'https:') {
+    throw new Error('Transcripts are only downloaded over HTTPS');
+  }
+
+  const response = await fetch(url, { credentials: 'omit' });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch transcript (${response.status})`);
+  }
+
+  return response.text();
+}
+
+/**
+ * List the text tracks of a Vimeo video from its player config
+ * @param {string} videoId - Vimeo video ID
+ * @returns {Promise<Array<object>>} Tracks { url, languageCode, kind, name }
+ */
+async function fetchVimeoTracks(videoId) {
+  const config = JSON.parse(await fetchText(`${VIMEO_PLAYER_BASE}/video/${videoId}/config`));
+
+  return (config?.request?.text_tracks || []).map(track => ({
+    url: new URL(track.url, VIMEO_PLAYER_BASE).href,
+    languageCode: (track.lang || '').toLowerCase(),
+    kind: track.kind || 'subtitles',
+    name: track.label || ''
+  }));
+}
+
+/**
+ * Read a linked transcript: a subtitle file, or a page whose lines start with timestamps
+ * Untimed transcript pages are skipped (they can still be summarized as a link)
+ * @param {string} url - Transcript URL
+ * @returns {Promise<Array<object>>} Transcript segments
+ */
+async function fetchLinkedTranscript(url) {
+  const body = await fetchText(url);
+  if (SUBTITLE_FILE.test(url) || /^WEBVTT/.test(body)) {
+    return parseSubtitleFile(body);
+  }
+
+  const doc = new DOMParser().parseFromString(body, 'text/html');
+  doc.querySelectorAll('script, style, noscript, nav, header, footer').forEach(el => el.remove());
+
+  const lines = Array.from(doc.querySelectorAll(TRANSCRIPT_BLOCKS))
+    .filter(el => !el.querySelector(TRANSCRIPT_BLOCKS))
+    .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  return parseTimestampedLines(lines);
+}
+
+/**
+ * Segments from a subtitle track, in the preferred language when there is a choice
+ * @param {Array<object>} tracks - Tracks { url, languageCode, kind, name }
+ * @param {string} language - Preferred language code
+ * @returns {Promise<object|null>} { track, segments } or null
+ */
+async function fetchSubtitleTrack(tracks, language) {
+  const track = selectCaptionTrack(tracks, language);
+  if (!track) return null;
+
+  return { track, segments: parseSubtitleFile(await fetchText(track.url)) };
+}
+
+/**
+ * Fetch the transcript of a page's video or audio
+ * Sources are tried in order: <track> files, the Vimeo or YouTube player,
+ * then transcript links
+ * @param {object} media - Media info from content-extractor.js
+ * @param {string} language - Preferred language code
+ * @returns {Promise<object|null>} Transcript { languageCode, kind, name, source, segments, text } or null
+ */
+export async function fetchMediaTranscript(media, language = 'en') {
+  const sources = [];
+
+  if (media.tracks?.length) {
+    sources.push(['track', () => fetchSubtitleTrack(media.tracks, language)]);
+  }
+  if (media.provider === 'vimeo') {
+    sources.push(['vimeo', async () => fetchSubtitleTrack(await fetchVimeoTracks(media.id), language)]);
+  }
+  if (media.provider === 'youtube') {
+    sources.push(['youtube', async () => {
+      const transcript = await fetchTranscript(media.id);
+      return transcript && { track: transcript, segments: transcript.segments };
+    }]);
+  }
+  (media.transcriptLinks || []).forEach(link => {
+    sources.push(['link', async () => ({
+      track: { name: link.label },
+      segments: await fetchLinkedTranscript(link.url)
+    })]);
+  });
+
+  for (const [source, load] of sources) {
+    try {
+      const result = await load();
+      if (!result?.segments?.length) continue;
+
+      return {
+        languageCode: result.track.languageCode || '',
+        kind: result.track.kind || '',
+        name: result.track.name || '',
+        source,
+        segments: result.segments,
+        text: segmentsToText(result.segments)
+      };
+    } catch (error) {
+      console.warn(`Media transcript unavailable (${source}):`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add the transcript of a page's video or audio to its extracted content
+ * Sets `transcript` and `captions` like YouTube video data
+ * @param {object} data - Extracted page content (with media from content-extractor.js)
+ * @param {object} options - { onProgress } for status messages
+ * @returns {Promise<object>} Content data
+ */
+export async function attachMediaTranscript(data, options = {}) {
+  if (!data?.media) return data;
+
+  options.onProgress?.(STATUS_MESSAGES.FETCHING_TRANSCRIPT);
+  const language = (data.language || navigator.language || 'en').split('-')[0].toLowerCase();
+  const transcript = await fetchMediaTranscript(data.media, language);
+
+  return transcript ? { ...data, transcript, captions: transcript.text } : data;
+}
+
+/**
+ * Seek the player of an open page to a chapter link's #t= time
+ * @param {string} url - Page URL with a #t=<seconds> fragment
+ * @returns {Promise<boolean>} True if an open tab was found and seeked
+ */
+export async function seekMediaInTab(url) {
+  const match = /#t=(\d+)s?$/.exec(url || '');
+  if (!match) return false;
+
+  const pageUrl = url.slice(0, match.index);
+  const tabs = await chrome.tabs.query({});
+  const tab = tabs.find(item => item.url?.split('#')[0] === pageUrl);
+  if (!tab) return false;
+
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (seconds) => {
+        const players = Array.from(document.querySelectorAll('video, audio'))
+          .sort((a, b) => (b.duration || 0) - (a.duration || 0));
+        if (!players[0]) return false;
+
+        players[0].currentTime = seconds;
+        players[0].play?.().catch(() => {});
+        return true;
+      },
+      args: [Number(match[1])]
+    });
+    if (!results?.[0]?.result) return false;
+
+    await chrome.tabs.update(tab.id, { active: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
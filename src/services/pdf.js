@@ -0,0 +1,244 @@
+/**
+ * PDF Extraction Service
+ * Fetches a PDF and extracts its text page by page with pdf.js
+ */
+
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
+import { CONFIG, ERROR_MESSAGES, STATUS_MESSAGES } from '../config/constants.js';
+
+// Copied next to the side panel by the build (see rollup.config.mjs)
+GlobalWorkerOptions.workerSrc = 'pdf.worker.min.mjs';
+
+/**
+ * Check whether a URL can be downloaded from the side panel
+ * The manifest's connect-src only allows https: (not chrome://, file: or plain http:)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isFetchableUrl(url) {
+  return typeof url === 'string' && url.startsWith('https://');
+}
+
+/**
+ * Check whether a URL serves a PDF (for URLs without a .pdf extension)
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>}
+ */
+export async function isPdfDocument(url) {
+  if (!isFetchableUrl(url)) return false;
+
+  try {
+    const response = await fetch(url, { method: 'HEAD', credentials: 'include' });
+    return (response.headers.get('content-type') || '').includes('application/pdf');
+  } catch (error) {
+    // A fetch blocked by the manifest's connect-src also ends up here
+    console.warn('PDF check failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Read a response body, stopping once it exceeds CONFIG.PDF_MAX_BYTES
+ * Content-Length is missing for chunked responses, so the cap is enforced while reading
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Uint8Array>} Body bytes
+ */
+async function readPdfBody(response) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  for (;;) {
+    let result;
+    try {
+      result = await reader.read();
+    } catch (error) {
+      throw new Error(ERROR_MESSAGES.PDF_FETCH_FAILED);
+    }
+    if (result.done) break;
+
+    size += result.value.length;
+    if (size > CONFIG.PDF_MAX_BYTES) {
+      reader.cancel().catch(() => {});
+      throw new Error(ERROR_MESSAGES.PDF_TOO_LARGE);
+    }
+    chunks.push(result.value);
+  }
+
+  const data = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return data;
+}
+
+/**
+ * Download the PDF bytes
+ * @param {string} url - PDF URL
+ * @returns {Promise<Uint8Array>} PDF data
+ */
+async function fetchPdfBytes(url) {
+  if (url.startsWith('http://')) {
+    throw new Error(ERROR_MESSAGES.PDF_INSECURE_URL);
+  }
+  if (!isFetchableUrl(url)) {
+    throw new Error(ERROR_MESSAGES.PDF_FETCH_FAILED);
+  }
+
+  let response;
+  try {
+    // Cookies are sent so PDFs behind a login (intranets, journals) still load
+    response = await fetch(url, { credentials: 'include' });
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.PDF_FETCH_FAILED);
+  }
+
+  if (!response.ok) {
+    throw new Error(ERROR_MESSAGES.PDF_FETCH_FAILED);
+  }
+
+  const size = Number(response.headers.get('content-length') || 0);
+  if (size > CONFIG.PDF_MAX_BYTES) {
+    throw new Error(ERROR_MESSAGES.PDF_TOO_LARGE);
+  }
+
+  return readPdfBody(response);
+}
+
+/**
+ * Convert a PDF date ("D:20240131120000+01'00'") to ISO format
+ * @param {string} value - PDF date string
+ * @returns {string} ISO date or ''
+ */
+function parsePdfDate(value) {
+  const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(value || '');
+  if (!match) return '';
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * File name from a URL, without the .pdf extension
+ * @param {string} url - PDF URL
+ * @returns {string} File name or ''
+ */
+function getFileTitle(url) {
+  try {
+    const name = new URL(url).pathname.split('/').pop() || '';
+    return decodeURIComponent(name).replace(/\.pdf$/i, '').replace(/[_-]+/g, ' ').trim();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Extract the text of one page, keeping the PDF's line breaks
+ * @param {object} page - pdf.js page
+ * @returns {Promise<string>} Page text
+ */
+async function extractPageText(page) {
+  const textContent = await page.getTextContent();
+  let text = '';
+
+  textContent.items.forEach(item => {
+    if (typeof item.str !== 'string') return;
+    text += item.str;
+    if (item.hasEOL) text += '\n';
+  });
+
+  return text
+    .replace(/(\w)-\n(\w)/g, '$1$2')  // Re-join words hyphenated across lines
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Fetch a PDF and extract its text and metadata
+ * @param {string} url - PDF URL
+ * @param {object} options - { onProgress } called with status messages
+ * @returns {Promise<object>} Content data (see parsePdfData)
+ */
+export async function extractPdfContent(url, options = {}) {
+  const { onProgress = () => {} } = options;
+
+  onProgress(STATUS_MESSAGES.FETCHING_PDF);
+  const data = await fetchPdfBytes(url);
+
+  return parsePdfData(data, { url, fallbackTitle: getFileTitle(url), onProgress });
+}
+
+/**
+ * Extract text and metadata from PDF bytes
+ * Each page is prefixed with "[Page N]" so summaries can cite page numbers
+ * @param {Uint8Array} data - PDF bytes
+ * @param {object} options - { url, fallbackTitle, onProgress }
+ * @returns {Promise<object>} Content data in the same shape as webpage extraction, with isPdf set
+ */
+export async function parsePdfData(data, options = {}) {
+  const { url = '', fallbackTitle = '', onProgress = () => {} } = options;
+
+  let pdf;
+  try {
+    pdf = await getDocument({
+      data,
+      isEvalSupported: false, // Extension CSP forbids eval
+      cMapUrl: CONFIG.PDF_CMAP_URL,
+      cMapPacked: true
+    }).promise;
+  } catch (error) {
+    throw new Error(error?.name === 'PasswordException'
+      ? ERROR_MESSAGES.PDF_ENCRYPTED
+      : ERROR_MESSAGES.PDF_INVALID);
+  }
+
+  try {
+    const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+    const pageCount = Math.min(pdf.numPages, CONFIG.PDF_MAX_PAGES);
+    const pages = [];
+
+    for (let number = 1; number <= pageCount; number++) {
+      onProgress(STATUS_MESSAGES.PDF_PAGE(number, pageCount));
+      const page = await pdf.getPage(number);
+      const text = await extractPageText(page);
+      page.cleanup();
+      if (text) pages.push(`[Page ${number}]\n${text}`);
+    }
+
+    if (pages.length === 0) {
+      throw new Error(ERROR_MESSAGES.PDF_NO_TEXT);
+    }
+
+    const content = pages.join('\n\n');
+    const wordCount = content.split(/\s+/).filter(Boolean).length;
+    const subject = (info.Subject || '').trim();
+
+    return {
+      type: 'webpage',
+      url,
+      title: (info.Title || '').trim() || fallbackTitle || 'PDF Document',
+      subtitle: subject,
+      content,
+      image: '',
+      author: (info.Author || '').trim(),
+      publishDate: parsePdfDate(info.CreationDate),
+      modifiedDate: parsePdfDate(info.ModDate),
+      description: subject,
+      excerpt: '',
+      tags: (info.Keywords || '').split(/[,;]/).map(tag => tag.trim()).filter(Boolean),
+      language: '',
+      wordCount,
+      readingTime: Math.ceil(wordCount / 200),
+      isPdf: true,
+      pageCount: pdf.numPages,
+      pagesExtracted: pageCount
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
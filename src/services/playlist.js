@@ -0,0 +1,144 @@
+/**
+ * Playlist Summarization Service
+ * Loads a YouTube playlist as batch items (summarized one by one like open
+ * tabs) and writes an overview card that covers the playlist's arc and links
+ * to each video's card
+ */
+
+import { CONFIG, AI_PROMPTS, ERROR_MESSAGES } from '../config/constants.js';
+import { fetchPlaylist, fetchVideosData, getThumbnailUrl, getVideoTitle } from '../api/youtube.js';
+import { generateText, isPromptApiAvailable } from '../api/ai.js';
+import { isSummarizerAvailable, generateKeyPoints } from '../api/summarizer.js';
+import { formatSummaryForDisplay } from './summary.js';
+import { saveSummaryCard } from '../utils/chrome-storage.js';
+import { extractPlaylistId, buildYouTubeUrl, buildYouTubePlaylistUrl } from '../utils/url.js';
+
+/**
+ * Load a playlist and the metadata of its videos
+ * Videos are shaped like batch tabs so the batch queue can summarize them
+ * @param {string} url - YouTube URL with a list= parameter
+ * @returns {Promise<object>} Playlist { id, url, title, description, channelTitle, thumbnail, total, videos }
+ */
+export async function loadPlaylist(url) {
+  const playlistId = extractPlaylistId(url);
+  if (!playlistId) {
+    throw new Error(ERROR_MESSAGES.PLAYLIST_NOT_FOUND);
+  }
+
+  const playlist = await fetchPlaylist(playlistId);
+  const videosById = new Map(
+    (await fetchVideosData(playlist.videoIds)).map(video => [video.id, video])
+  );
+
+  const videos = playlist.videoIds
+    .filter(videoId => videosById.has(videoId))
+    .map((videoId, index) => {
+      const videoData = videosById.get(videoId);
+      return {
+        id: `${playlistId}:${videoId}`,
+        position: index + 1,
+        url: buildYouTubeUrl(videoId),
+        title: getVideoTitle(videoData),
+        favIconUrl: videoData.snippet?.thumbnails?.default?.url || '',
+        isYouTube: true,
+        videoData,
+        // Video cards are grouped under the playlist in history
+        collection: playlist.title
+      };
+    });
+
+  if (videos.length === 0) {
+    throw new Error(ERROR_MESSAGES.PLAYLIST_EMPTY);
+  }
+
+  return {
+    ...playlist,
+    url: buildYouTubePlaylistUrl(playlistId),
+    videos
+  };
+}
+
+/**
+ * Join the video summaries for the overview prompt
+ * Each summary gets an equal share of CONFIG.CONTENT_LIMIT
+ * @param {Array<object>} entries - { position, title, summary }
+ * @returns {string} Numbered summaries
+ */
+function formatVideoSummaries(entries) {
+  const share = Math.floor(CONFIG.CONTENT_LIMIT / entries.length);
+
+  return entries
+    .map(entry => {
+      const heading = `Video ${entry.position}: ${entry.title}\n`;
+      return heading + entry.summary.trim().substring(0, Math.max(0, share - heading.length));
+    })
+    .join('\n\n');
+}
+
+/**
+ * Write the overview text of a playlist
+ * Uses the Prompt API for the arc; falls back to key points from the Summarizer API
+ * @param {object} playlist - Playlist from loadPlaylist
+ * @param {string} summaries - Numbered video summaries
+ * @param {object} settings - Summary settings (temperature, topK)
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<string>} Overview markdown
+ */
+async function writeOverview(playlist, summaries, settings, signal) {
+  if (isPromptApiAvailable()) {
+    return generateText(
+      AI_PROMPTS.PLAYLIST_OVERVIEW(playlist.title, playlist.description, summaries),
+      { temperature: settings.temperature, topK: settings.topK },
+      { signal }
+    );
+  }
+
+  if (!(await isSummarizerAvailable())) {
+    throw new Error(ERROR_MESSAGES.PROMPT_API_UNAVAILABLE);
+  }
+
+  return generateKeyPoints(summaries, {
+    length: 'long',
+    context: `Summaries of the videos in the YouTube playlist "${playlist.title}", in order.`,
+    signal
+  });
+}
+
+/**
+ * Generate the overview card of a playlist and save it to history
+ * The card ends with the list of videos, each linking to the video and its card
+ * @param {object} playlist - Playlist from loadPlaylist
+ * @param {Array<object>} results - Summarized videos with their batch results { position, title, url, videoData, cardId, summary }
+ * @param {object} settings - Summary settings (temperature, topK)
+ * @param {object} options - { signal }
+ * @returns {Promise<object>} { cardId, title, html }
+ */
+export async function generatePlaylistOverview(playlist, results, settings, options = {}) {
+  const entries = [...results].sort((a, b) => a.position - b.position);
+  if (entries.length === 0) {
+    throw new Error(ERROR_MESSAGES.PLAYLIST_OVERVIEW_EMPTY);
+  }
+
+  const overview = await writeOverview(playlist, formatVideoSummaries(entries), settings, options.signal);
+  const videoList = entries
+    .map(entry => `${entry.position}. [${entry.title.replace(/[[\]]/g, '\\$&')}](${entry.url}) · [View card](#card=${entry.cardId})`)
+    .join('\n');
+  const skipped = playlist.videos.length - entries.length;
+
+  const markdown = `${overview.trim()}\n\n### Videos\n\n${videoList}` +
+    (skipped > 0 ? `\n\n*${skipped} video${skipped === 1 ? ' was' : 's were'} not summarized.*` : '');
+  const html = formatSummaryForDisplay(markdown);
+
+  const cardId = await saveSummaryCard({
+    title: playlist.title,
+    summary: html,
+    url: playlist.url,
+    contentType: CONFIG.CONTENT_TYPES.YOUTUBE,
+    thumbnail: playlist.thumbnail || getThumbnailUrl(entries[0].videoData),
+    author: playlist.channelTitle,
+    summaryType: 'playlist',
+    collection: playlist.title
+  });
+
+  return { cardId, title: playlist.title, html };
+}
@@ -0,0 +1,147 @@
+/**
+ * Section Summary Service
+ * Summarizes a document section by section from its heading outline
+ * and renders the result as a collapsible outline
+ */
+
+import { CONFIG, AI_PROMPTS, ERROR_MESSAGES } from '../config/constants.js';
+import { generateText, condenseContent } from '../api/ai.js';
+import { isSummarizerAvailable, generateKeyPoints } from '../api/summarizer.js';
+import { outlineToText } from '../utils/outline.js';
+import { escapeHtml } from '../utils/dom.js';
+
+/**
+ * Pick the sections to summarize
+ * Uses the shallowest heading level with more than one section, so a page
+ * with a single h1 is summarized by its h2 sections. Subsections are folded
+ * into their section; excluded sections are left out.
+ *
+ * @param {Array<object>} outline - Heading tree from the extractor
+ * @param {Set<number>} excluded - Excluded section ids
+ * @returns {Array<{title: string, text: string, subsections: Array<string>}>} Sections
+ */
+export function getSummarySections(outline, excluded = new Set()) {
+  let nodes = outline || [];
+  let intro = [];
+
+  // Descend through lone top-level headings (page title, single wrapper section)
+  while (true) {
+    const titled = nodes.filter(node => node.title);
+    if (titled.length !== 1 || titled[0].children.length < 2) break;
+
+    intro = [...intro, ...nodes.filter(node => !node.title)];
+    const [parent] = titled;
+    if (!excluded.has(parent.id) && parent.text) {
+      intro.push({ id: parent.id, level: 0, title: '', text: parent.text, children: [] });
+    }
+    nodes = parent.children;
+  }
+
+  const sections = [...intro, ...nodes]
+    .filter(node => !excluded.has(node.id))
+    .map(node => ({
+      title: node.title || 'Introduction',
+      text: [node.text, outlineToText(node.children, excluded)].filter(Boolean).join('\n\n'),
+      subsections: (node.children || [])
+        .filter(child => !excluded.has(child.id))
+        .map(child => child.title)
+    }))
+    .filter(section => section.text.trim().length > 0);
+
+  // Untitled leading text is merged into one introduction
+  const [first, ...rest] = sections;
+  const merged = rest.length && first.title === 'Introduction' && rest[0].title === 'Introduction'
+    ? [{ ...first, text: `${first.text}\n\n${rest[0].text}` }, ...rest.slice(1)]
+    : sections;
+
+  return merged.slice(0, CONFIG.MAX_SUMMARY_SECTIONS);
+}
+
+/**
+ * Summarize a single section
+ * Long sections are condensed chunk by chunk first, like whole documents
+ * (the Summarizer API condenses to its input quota on its own)
+ * @param {object} section - Section { title, text }
+ * @param {object} options - Options
+ * @param {boolean} options.useSummarizer - Use Summarizer API (else Prompt API)
+ * @param {string} options.documentTitle - Document title for context
+ * @param {object} options.aiParams - Prompt API parameters (temperature, topK)
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<string>} Section summary (markdown bullet points)
+ */
+async function summarizeSection(section, options) {
+  if (options.useSummarizer) {
+    const context = `Section "${section.title}" of "${options.documentTitle}".`;
+    return (await generateKeyPoints(section.text, { length: 'short', context, signal: options.signal })).trim();
+  }
+
+  const condensed = section.text.length > CONFIG.CONTENT_LIMIT
+    ? await condenseContent(`${options.documentTitle}: ${section.title}`, section.text, options.aiParams, { signal: options.signal })
+    : section.text;
+  const text = condensed.substring(0, CONFIG.CONTENT_LIMIT);
+
+  const response = await generateText(
+    AI_PROMPTS.SECTION_SUMMARY(options.documentTitle, section.title, text),
+    options.aiParams,
+    { signal: options.signal }
+  );
+  return response.trim();
+}
+
+/**
+ * Render one summarized section as a collapsible block
+ * Blank lines around the body let marked parse it as Markdown inside the HTML
+ * @param {object} section - Section { title, subsections }
+ * @param {string} summary - Section summary markdown
+ * @returns {string} Markdown with a <details> block
+ */
+function formatSection(section, summary) {
+  const covers = section.subsections.length > 0
+    ? `\n\n*Covers: ${section.subsections.join(' · ')}*`
+    : '';
+
+  return `<details class="section-summary" open>\n<summary>${escapeHtml(section.title)}</summary>\n\n${summary}${covers}\n\n</details>`;
+}
+
+/**
+ * Generate a section-by-section summary in markdown
+ *
+ * @param {object} params - Generation parameters
+ * @param {string} params.title - Document title
+ * @param {Array<object>} params.outline - Heading tree from the extractor
+ * @param {Set<number>} params.excludedSections - Section ids left out by the user
+ * @param {number} params.temperature - AI temperature (for Prompt API)
+ * @param {number} params.topK - AI top-K value (for Prompt API)
+ * @param {Function} params.onProgress - Progress callback (stage, current, total)
+ * @param {Function} params.onChunk - Called with the markdown so far after each section
+ * @param {AbortSignal} params.signal - Abort signal for cancellation
+ * @returns {Promise<string>} Summary markdown
+ */
+export async function generateSectionSummary(params) {
+  const { title, outline, excludedSections, temperature, topK, onProgress, onChunk, signal } = params;
+
+  const sections = getSummarySections(outline, excludedSections);
+
+  if (sections.length === 0) {
+    throw new Error(ERROR_MESSAGES.SECTIONS_NEED_OUTLINE);
+  }
+
+  const options = {
+    useSummarizer: await isSummarizerAvailable(),
+    documentTitle: title,
+    aiParams: { temperature, topK },
+    signal
+  };
+
+  const entries = [];
+
+  for (const [index, section] of sections.entries()) {
+    onProgress?.('section', index + 1, sections.length);
+
+    const summary = await summarizeSection(section, options);
+    entries.push(formatSection(section, summary));
+    onChunk?.(entries.join('\n\n'));
+  }
+
+  return entries.join('\n\n');
+}
@@ -9,6 +9,13 @@
 
 import DOMPurify from 'dompurify';
 import { marked } from 'marked';
+import { markdownExtensions } from '../utils/markdown.js';
+
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { isAbortError } from '../utils/stream.js';
+
+// Math and highlighted code in rendered summaries
+marked.use(markdownExtensions);
 
 // Prompt API (for custom prompts)
 import { generateSummary as generateAISummary } from '../api/ai.js';
@@ -23,6 +30,12 @@ import {
   generateSummary as generateSummarizerSummary
 } from '../api/summarizer.js';
 
+// Chapter summaries (timestamped video sections)
+import { generateChapterSummary } from './chapters.js';
+
+// Section summaries (heading outline of long pages)
+import { generateSectionSummary } from './sections.js';
+
 /**
  * Determine which API to use based on whether user has custom prompt
  * 
@@ -52,8 +65,18 @@ function determineApi(customPrompt) {
  * @param {string} params.contentType - Content type ('youtube' or 'webpage')
  * @param {number} params.temperature - AI temperature (for Prompt API)
  * @param {number} params.topK - AI top-K value (for Prompt API)
- * @param {string} params.summaryType - Summary type for Summarizer API: 'teaser', 'key-points', 'tldr', 'headline'
+ * @param {string} params.summaryType - Summary type for Summarizer API: 'teaser', 'key-points', 'tldr', 'headline',
+ *                                      'chapters' for timestamped video chapters, or 'sections' for a page outline
  * @param {string} params.summaryLength - Summary length: 'short', 'medium', 'long'
+ * @param {Array<object>} params.transcript - Transcript segments (chapters mode)
+ * @param {string} params.videoId - YouTube video ID (chapters mode)
+ * @param {object} params.media - Media info of a web page's video or audio (chapters mode, instead of videoId)
+ * @param {string} params.description - Video description with chapter markers (chapters mode)
+ * @param {Array<object>} params.outline - Heading tree from the extractor (sections mode)
+ * @param {Set<number>} params.excludedSections - Section ids to leave out (sections mode)
+ * @param {Function} params.onProgress - Progress callback (stage, current, total) for chapters, sections and long content
+ * @param {Function} params.onChunk - Streams the summary when set; called with the markdown so far
+ * @param {AbortSignal} params.signal - Abort signal for the Stop button
  * @returns {Promise<object>} Summary result (markdown and HTML)
  */
 export async function generateSummary(params) {
@@ -65,13 +88,47 @@ export async function generateSummary(params) {
     temperature,
     topK,
     summaryType = 'teaser',
-    summaryLength = 'medium'
+    summaryLength = 'medium',
+    onProgress,
+    onChunk,
+    signal
   } = params;
   
   const apiToUse = determineApi(customPrompt);
+  const requestOptions = { onProgress, onChunk, signal };
   let summaryMarkdown;
   
-  if (apiToUse === 'summarizer') {
+  if (summaryType === 'chapters') {
+    // Chapters mode works from transcript segments rather than flat content
+    if (!params.transcript?.length || !(params.videoId || params.media)) {
+      throw new Error(ERROR_MESSAGES.CHAPTERS_NEED_TRANSCRIPT);
+    }
+    
+    summaryMarkdown = await generateChapterSummary({
+      title,
+      videoId: params.videoId,
+      media: params.media,
+      description: params.description,
+      transcript: params.transcript,
+      temperature,
+      topK,
+      ...requestOptions
+    });
+  } else if (summaryType === 'sections') {
+    // Sections mode works from the heading outline rather than flat content
+    if (!params.outline?.length) {
+      throw new Error(ERROR_MESSAGES.SECTIONS_NEED_OUTLINE);
+    }
+    
+    summaryMarkdown = await generateSectionSummary({
+      title,
+      outline: params.outline,
+      excludedSections: params.excludedSections,
+      temperature,
+      topK,
+      ...requestOptions
+    });
+  } else if (apiToUse === 'summarizer') {
     // Use Summarizer API for standard summaries
     // Check availability
     const available = await isSummarizerAvailable();
@@ -87,22 +144,26 @@ export async function generateSummary(params) {
         switch (summaryType) {
           case 'teaser':
             summaryMarkdown = await generateTeaser(formattedContent, {
-              length: summaryLength
+              length: summaryLength,
+              ...requestOptions
             });
             break;
           case 'key-points':
             summaryMarkdown = await generateKeyPoints(formattedContent, {
-              length: summaryLength
+              length: summaryLength,
+              ...requestOptions
             });
             break;
           case 'tldr':
             summaryMarkdown = await generateTLDR(formattedContent, {
-              length: summaryLength
+              length: summaryLength,
+              ...requestOptions
             });
             break;
           case 'headline':
             summaryMarkdown = await generateHeadline(formattedContent, {
-              length: summaryLength
+              length: summaryLength,
+              ...requestOptions
             });
             break;
           default:
@@ -110,10 +171,14 @@ export async function generateSummary(params) {
             summaryMarkdown = await generateSummarizerSummary(formattedContent, {
               type: summaryType,
               length: summaryLength,
-              format: 'markdown'
+              format: 'markdown',
+              ...requestOptions
             });
         }
       } catch (error) {
+        // A user-initiated stop is not a failure worth retrying
+        if (isAbortError(error)) throw error;
+        
         console.warn('Summarizer API failed, falling back to Prompt API:', error);
         // Fallback to Prompt API
         summaryMarkdown = await generateAISummary(
@@ -121,7 +186,8 @@ export async function generateSummary(params) {
           content,
           customPrompt || `Generate a ${summaryType} summary`,
           contentType,
-          { temperature, topK }
+          { temperature, topK },
+          requestOptions
         );
       }
     } else {
@@ -132,7 +198,8 @@ export async function generateSummary(params) {
         content,
         customPrompt || `Generate a ${summaryType} summary`,
         contentType,
-        { temperature, topK }
+        { temperature, topK },
+        requestOptions
       );
     }
   } else {
@@ -142,15 +209,13 @@ export async function generateSummary(params) {
       content,
       customPrompt,
       contentType,
-      { temperature, topK }
+      { temperature, topK },
+      requestOptions
     );
   }
   
-  // Convert markdown to HTML
-  const summaryHtml = marked.parse(summaryMarkdown);
-  
-  // Sanitize HTML (security)
-  const sanitizedHtml = DOMPurify.sanitize(summaryHtml);
+  // Convert markdown to HTML and sanitize it (security)
+  const sanitizedHtml = formatSummaryForDisplay(summaryMarkdown);
   
   return {
     markdown: summaryMarkdown,
@@ -229,15 +294,32 @@ export function prepareContent(videoData, contentType, includeDescription = true
       content += videoData.captions;
     }
   } else {
-    // Webpage
+    // Webpage (plus the transcript of its video or audio, if any)
     title = videoData?.title || 'Web Page';
     subtitle = videoData?.subtitle || videoData?.excerpt || '';
     content = videoData?.content || videoData?.description || '';
+    
+    if (includeCaptions && videoData?.captions) {
+      if (content) content += '\n\n';
+      content += videoData.captions;
+    }
   }
   
   return { title, subtitle, content };
 }
 
+/**
+ * Describe a web page's content for the prompt
+ * Pages whose video or audio has a transcript are summarized as media
+ * @param {object} data - Webpage data
+ * @returns {string} 'PDF document', 'video', 'audio recording' or 'article'
+ */
+export function getPageContentType(data) {
+  if (data?.isPdf) return 'PDF document';
+  if (data?.captions) return data.media?.kind === 'audio' ? 'audio recording' : 'video';
+  return 'article';
+}
+
 /**
  * Parse markdown to HTML
  * @param {string} markdown - Markdown text
@@ -249,11 +331,19 @@ export function markdownToHtml(markdown) {
 
 /**
  * Sanitize HTML content
+ * Summaries also come from imported backups, so forms and styling that
+ * could overlay the side panel are removed along with scripts
  * @param {string} html - HTML to sanitize
  * @returns {string} Sanitized HTML
  */
 export function sanitizeHtml(html) {
-  return DOMPurify.sanitize(html);
+  // MathML from KaTeX keeps its TeX source in <annotation> (used for Markdown export)
+  return DOMPurify.sanitize(html, {
+    ADD_TAGS: ['semantics', 'annotation'],
+    ADD_ATTR: ['encoding'],
+    FORBID_TAGS: ['form', 'button', 'textarea', 'select', 'style'],
+    FORBID_ATTR: ['style']
+  });
 }
 
 /**
@@ -311,6 +401,26 @@ export function getAvailableSummaryTypes() {
         medium: '17 words',
         long: '22 words'
       }
+    },
+    {
+      value: 'chapters',
+      label: 'Chapters',
+      description: 'Timestamped summary of each part of a video',
+      lengths: {
+        short: '1-2 sentences per chapter',
+        medium: '1-2 sentences per chapter',
+        long: '1-2 sentences per chapter'
+      }
+    },
+    {
+      value: 'sections',
+      label: 'Section by Section',
+      description: 'Collapsible outline with a summary of each heading section',
+      lengths: {
+        short: '2-4 bullet points per section',
+        medium: '2-4 bullet points per section',
+        long: '2-4 bullet points per section'
+      }
     }
   ];
 }
@@ -2,9 +2,11 @@
  * UI Display Functions - Card and Content Display
  */
 
-import { show, hide, setText, setHTML, setValue } from '../utils/dom.js';
+import { show, hide, setText, setHTML, setValue, escapeHtml } from '../utils/dom.js';
 import { countCharacters, countWords, formatNumber, getCurrentTimestamp } from '../utils/validation.js';
 import { getHostname } from '../utils/url.js';
+import { EXTRACTION_WARNINGS } from '../config/constants.js';
+import { flattenOutline } from '../utils/outline.js';
 
 // DOM elements (will be initialized)
 let cardContainer,
@@ -21,13 +23,27 @@ let cardContainer,
     previewChannel,
     descriptionText,
     contentLabel,
+    extractionWarnings,
     contentStats,
     contentCharCount,
     contentWordCount,
+    contentPageStat,
+    contentPageCount,
+    contentBoilerplateStat,
+    contentBoilerplateCount,
+    sectionPicker,
+    sectionPickerCount,
+    sectionList,
     translationOptions,
     translationInfo,
     translationLanguage;
 
+// Pending animation frame for streamed summary rendering
+let streamFrame = null;
+
+// Optional handler for summary links (returns true when it handled the link)
+let summaryLinkHandler = null;
+
 /**
  * Initialize display UI elements
  * @param {object} elements - Display elements
@@ -47,12 +63,48 @@ export function initDisplayElements(elements) {
   previewChannel = elements.previewChannel;
   descriptionText = elements.descriptionText;
   contentLabel = elements.contentLabel;
+  extractionWarnings = elements.extractionWarnings;
   contentStats = elements.contentStats;
   contentCharCount = elements.contentCharCount;
   contentWordCount = elements.contentWordCount;
+  contentPageStat = elements.contentPageStat;
+  contentPageCount = elements.contentPageCount;
+  contentBoilerplateStat = elements.contentBoilerplateStat;
+  contentBoilerplateCount = elements.contentBoilerplateCount;
+  sectionPicker = elements.sectionPicker;
+  sectionPickerCount = elements.sectionPickerCount;
+  sectionList = elements.sectionList;
   translationOptions = elements.translationOptions;
   translationInfo = elements.translationInfo;
   translationLanguage = elements.translationLanguage;
+  
+  // Summary is contenteditable, so links (e.g. chapter timestamps) need an explicit handler
+  cardSummary?.addEventListener('click', handleSummaryLinkClick);
+}
+
+/**
+ * Let the app handle summary links first (e.g. seek a page's player to a chapter
+ * or open a card linked from a playlist overview)
+ * @param {Function} handler - async (url) => true if the link was handled
+ */
+export function setSummaryLinkHandler(handler) {
+  summaryLinkHandler = handler;
+}
+
+/**
+ * Open links inside the card summary in a new tab
+ * "#card=<id>" links (playlist overviews) are left to the app handler
+ * @param {MouseEvent} e - Click event
+ */
+async function handleSummaryLinkClick(e) {
+  const link = e.target.closest?.('a[href]');
+  const isCardLink = link?.getAttribute('href').startsWith('#card=');
+  if (!link || !(isCardLink || /^https?:/.test(link.href))) return;
+  
+  e.preventDefault();
+  const url = isCardLink ? link.getAttribute('href') : link.href;
+  if (await summaryLinkHandler?.(url) || isCardLink) return;
+  window.open(link.href, '_blank');
 }
 
 /**
@@ -74,15 +126,26 @@ export function displayContentSelection(data, type) {
     thumbnailUrl = thumbnails.medium?.url || thumbnails.default?.url || '';
     titleText = snippet.title || 'YouTube Video';
     channelText = snippet.channelTitle || '';
-    contentText = snippet.description || 'No description available';
-    labelText = 'Video Description:';
+    
+    if (data?.captions) {
+      contentText = [snippet.description, data.captions].filter(Boolean).join('\n\n');
+      labelText = 'Video Description & Transcript:';
+    } else {
+      contentText = snippet.description || 'No description available';
+      labelText = 'Video Description:';
+    }
     
   } else if (type === 'webpage') {
     thumbnailUrl = data.image || '../images/icon128.png';
     titleText = data.title || 'Web Page';
-    channelText = data.author || getHostname(data.url);
-    contentText = data.content || data.description || 'No content extracted';
-    labelText = 'Page Content:';
+    channelText = data.author || (data.isFile ? data.fileName : getHostname(data.url));
+    contentText = [data.content || data.description, data.captions].filter(Boolean).join('\n\n') || 'No content extracted';
+    labelText = data.isSelection ? 'Selected Text:'
+      : data.isPicked ? 'Picked Content:'
+      : data.isFile ? `File: ${data.fileName}`
+      : data.isPdf ? `PDF Text (${data.pageCount} page${data.pageCount === 1 ? '' : 's'}):`
+      : data.captions ? `Page Content & ${data.media?.kind === 'audio' ? 'Audio' : 'Video'} Transcript:`
+      : 'Page Content:';
   }
   
   // Update preview
@@ -93,23 +156,111 @@ export function displayContentSelection(data, type) {
   if (contentLabel) setText(contentLabel, labelText);
   
   // Update stats
-  updateContentStats(contentText);
+  updateContentStats(contentText, type === 'webpage' ? data.pagination?.pages || 1 : 1);
+  renderBoilerplateStat(type === 'webpage' ? data.diagnostics?.boilerplateRemoved : 0);
+  renderExtractionWarnings(type === 'webpage' ? data.diagnostics : null);
+  renderSectionPicker(type === 'webpage' ? data.outline : null);
   
   // Show selection interface
   if (contentSelection) show(contentSelection);
 }
 
+/**
+ * Show extraction warnings (paywall, cookie wall, ...) so they are seen before generating
+ * @param {object|null} diagnostics - Diagnostics from content-extractor.js
+ */
+function renderExtractionWarnings(diagnostics) {
+  if (!extractionWarnings) return;
+  
+  const codes = [...(diagnostics?.warnings || [])];
+  if (diagnostics?.truncated) codes.push('truncated');
+  const messages = codes.map(code => EXTRACTION_WARNINGS[code]).filter(Boolean);
+  
+  if (messages.length === 0) {
+    hide(extractionWarnings);
+    return;
+  }
+  
+  setHTML(extractionWarnings, [
+    ...messages.map(text => `<p>⚠️ ${escapeHtml(text)}</p>`),
+    `<small>Extraction confidence: ${Math.round((diagnostics.confidence || 0) * 100)}% · Review the text below before generating.</small>`
+  ].join(''));
+  show(extractionWarnings);
+}
+
+/**
+ * Show how many paragraphs were removed as learned boilerplate
+ * @param {number} removed - Removed paragraphs
+ */
+function renderBoilerplateStat(removed = 0) {
+  if (!contentBoilerplateStat) return;
+  
+  if (contentBoilerplateCount) setText(contentBoilerplateCount, formatNumber(removed));
+  contentBoilerplateStat.hidden = !(removed > 0);
+}
+
+/**
+ * List the page's sections as checkboxes (all included), indented by depth
+ * @param {Array<object>|null} outline - Heading tree from content-extractor.js
+ */
+function renderSectionPicker(outline) {
+  if (!sectionPicker || !sectionList) return;
+  
+  const sections = flattenOutline(outline);
+  if (sections.length < 2) {
+    hide(sectionPicker);
+    setHTML(sectionList, '');
+    return;
+  }
+  
+  setHTML(sectionList, sections.map(({ node, depth }) => `
+    <label class="section-item" style="padding-left: ${depth * 16}px" title="${escapeHtml(node.text.substring(0, 200))}">
+      <input type="checkbox" data-section-id="${node.id}" data-depth="${depth}" checked>
+      <span>${escapeHtml(node.title || 'Introduction')}</span>
+      <small>${formatNumber(countWords(node.text))} words</small>
+    </label>
+  `).join(''));
+  updateSectionPickerCount();
+  show(sectionPicker);
+}
+
+/**
+ * Show how many sections are included
+ */
+export function updateSectionPickerCount() {
+  if (!sectionList || !sectionPickerCount) return;
+  
+  const boxes = sectionList.querySelectorAll('input[data-section-id]');
+  const checked = sectionList.querySelectorAll('input[data-section-id]:checked');
+  setText(sectionPickerCount, `(${checked.length} of ${boxes.length})`);
+}
+
+/**
+ * Ids of the sections the user unchecked
+ * @returns {Set<number>} Excluded section ids
+ */
+export function getExcludedSections() {
+  const unchecked = sectionList?.querySelectorAll('input[data-section-id]:not(:checked)') || [];
+  return new Set(Array.from(unchecked, box => Number(box.dataset.sectionId)));
+}
+
 /**
  * Update content statistics display
  * @param {string} content - Content text
+ * @param {number} [pageCount] - Article pages stitched together (omit to keep the current count)
  */
-export function updateContentStats(content) {
+export function updateContentStats(content, pageCount) {
   const charCount = countCharacters(content);
   const wordCount = countWords(content);
   
   if (contentCharCount) setText(contentCharCount, formatNumber(charCount));
   if (contentWordCount) setText(contentWordCount, formatNumber(wordCount));
   
+  if (pageCount !== undefined && contentPageStat) {
+    if (contentPageCount) setText(contentPageCount, formatNumber(pageCount));
+    contentPageStat.hidden = pageCount <= 1;
+  }
+  
   if (contentStats) {
     if (charCount > 0) {
       show(contentStats);
@@ -119,6 +270,27 @@ export function updateContentStats(content) {
   }
 }
 
+/**
+ * Point the card's source link at the original content
+ * Local files have no URL, so the link shows the file name instead
+ * @param {string} url - Original URL ('' for local files)
+ * @param {string} fileName - Local file name, if any
+ */
+export function setCardSource(url, fileName = '') {
+  if (cardVideoLink) {
+    if (fileName && !url) {
+      cardVideoLink.removeAttribute('href');
+    } else {
+      cardVideoLink.href = url || '#';
+      cardVideoLink.target = '_blank';
+    }
+  }
+  
+  if (cardLinkText) {
+    setText(cardLinkText, fileName && !url ? `📄 ${fileName}` : 'Read Original Content');
+  }
+}
+
 /**
  * Display summary card
  * @param {object} data - Video or webpage data
@@ -126,7 +298,7 @@ export function updateContentStats(content) {
  * @param {string} contentType - Content type ('youtube' or 'webpage')
  */
 export function displayCard(data, summary, contentType) {
-  let thumbnailUrl, title, linkUrl;
+  let thumbnailUrl, title, linkUrl, fileName;
   
   if (contentType === 'youtube') {
     const snippet = data?.snippet || {};
@@ -140,22 +312,16 @@ export function displayCard(data, summary, contentType) {
   } else {
     thumbnailUrl = data?.image || '../images/icon128.png';
     title = data?.title || 'Web Page';
-    linkUrl = data?.url || '#';
+    linkUrl = data?.url || '';
+    fileName = data?.isFile ? data.fileName : '';
   }
   
   // Update card elements
+  cancelStreamFrame();
   if (cardThumbnail) cardThumbnail.src = thumbnailUrl;
   if (cardTitle) setText(cardTitle, title);
   if (cardSummary) setHTML(cardSummary, summary.html);
-  if (cardVideoLink) {
-    cardVideoLink.href = linkUrl;
-    cardVideoLink.target = '_blank';
-  }
-  
-  // Link text is always "Read Original Content" regardless of type
-  if (cardLinkText) {
-    setText(cardLinkText, 'Read Original Content');
-  }
+  setCardSource(linkUrl, fileName);
   
   // Set timestamp
   if (cardTimestamp) {
@@ -186,9 +352,33 @@ export function hideCard() {
  * @param {string} htmlContent - HTML content
  */
 export function updateCardSummary(htmlContent) {
+  cancelStreamFrame();
   if (cardSummary) setHTML(cardSummary, htmlContent);
 }
 
+/**
+ * Render a partial summary while it is being generated
+ * Coalesces rapid updates into one render per animation frame
+ * @param {string} htmlContent - Sanitized HTML of the summary so far
+ */
+export function streamCardSummary(htmlContent) {
+  cancelStreamFrame();
+  streamFrame = requestAnimationFrame(() => {
+    streamFrame = null;
+    if (cardSummary) setHTML(cardSummary, htmlContent);
+  });
+}
+
+/**
+ * Drop a pending streamed render so it can't overwrite final content
+ */
+function cancelStreamFrame() {
+  if (streamFrame !== null) {
+    cancelAnimationFrame(streamFrame);
+    streamFrame = null;
+  }
+}
+
 /**
  * Get card element for export
  * @returns {HTMLElement} Card element
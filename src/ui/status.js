@@ -6,6 +6,8 @@ import { show, hide, setText, setHTML } from '../utils/dom.js';
 
 // DOM elements (will be initialized)
 let statusElement, loadingElement, errorElement;
+// Loading text from the markup, shown when showLoading() gets no message
+let defaultLoadingMessage = '';
 
 /**
  * Initialize status UI elements
@@ -15,6 +17,7 @@ export function initStatusElements(elements) {
   statusElement = elements.status;
   loadingElement = elements.loading;
   errorElement = elements.error;
+  defaultLoadingMessage = loadingElement?.querySelector('.loading-message')?.textContent || '';
 }
 
 /**
@@ -44,13 +47,13 @@ export function hideStatus() {
 
 /**
  * Show loading indicator
- * @param {string} message - Loading message
+ * @param {string} message - Loading message (default: the text in the markup)
  */
-export function showLoading(message = 'Loading...') {
+export function showLoading(message = '') {
   if (loadingElement) {
     const messageEl = loadingElement.querySelector('.loading-message');
     if (messageEl) {
-      setText(messageEl, message);
+      setText(messageEl, message || defaultLoadingMessage);
     }
     show(loadingElement);
   }
@@ -0,0 +1,166 @@
+/**
+ * Learned Boilerplate
+ * content-extractor.js fingerprints the paragraphs of every page it reads.
+ * Paragraphs that recur on CONFIG.BOILERPLATE_MIN_PAGES different pages of
+ * the same domain (newsletter pitches, author bios, "related" lists) are
+ * passed back to the extractor and removed. Blocks the user chose to keep
+ * are never learned again. Stored in chrome.storage.local:
+ * { [domain]: { pages: [url], blocks: { [hash]: { sample, pages, lastSeen } }, kept: [hash] } }
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { getHostname } from './url.js';
+import { normalizeDomain } from './site-rules.js';
+
+/**
+ * Load everything learned, keyed by domain
+ * @returns {Promise<object>} { [domain]: entry }
+ */
+async function loadBoilerplate() {
+  const result = await chrome.storage.local.get(CONFIG.BOILERPLATE_KEY);
+  return result[CONFIG.BOILERPLATE_KEY] || {};
+}
+
+/**
+ * Save everything learned
+ * @param {object} learned - { [domain]: entry }
+ */
+async function saveBoilerplate(learned) {
+  await chrome.storage.local.set({ [CONFIG.BOILERPLATE_KEY]: learned });
+}
+
+/**
+ * A page is counted once, whatever its query string or anchor
+ * @param {string} url - Page URL
+ * @returns {string} URL without query and hash
+ */
+function toPageKey(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return origin + pathname;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Whether a block has been seen on enough pages to be removed
+ * @param {object} block - { pages }
+ * @returns {boolean} True for boilerplate
+ */
+function isBoilerplate(block) {
+  return block.pages >= CONFIG.BOILERPLATE_MIN_PAGES;
+}
+
+/**
+ * Get the fingerprints to remove from a page
+ * @param {string} url - Page URL
+ * @returns {Promise<Array<string>>} Block hashes ([] when nothing was learned)
+ */
+export async function getBoilerplateFingerprints(url) {
+  const domain = normalizeDomain(getHostname(url));
+  if (!domain) return [];
+
+  try {
+    const entry = (await loadBoilerplate())[domain];
+    const kept = new Set(entry?.kept || []);
+    return Object.entries(entry?.blocks || {})
+      .filter(([hash, block]) => isBoilerplate(block) && !kept.has(hash))
+      .map(([hash]) => hash);
+  } catch (error) {
+    console.error('Failed to load learned boilerplate:', error);
+    return [];
+  }
+}
+
+/**
+ * Count the blocks of a page towards its domain
+ * Visiting the same page again does not count twice, and kept blocks are not counted.
+ * @param {string} url - Page URL
+ * @param {Array<object>} fingerprints - [{ hash, sample }] from the extractor
+ * @returns {Promise<void>}
+ */
+export async function learnBoilerplate(url, fingerprints) {
+  const domain = normalizeDomain(getHostname(url));
+  if (!domain || !fingerprints?.length) return;
+
+  const learned = await loadBoilerplate();
+  const entry = learned[domain] || { pages: [], blocks: {} };
+  const pageKey = toPageKey(url);
+  if (entry.pages.includes(pageKey)) return;
+
+  const now = Date.now();
+  const keptHashes = new Set(entry.kept || []);
+  entry.pages = [...entry.pages, pageKey].slice(-CONFIG.BOILERPLATE_MAX_PAGES);
+  fingerprints.filter(({ hash }) => !keptHashes.has(hash)).forEach(({ hash, sample }) => {
+    const block = entry.blocks[hash];
+    entry.blocks[hash] = {
+      sample: block?.sample || sample,
+      pages: (block?.pages || 0) + 1,
+      lastSeen: now
+    };
+  });
+
+  // Keep learned blocks first, then the most recently seen candidates
+  const kept = Object.entries(entry.blocks)
+    .sort(([, a], [, b]) => (isBoilerplate(b) - isBoilerplate(a)) || (b.lastSeen - a.lastSeen))
+    .slice(0, CONFIG.BOILERPLATE_MAX_BLOCKS);
+  entry.blocks = Object.fromEntries(kept);
+
+  learned[domain] = entry;
+  await saveBoilerplate(learned);
+}
+
+/**
+ * Get what was learned for a domain
+ * @param {string} domain - Domain or URL
+ * @returns {Promise<object>} { domain, pages, blocks: [{ hash, sample, pages }] } (learned blocks only, most frequent first)
+ */
+export async function getLearnedBoilerplate(domain) {
+  const key = normalizeDomain(domain);
+  const entry = key ? (await loadBoilerplate())[key] : null;
+
+  return {
+    domain: key,
+    pages: entry?.pages.length || 0,
+    blocks: Object.entries(entry?.blocks || {})
+      .filter(([, block]) => isBoilerplate(block))
+      .map(([hash, block]) => ({ hash, sample: block.sample, pages: block.pages }))
+      .sort((a, b) => b.pages - a.pages)
+  };
+}
+
+/**
+ * Forget one learned block and keep it from now on
+ * The block is added to the domain's kept list, so it is not learned again
+ * however often it recurs (until the domain is reset).
+ * @param {string} domain - Domain
+ * @param {string} hash - Block hash
+ * @returns {Promise<void>}
+ */
+export async function forgetBoilerplateBlock(domain, hash) {
+  const learned = await loadBoilerplate();
+  const entry = learned[normalizeDomain(domain)];
+  if (!entry?.blocks[hash]) return;
+
+  delete entry.blocks[hash];
+  entry.kept = [...(entry.kept || []).filter(keptHash => keptHash !== hash), hash]
+    .slice(-CONFIG.BOILERPLATE_MAX_BLOCKS);
+  await saveBoilerplate(learned);
+}
+
+/**
+ * Forget everything learned (and kept) for a domain, or for all domains
+ * @param {string} domain - Domain ('' = all domains)
+ * @returns {Promise<void>}
+ */
+export async function resetBoilerplate(domain = '') {
+  if (!domain) {
+    await chrome.storage.local.remove(CONFIG.BOILERPLATE_KEY);
+    return;
+  }
+
+  const learned = await loadBoilerplate();
+  delete learned[normalizeDomain(domain)];
+  await saveBoilerplate(learned);
+}
@@ -0,0 +1,266 @@
+/**
+ * Caption/Transcript Utility Functions
+ * Parses YouTube timedtext tracks, subtitle files and timestamped
+ * transcript pages into timestamped segments
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode HTML entities left in caption text
+ * Timedtext XML is often double-escaped (e.g. "&amp;#39;")
+ * @param {string} text - Text to decode
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  if (!text) return '';
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Normalize a single caption line
+ * @param {string} text - Raw caption text
+ * @returns {string} Cleaned text
+ */
+function cleanCaptionText(text) {
+  return decodeEntities(text)
+    .replace(/<[^>]+>/g, '')   // Strip inline styling tags
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse JSON3 timedtext format ({ events: [{ tStartMs, dDurationMs, segs }] })
+ * @param {object} data - Parsed JSON3 payload
+ * @returns {Array<{start: number, duration: number, text: string}>} Segments
+ */
+export function parseJson3Captions(data) {
+  const events = data?.events || [];
+  const segments = [];
+
+  for (const event of events) {
+    if (!event.segs) continue;
+
+    const text = cleanCaptionText(event.segs.map(seg => seg.utf8 || '').join(''));
+    if (!text) continue;
+
+    segments.push({
+      start: (event.tStartMs || 0) / 1000,
+      duration: (event.dDurationMs || 0) / 1000,
+      text
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Parse timedtext XML (format 1 <text start dur> or format 3 <p t d>)
+ * @param {string} xml - XML payload
+ * @returns {Array<{start: number, duration: number, text: string}>} Segments
+ */
+export function parseTimedTextXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+  if (doc.querySelector('parsererror')) {
+    return [];
+  }
+
+  const segments = [];
+
+  // Format 1: <transcript><text start="1.2" dur="3.4">...</text></transcript>
+  doc.querySelectorAll('text').forEach(node => {
+    const text = cleanCaptionText(node.textContent);
+    if (!text) return;
+
+    segments.push({
+      start: parseFloat(node.getAttribute('start')) || 0,
+      duration: parseFloat(node.getAttribute('dur')) || 0,
+      text
+    });
+  });
+
+  if (segments.length > 0) {
+    return segments;
+  }
+
+  // Format 3 (srv3): <timedtext><body><p t="1200" d="3400">...</p></body></timedtext>
+  doc.querySelectorAll('body > p, p[t]').forEach(node => {
+    const text = cleanCaptionText(node.textContent);
+    if (!text) return;
+
+    segments.push({
+      start: (parseInt(node.getAttribute('t'), 10) || 0) / 1000,
+      duration: (parseInt(node.getAttribute('d'), 10) || 0) / 1000,
+      text
+    });
+  });
+
+  return segments;
+}
+
+/**
+ * Parse a timedtext response, detecting JSON3 vs XML
+ * @param {string} raw - Raw response body
+ * @returns {Array<{start: number, duration: number, text: string}>} Segments
+ */
+export function parseCaptionTrack(raw) {
+  const body = (raw || '').trim();
+  if (!body) return [];
+
+  if (body.startsWith('{')) {
+    try {
+      return parseJson3Captions(JSON.parse(body));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return parseTimedTextXml(body);
+}
+
+/**
+ * Format seconds as a timestamp (m:ss or h:mm:ss)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted timestamp
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+
+  return `${minutes}:${secs}`;
+}
+
+/**
+ * Parse a timestamp (m:ss or h:mm:ss) into seconds
+ * @param {string} timestamp - Timestamp text
+ * @returns {number|null} Seconds or null if not a timestamp
+ */
+export function parseTimestamp(timestamp) {
+  const match = (timestamp || '').trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+}
+
+/**
+ * Join transcript segments into text
+ * @param {Array<object>} segments - Transcript segments
+ * @param {object} options - Options
+ * @param {boolean} options.timestamps - Prefix each line with [m:ss]
+ * @returns {string} Transcript text
+ */
+export function segmentsToText(segments, options = {}) {
+  if (!segments || segments.length === 0) return '';
+
+  if (options.timestamps) {
+    return segments
+      .map(seg => `[${formatTimestamp(seg.start)}] ${seg.text}`)
+      .join('\n');
+  }
+
+  return segments.map(seg => seg.text).join(' ');
+}
+
+/**
+ * Parse a cue timestamp (SRT "00:01:02,500" or VTT "01:02.500")
+ * @param {string} text - Timestamp text
+ * @returns {number|null} Seconds or null
+ */
+function parseCueTime(text) {
+  const match = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/.exec(text || '');
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) +
+    parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+}
+
+/**
+ * Parse an SRT or WebVTT subtitle file into segments
+ * Cue numbers, headers, NOTE/STYLE blocks and timestamps are dropped, and
+ * "rolling" cues that repeat the previous line are collapsed
+ * @param {string} text - File contents
+ * @returns {Array<{start: number, duration: number, text: string}>} Segments
+ */
+export function parseSubtitleFile(text) {
+  const segments = [];
+
+  (text || '').replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    if (timeIndex === -1) return;
+
+    const [startText, endText] = lines[timeIndex].split('-->');
+    const start = parseCueTime(startText);
+    const end = parseCueTime(endText);
+    let cueText = cleanCaptionText(lines.slice(timeIndex + 1).join(' '));
+    if (start === null || !cueText) return;
+
+    const previous = segments[segments.length - 1];
+    if (previous && cueText.startsWith(previous.text)) {
+      cueText = cueText.slice(previous.text.length).trim();
+      if (!cueText) return;
+    }
+
+    segments.push({ start, duration: Math.max(0, (end ?? start) - start), text: cueText });
+  });
+
+  return segments;
+}
+
+/**
+ * Parse a transcript page where lines start with a timestamp
+ * Handles "[0:12] text", "00:01:02 Speaker: text" and timestamps on their
+ * own line followed by the text (podcast and conference transcripts)
+ * @param {Array<string>} lines - Transcript lines
+ * @returns {Array<{start: number, duration: number, text: string}>} Segments ([] without 2+ timestamps)
+ */
+export function parseTimestampedLines(lines) {
+  const timestamped = /^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})(?:[.,]\d+)?[\])]?\s*[-–—:|]?\s*(.*)$/;
+  const segments = [];
+
+  (lines || []).forEach(line => {
+    const match = timestamped.exec(line);
+    const start = match ? parseTimestamp(match[1]) : null;
+
+    if (start !== null) {
+      segments.push({ start, duration: 0, text: cleanCaptionText(match[2]) });
+    } else if (segments.length > 0) {
+      const previous = segments[segments.length - 1];
+      previous.text = `${previous.text} ${cleanCaptionText(line)}`.trim();
+    }
+  });
+
+  const timed = segments.filter(segment => segment.text);
+  timed.forEach((segment, index) => {
+    const next = timed[index + 1];
+    segment.duration = next ? Math.max(0, next.start - segment.start) : 0;
+  });
+
+  return timed.length >= 2 ? timed : [];
+}
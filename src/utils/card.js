@@ -2,6 +2,8 @@
  * Card Utility Functions
  */
 
+import { CONFIG } from '../config/constants.js';
+
 /**
  * Prepare card for download by hiding empty sections
  * @param {HTMLElement} cardElement - Card element
@@ -31,3 +33,29 @@ export function prepareCardForDownload(cardElement) {
   };
 }
 
+/**
+ * Read source metadata for a card from extracted content
+ * @param {object} contentData - Extracted content or YouTube video data
+ * @param {string} contentType - 'youtube' or 'webpage'
+ * @param {string} summaryType - Summary type used
+ * @returns {object} { author, publishDate, summaryType, language, fileName }
+ */
+export function getCardMeta(contentData, contentType, summaryType) {
+  if (contentType === CONFIG.CONTENT_TYPES.YOUTUBE) {
+    const snippet = contentData?.snippet || {};
+    return {
+      author: snippet.channelTitle || '',
+      publishDate: snippet.publishedAt || '',
+      summaryType,
+      language: snippet.defaultAudioLanguage || snippet.defaultLanguage || contentData?.transcript?.languageCode || ''
+    };
+  }
+  
+  return {
+    author: contentData?.author || '',
+    publishDate: contentData?.publishDate || '',
+    summaryType,
+    language: contentData?.language || '',
+    fileName: contentData?.fileName || ''
+  };
+}
@@ -1,41 +1,85 @@
 /**
  * Chrome Storage Utility Functions
- * Uses chrome.storage.local for persistent card history
+ * Card history lives in IndexedDB (see history-db.js); cards saved by older
+ * versions in chrome.storage.local are migrated on first access
  */
 
-const STORAGE_KEY = 'snapsummary_saved_cards';
-const MAX_SAVED_CARDS = 50; // Limit to prevent storage issues
+import {
+  putCard,
+  putCards,
+  getCard,
+  getAllCards,
+  updateCard,
+  deleteCard,
+  clearCards,
+  queryCards,
+  getDomains,
+  getTags,
+  getCollections
+} from './history-db.js';
+import { normalizeTags } from './tags.js';
+
+const LEGACY_STORAGE_KEY = 'snapsummary_saved_cards';
+
+let migrationPromise = null;
 
 /**
- * Save a summary card to Chrome storage
- * @param {object} card - Card data
+ * Move cards saved in chrome.storage.local into IndexedDB (runs once)
  * @returns {Promise<void>}
  */
+function migrateLegacyCards() {
+  if (!migrationPromise) {
+    migrationPromise = (async () => {
+      const result = await chrome.storage.local.get([LEGACY_STORAGE_KEY]);
+      const legacyCards = result[LEGACY_STORAGE_KEY];
+
+      if (Array.isArray(legacyCards) && legacyCards.length > 0) {
+        await putCards(legacyCards);
+      }
+
+      if (legacyCards) {
+        await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+      }
+    })().catch(error => {
+      // Retry on next access rather than losing the legacy cards
+      migrationPromise = null;
+      throw error;
+    });
+  }
+
+  return migrationPromise;
+}
+
+/**
+ * Save a summary card to history
+ * @param {object} card - Card data
+ * @returns {Promise<string>} Saved card ID
+ */
 export async function saveSummaryCard(card) {
   try {
+    await migrateLegacyCards();
+
     const cardData = {
-      id: Date.now().toString(),
+      // Random IDs: cards saved back to back (batch, playlist overview) can share a millisecond
+      id: crypto.randomUUID(),
       timestamp: new Date().toISOString(),
       title: card.title,
       summary: card.summary,
       url: card.url,
       contentType: card.contentType,
       thumbnail: card.thumbnail,
-      personalNotes: card.personalNotes || ''
+      personalNotes: card.personalNotes || '',
+      author: card.author || '',
+      publishDate: card.publishDate || '',
+      summaryType: card.summaryType || '',
+      language: card.language || '',
+      fileName: card.fileName || '',
+      tags: normalizeTags(card.tags),
+      collection: (card.collection || '').trim()
     };
-    
-    // Get existing cards
-    const existingCards = await getSavedCards();
-    
-    // Add new card at beginning
-    const updatedCards = [cardData, ...existingCards];
-    
-    // Limit to MAX_SAVED_CARDS
-    const limitedCards = updatedCards.slice(0, MAX_SAVED_CARDS);
-    
-    // Save to Chrome storage
-    await chrome.storage.local.set({ [STORAGE_KEY]: limitedCards });
-    
+
+    await putCard(cardData);
+
     // Card saved to history
     return cardData.id;
   } catch (error) {
@@ -44,20 +88,91 @@ export async function saveSummaryCard(card) {
   }
 }
 
+/**
+ * Write restored cards to history, keeping their IDs and timestamps
+ * @param {Array<object>} cards - Validated cards (see services/backup.js)
+ * @param {object} options - { replace } to delete existing cards first
+ * @returns {Promise<void>}
+ */
+export async function restoreSavedCards(cards, { replace = false } = {}) {
+  await migrateLegacyCards();
+
+  if (replace) {
+    await clearCards();
+  }
+
+  await putCards(cards.map(card => ({
+    ...card,
+    tags: normalizeTags(card.tags),
+    collection: (card.collection || '').trim()
+  })));
+}
+
 /**
  * Get all saved summary cards
- * @returns {Promise<Array>} Array of saved cards
+ * @returns {Promise<Array>} Array of saved cards, newest first
  */
 export async function getSavedCards() {
   try {
-    const result = await chrome.storage.local.get([STORAGE_KEY]);
-    return result[STORAGE_KEY] || [];
+    await migrateLegacyCards();
+    return await getAllCards();
   } catch (error) {
     // Failed to load saved cards
     return [];
   }
 }
 
+/**
+ * Search, filter, sort and paginate saved cards
+ * @param {object} options - Query options (see history-db.js queryCards)
+ * @returns {Promise<object>} { cards, total, page, pageCount }
+ */
+export async function searchSavedCards(options = {}) {
+  await migrateLegacyCards();
+  return await queryCards(options);
+}
+
+/**
+ * Get the distinct domains of saved cards (for filters)
+ * @returns {Promise<Array<string>>} Domains
+ */
+export async function getSavedCardDomains() {
+  try {
+    await migrateLegacyCards();
+    return await getDomains();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Get the distinct tags and collections of saved cards (for filters and suggestions)
+ * @returns {Promise<object>} { tags, collections }
+ */
+export async function getSavedCardLabels() {
+  try {
+    await migrateLegacyCards();
+    const [tags, collections] = await Promise.all([getTags(), getCollections()]);
+    return { tags, collections };
+  } catch (error) {
+    return { tags: [], collections: [] };
+  }
+}
+
+/**
+ * Set the tags and collection of a saved card
+ * @param {string} cardId - Card ID
+ * @param {object} labels - { tags, collection }
+ * @returns {Promise<object|null>} Updated card or null if not found
+ */
+export async function updateSavedCardLabels(cardId, { tags = [], collection = '' }) {
+  await migrateLegacyCards();
+  return await updateCard(cardId, {
+    tags: normalizeTags(tags),
+    collection: collection.trim()
+  });
+}
+
 /**
  * Delete a saved card by ID
  * @param {string} cardId - Card ID
@@ -65,9 +180,8 @@ export async function getSavedCards() {
  */
 export async function deleteSavedCard(cardId) {
   try {
-    const cards = await getSavedCards();
-    const filtered = cards.filter(card => card.id !== cardId);
-    await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
+    await migrateLegacyCards();
+    await deleteCard(cardId);
   } catch (error) {
     // Failed to delete card
     throw error;
@@ -80,7 +194,8 @@ export async function deleteSavedCard(cardId) {
  */
 export async function clearAllSavedCards() {
   try {
-    await chrome.storage.local.set({ [STORAGE_KEY]: [] });
+    await migrateLegacyCards();
+    await clearCards();
   } catch (error) {
     // Failed to clear cards
     throw error;
@@ -94,11 +209,10 @@ export async function clearAllSavedCards() {
  */
 export async function getSavedCardById(cardId) {
   try {
-    const cards = await getSavedCards();
-    return cards.find(card => card.id === cardId) || null;
+    await migrateLegacyCards();
+    return await getCard(cardId);
   } catch (error) {
     // Failed to get card
     return null;
   }
 }
-
@@ -0,0 +1,112 @@
+/**
+ * Text Chunking Utility Functions
+ * Splits long content on structural boundaries for map-reduce summarization
+ */
+
+// Fenced code block (``` or longer fence, closed by the same fence)
+const FENCED_CODE_BLOCK = /^(`{3,})[^\n]*\n[\s\S]*?\n\1[ \t]*$/gm;
+
+/**
+ * Split prose into paragraphs; headings start a new block
+ * @param {string} text - Text without code blocks
+ * @returns {Array<string>} Blocks
+ */
+function splitProse(text) {
+  return text
+    .split(/\n\s*\n|\n(?=#{1,6}\s)/)
+    .map(block => block.trim())
+    .filter(block => block.length > 0);
+}
+
+/**
+ * Split text into structural blocks (sections and paragraphs)
+ * Headings start a new block so sections stay together where possible.
+ * Fenced code blocks are kept whole: their blank lines and "# comments"
+ * are not boundaries.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Blocks
+ */
+export function splitIntoBlocks(text) {
+  if (!text) return [];
+
+  const blocks = [];
+  let last = 0;
+
+  for (const match of text.matchAll(FENCED_CODE_BLOCK)) {
+    blocks.push(...splitProse(text.slice(last, match.index)), match[0]);
+    last = match.index + match[0].length;
+  }
+  blocks.push(...splitProse(text.slice(last)));
+
+  return blocks;
+}
+
+/**
+ * Split an oversized block into pieces no longer than maxChars
+ * Tries lines first, then sentences, then hard cuts
+ * @param {string} block - Block to split
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {Array<string>} Pieces
+ */
+function splitOversizedBlock(block, maxChars) {
+  const separators = [/\n/, /(?<=[.!?])\s+/];
+
+  for (const separator of separators) {
+    const parts = block.split(separator).filter(part => part.trim().length > 0);
+    if (parts.length > 1) {
+      return packPieces(parts, maxChars, separator.source === '\\n' ? '\n' : ' ');
+    }
+  }
+
+  const pieces = [];
+  for (let i = 0; i < block.length; i += maxChars) {
+    pieces.push(block.substring(i, i + maxChars));
+  }
+  return pieces;
+}
+
+/**
+ * Greedily pack pieces into chunks up to maxChars
+ * @param {Array<string>} pieces - Pieces to pack
+ * @param {number} maxChars - Maximum characters per chunk
+ * @param {string} joiner - Text placed between pieces
+ * @returns {Array<string>} Chunks
+ */
+function packPieces(pieces, maxChars, joiner) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (piece.length > maxChars) {
+      if (current) chunks.push(current);
+      current = '';
+      chunks.push(...splitOversizedBlock(piece, maxChars));
+      continue;
+    }
+
+    const candidate = current ? current + joiner + piece : piece;
+
+    if (candidate.length > maxChars) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split text into chunks of at most maxChars, breaking on structure
+ * @param {string} text - Text to chunk
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<string>} Chunks
+ */
+export function chunkText(text, maxChars) {
+  if (!text) return [];
+  if (text.length <= maxChars) return [text];
+
+  return packPieces(splitIntoBlocks(text), maxChars, '\n\n');
+}
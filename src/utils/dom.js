@@ -77,6 +77,20 @@ export function setHTML(element, html) {
   }
 }
 
+/**
+ * Escape text for interpolation into HTML strings
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Set input value safely
  * @param {HTMLInputElement} element - Input element
@@ -135,4 +149,25 @@ export function downloadFile(data, filename) {
   link.click();
 }
 
+/**
+ * Download text as a file
+ * @param {string} text - File contents
+ * @param {string} filename - Filename for download
+ * @param {string} mimeType - MIME type (e.g. 'text/markdown')
+ */
+export function downloadText(text, filename, mimeType = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+}
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Filename for download
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  downloadFile(url, filename);
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
@@ -0,0 +1,368 @@
+/**
+ * IndexedDB History Store
+ * Stores saved summary cards without a size cap and supports
+ * full-text search, filters, sorting and pagination
+ */
+
+import { getHostname } from './url.js';
+
+const DB_NAME = 'snapsummary';
+const DB_VERSION = 2;
+const STORE_CARDS = 'cards';
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_CARDS)
+          ? request.transaction.objectStore(STORE_CARDS)
+          : db.createObjectStore(STORE_CARDS, { keyPath: 'id' });
+
+        if (event.oldVersion < 1) {
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('contentType', 'contentType');
+          store.createIndex('domain', 'domain');
+          store.createIndex('terms', 'terms', { multiEntry: true });
+        }
+
+        // v2: tags and collections
+        if (event.oldVersion < 2) {
+          store.createIndex('tags', 'tags', { multiEntry: true });
+          store.createIndex('collection', 'collection');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a callback against the cards store inside a transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store, returns a request or value
+ * @returns {Promise<any>} Callback result once the transaction completes
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_CARDS, mode);
+    const store = transaction.objectStore(STORE_CARDS);
+    let result;
+
+    Promise.resolve(callback(store))
+      .then(value => { result = value; })
+      .catch(reject);
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Strip HTML tags from summary markup
+ * @param {string} html - HTML
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+  return (html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Add derived search fields (domain, terms) to a card
+ * @param {object} card - Card data
+ * @returns {object} Card ready for storage
+ */
+function indexCard(card) {
+  const tags = Array.isArray(card.tags) ? card.tags : [];
+  const searchable = [card.title, stripHtml(card.summary), card.personalNotes, ...tags].join(' ');
+
+  return {
+    ...card,
+    domain: card.domain || getHostname(card.url),
+    tags,
+    collection: card.collection || '',
+    terms: [...new Set(tokenize(searchable))]
+  };
+}
+
+/**
+ * Remove derived search fields before handing a card to callers
+ * @param {object} record - Stored record
+ * @returns {object} Card data
+ */
+function toCard(record) {
+  if (!record) return null;
+  const { terms, ...card } = record;
+  return card;
+}
+
+/**
+ * Insert or update a card
+ * @param {object} card - Card data (must have id)
+ * @returns {Promise<void>}
+ */
+export async function putCard(card) {
+  await withStore('readwrite', store => store.put(indexCard(card)));
+}
+
+/**
+ * Insert or update many cards in one transaction
+ * @param {Array<object>} cards - Cards
+ * @returns {Promise<void>}
+ */
+export async function putCards(cards) {
+  await withStore('readwrite', store => {
+    cards.forEach(card => store.put(indexCard(card)));
+  });
+}
+
+/**
+ * Get a card by ID
+ * @param {string} cardId - Card ID
+ * @returns {Promise<object|null>} Card or null
+ */
+export async function getCard(cardId) {
+  const record = await withStore('readonly', store => promisifyRequest(store.get(cardId)));
+  return toCard(record);
+}
+
+/**
+ * Get all cards, newest first
+ * @returns {Promise<Array<object>>} Cards
+ */
+export async function getAllCards() {
+  const records = await withStore('readonly', store => promisifyRequest(store.getAll()));
+  return records
+    .map(toCard)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Update fields of an existing card
+ * @param {string} cardId - Card ID
+ * @param {object} changes - Fields to overwrite
+ * @returns {Promise<object|null>} Updated card or null if not found
+ */
+export async function updateCard(cardId, changes) {
+  const record = await withStore('readwrite', async store => {
+    const existing = await promisifyRequest(store.get(cardId));
+    if (!existing) return null;
+
+    const updated = indexCard({ ...toCard(existing), ...changes, id: cardId });
+    store.put(updated);
+    return updated;
+  });
+
+  return toCard(record);
+}
+
+/**
+ * Delete a card by ID
+ * @param {string} cardId - Card ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCard(cardId) {
+  await withStore('readwrite', store => store.delete(cardId));
+}
+
+/**
+ * Delete every card
+ * @returns {Promise<void>}
+ */
+export async function clearCards() {
+  await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Count stored cards
+ * @returns {Promise<number>}
+ */
+export async function countCards() {
+  return await withStore('readonly', store => promisifyRequest(store.count()));
+}
+
+/**
+ * List the distinct non-empty keys of an index
+ * @param {string} indexName - Index name
+ * @returns {Promise<Array<string>>} Sorted keys
+ */
+async function getIndexKeys(indexName) {
+  return await withStore('readonly', store => new Promise((resolve, reject) => {
+    const keys = [];
+    const request = store.index(indexName).openKeyCursor(null, 'nextunique');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(keys.filter(Boolean));
+        return;
+      }
+      keys.push(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+/**
+ * List distinct domains of saved cards
+ * @returns {Promise<Array<string>>} Sorted domains
+ */
+export async function getDomains() {
+  return await getIndexKeys('domain');
+}
+
+/**
+ * List distinct tags of saved cards
+ * @returns {Promise<Array<string>>} Sorted tags
+ */
+export async function getTags() {
+  return await getIndexKeys('tags');
+}
+
+/**
+ * List distinct collections of saved cards
+ * @returns {Promise<Array<string>>} Sorted collection names
+ */
+export async function getCollections() {
+  return await getIndexKeys('collection');
+}
+
+/**
+ * Fetch candidate records for a search using the terms index
+ * Uses the longest term as a prefix lookup; other terms are checked in memory
+ * @param {IDBObjectStore} store - Cards store
+ * @param {Array<string>} terms - Search terms
+ * @returns {Promise<Array<object>>} Candidate records
+ */
+async function findByTerms(store, terms) {
+  const seed = [...terms].sort((a, b) => b.length - a.length)[0];
+  const range = IDBKeyRange.bound(seed, `${seed}\uffff`);
+  const records = await promisifyRequest(store.index('terms').getAll(range));
+
+  // A card with several words sharing the prefix is returned more than once
+  const unique = new Map(records.map(record => [record.id, record]));
+
+  return [...unique.values()].filter(record =>
+    terms.every(term => record.terms.some(word => word.startsWith(term)))
+  );
+}
+
+const SORTERS = {
+  newest: (a, b) => b.timestamp.localeCompare(a.timestamp),
+  oldest: (a, b) => a.timestamp.localeCompare(b.timestamp),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' })
+};
+
+/**
+ * Search and filter saved cards
+ * @param {object} options - Query options
+ * @param {string} options.query - Full-text query over title, summary and notes
+ * @param {string} options.contentType - Content type filter ('youtube', 'webpage')
+ * @param {string} options.domain - Domain filter
+ * @param {string} options.tag - Tag filter
+ * @param {string} options.collection - Collection filter
+ * @param {string} options.dateFrom - Earliest date (YYYY-MM-DD, inclusive)
+ * @param {string} options.dateTo - Latest date (YYYY-MM-DD, inclusive)
+ * @param {string} options.sort - 'newest', 'oldest' or 'title'
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.pageSize - Cards per page
+ * @returns {Promise<object>} { cards, total, page, pageCount }
+ */
+export async function queryCards(options = {}) {
+  const {
+    query = '',
+    contentType = '',
+    domain = '',
+    tag = '',
+    collection = '',
+    dateFrom = '',
+    dateTo = '',
+    sort = 'newest',
+    page = 1,
+    pageSize = 20
+  } = options;
+
+  const terms = tokenize(query);
+
+  const records = await withStore('readonly', store =>
+    terms.length > 0
+      ? findByTerms(store, terms)
+      : promisifyRequest(store.getAll())
+  );
+
+  // Date inputs are local calendar days; compare against local midnight boundaries
+  const from = dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : -Infinity;
+  const to = dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : Infinity;
+
+  const matches = records
+    .filter(record => !contentType || record.contentType === contentType)
+    .filter(record => !domain || record.domain === domain)
+    .filter(record => !tag || (record.tags || []).includes(tag))
+    .filter(record => !collection || record.collection === collection)
+    .filter(record => {
+      const time = new Date(record.timestamp).getTime();
+      return time >= from && time <= to;
+    })
+    .sort(SORTERS[sort] || SORTERS.newest);
+
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    cards: matches.slice(start, start + pageSize).map(toCard),
+    total: matches.length,
+    page: currentPage,
+    pageCount
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Markdown Rendering Extensions
+ * Math (KaTeX, rendered as MathML so it also survives PNG export) and
+ * syntax-highlighted code blocks (highlight.js) for summary cards
+ */
+
+import katex from 'katex';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import diff from 'highlight.js/lib/languages/diff';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import kotlin from 'highlight.js/lib/languages/kotlin';
+import markdown from 'highlight.js/lib/languages/markdown';
+import php from 'highlight.js/lib/languages/php';
+import python from 'highlight.js/lib/languages/python';
+import ruby from 'highlight.js/lib/languages/ruby';
+import rust from 'highlight.js/lib/languages/rust';
+import shell from 'highlight.js/lib/languages/shell';
+import sql from 'highlight.js/lib/languages/sql';
+import swift from 'highlight.js/lib/languages/swift';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+import { escapeHtml } from './dom.js';
+
+// Languages common in technical docs; others are shown without highlighting
+Object.entries({
+  bash, c, cpp, csharp, css, diff, go, java, javascript, json, kotlin, markdown,
+  php, python, ruby, rust, shell, sql, swift, typescript, xml, yaml
+}).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+/**
+ * Render TeX to MathML
+ * Invalid TeX is shown as source (in red) instead of failing the whole summary
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - Block (centered) instead of inline math
+ * @returns {string} HTML
+ */
+export function renderMath(tex, displayMode = false) {
+  return katex.renderToString(tex, {
+    displayMode,
+    output: 'mathml',
+    throwOnError: false,
+    strict: 'ignore'
+  });
+}
+
+/**
+ * Highlight a code block
+ * @param {string} code - Source code
+ * @param {string} language - Language hint from the fence ('' = detect)
+ * @returns {string} HTML <pre><code> block
+ */
+export function renderCodeBlock(code, language = '') {
+  const lang = (language || '').trim().split(/\s+/)[0].toLowerCase();
+  let highlighted;
+  let detected = lang;
+
+  try {
+    if (lang && hljs.getLanguage(lang)) {
+      highlighted = hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+    } else if (!lang) {
+      const result = hljs.highlightAuto(code);
+      highlighted = result.value;
+      detected = result.language || '';
+    }
+  } catch (error) {
+    highlighted = null;
+  }
+
+  // Turndown reads the language back from this class when exporting to Markdown
+  const className = detected ? `hljs language-${escapeHtml(detected)}` : 'hljs';
+  return `<pre><code class="${className}">${highlighted ?? escapeHtml(code)}</code></pre>\n`;
+}
+
+// $$...$$ or \[...\] on their own lines
+const BLOCK_MATH = /^ {0,3}(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n+|$)/;
+// $...$ (not "$5 and $10": no space inside the delimiters, no digit right after) or \(...\)
+const INLINE_MATH = /^(?:\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)|\\\(([\s\S]+?)\\\))/;
+
+/**
+ * marked extensions: math, and highlighted code blocks
+ * Use with marked.use(markdownExtensions)
+ */
+export const markdownExtensions = {
+  extensions: [
+    {
+      name: 'blockMath',
+      level: 'block',
+      start: (src) => src.match(/\$\$|\\\[/)?.index,
+      tokenizer(src) {
+        const match = BLOCK_MATH.exec(src);
+        if (match) {
+          return { type: 'blockMath', raw: match[0], text: (match[1] ?? match[2]).trim() };
+        }
+      },
+      renderer: (token) => `<p>${renderMath(token.text, true)}</p>\n`
+    },
+    {
+      name: 'inlineMath',
+      level: 'inline',
+      start: (src) => src.match(/\$|\\\(/)?.index,
+      tokenizer(src) {
+        const match = INLINE_MATH.exec(src);
+        if (match) {
+          return { type: 'inlineMath', raw: match[0], text: (match[1] ?? match[2]).trim() };
+        }
+      },
+      renderer: (token) => renderMath(token.text, false)
+    }
+  ],
+  renderer: {
+    code: (token) => renderCodeBlock(token.text, token.lang)
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Section Outline Utility Functions
+ * Work with the heading tree returned by content-extractor.js:
+ * [{ id, level, title, text, children }]
+ */
+
+/**
+ * Flatten an outline in page order
+ * @param {Array<object>} outline - Heading tree
+ * @param {number} depth - Depth of the given nodes
+ * @returns {Array<{node: object, depth: number}>} Sections with their depth
+ */
+export function flattenOutline(outline, depth = 0) {
+  return (outline || []).flatMap(node => [
+    { node, depth },
+    ...flattenOutline(node.children, depth + 1)
+  ]);
+}
+
+/**
+ * Rebuild Markdown text from the sections that are not excluded
+ * @param {Array<object>} outline - Heading tree
+ * @param {Set<number>} excluded - Excluded section ids
+ * @returns {string} Text
+ */
+export function outlineToText(outline, excluded = new Set()) {
+  return flattenOutline(outline)
+    .filter(({ node }) => !excluded.has(node.id))
+    .map(({ node }) => [node.title ? `${'#'.repeat(node.level)} ${node.title}` : '', node.text]
+      .filter(Boolean)
+      .join('\n\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Join the outlines of consecutive pages, renumbering ids to stay unique
+ * @param {Array<Array<object>>} outlines - Heading trees in page order
+ * @returns {Array<object>} Combined heading tree
+ */
+export function mergeOutlines(outlines) {
+  let nextId = 0;
+  const renumber = (node) => ({
+    ...node,
+    id: nextId++,
+    children: node.children.map(renumber)
+  });
+
+  return outlines.flatMap(outline => (outline || []).map(renumber));
+}
@@ -0,0 +1,155 @@
+/**
+ * Per-domain Extraction Rules
+ * User-defined selectors passed to content-extractor.js for sites the
+ * generic heuristics get wrong. Stored in chrome.storage.local.
+ */
+
+import { CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { getHostname } from './url.js';
+
+/**
+ * Normalize a domain typed by the user (a URL or hostname)
+ * @param {string} input - Domain or URL
+ * @returns {string} Lowercase hostname without "www." ('' if invalid)
+ */
+export function normalizeDomain(input) {
+  const text = (input || '').trim().toLowerCase();
+  if (!text) return '';
+
+  const hostname = text.includes('://') ? getHostname(text) : text.split(/[/?#:]/)[0];
+  return hostname.replace(/^www\./, '');
+}
+
+/**
+ * Split a textarea value into selectors (one per line)
+ * @param {string} text - Selectors separated by new lines
+ * @returns {Array<string>} Selectors
+ */
+export function parseSelectors(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Throw if a selector is not valid CSS
+ * @param {string} selector - CSS selector
+ */
+function assertValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.RULE_INVALID_SELECTOR(selector));
+  }
+}
+
+/**
+ * Build a validated rule from editor fields
+ * @param {object} fields - { domain, include, exclude, title, author, date, renderPages } (include/exclude as text or arrays)
+ * @returns {object} Rule
+ */
+export function createSiteRule(fields) {
+  const domain = normalizeDomain(fields.domain);
+  if (!domain) {
+    throw new Error(ERROR_MESSAGES.RULE_DOMAIN_REQUIRED);
+  }
+
+  const toList = (value) => Array.isArray(value) ? value.map(s => s.trim()).filter(Boolean) : parseSelectors(value);
+
+  const rule = {
+    domain,
+    include: toList(fields.include),
+    exclude: toList(fields.exclude),
+    title: (fields.title || '').trim(),
+    author: (fields.author || '').trim(),
+    date: (fields.date || '').trim(),
+    // Following pages of paginated articles are loaded in background tabs (script-rendered sites)
+    renderPages: Boolean(fields.renderPages)
+  };
+
+  [...rule.include, ...rule.exclude, rule.title, rule.author, rule.date]
+    .filter(Boolean)
+    .forEach(assertValidSelector);
+
+  return rule;
+}
+
+/**
+ * Load all rules keyed by domain
+ * @returns {Promise<object>} { [domain]: rule }
+ */
+async function loadRules() {
+  const result = await chrome.storage.local.get(CONFIG.SITE_RULES_KEY);
+  return result[CONFIG.SITE_RULES_KEY] || {};
+}
+
+/**
+ * Get all saved rules
+ * @returns {Promise<Array<object>>} Rules sorted by domain
+ */
+export async function getSiteRules() {
+  const rules = await loadRules();
+  return Object.values(rules).sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Find the rule for a page; the most specific domain wins,
+ * so a rule for example.com also covers docs.example.com
+ * @param {string} url - Page URL
+ * @returns {Promise<object|null>} Rule or null
+ */
+export async function getSiteRuleForUrl(url) {
+  const hostname = normalizeDomain(getHostname(url));
+  if (!hostname) return null;
+
+  try {
+    const rules = await loadRules();
+    const match = Object.keys(rules)
+      .filter(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? rules[match] : null;
+  } catch (error) {
+    console.error('Failed to load extraction rules:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a rule (replaces any rule for the same domain)
+ * @param {object} fields - Editor fields (see createSiteRule)
+ * @returns {Promise<object>} Saved rule
+ */
+export async function saveSiteRule(fields) {
+  const rule = createSiteRule(fields);
+  const rules = await loadRules();
+  rules[rule.domain] = { ...rule, updatedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ [CONFIG.SITE_RULES_KEY]: rules });
+  return rules[rule.domain];
+}
+
+/**
+ * Restore rules from a backup
+ * Backup rules replace saved rules for the same domain; replace drops all other rules
+ * @param {Array<object>} siteRules - Rules validated with createSiteRule
+ * @param {object} options - { replace }
+ * @returns {Promise<number>} Number of rules restored
+ */
+export async function restoreSiteRules(siteRules, options = {}) {
+  const rules = options.replace ? {} : await loadRules();
+  siteRules.forEach(rule => {
+    rules[rule.domain] = { ...rule, updatedAt: rule.updatedAt || new Date().toISOString() };
+  });
+  await chrome.storage.local.set({ [CONFIG.SITE_RULES_KEY]: rules });
+  return siteRules.length;
+}
+
+/**
+ * Delete the rule for a domain
+ * @param {string} domain - Rule domain
+ */
+export async function deleteSiteRule(domain) {
+  const rules = await loadRules();
+  delete rules[normalizeDomain(domain)];
+  await chrome.storage.local.set({ [CONFIG.SITE_RULES_KEY]: rules });
+}
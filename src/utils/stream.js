@@ -0,0 +1,30 @@
+/**
+ * Streaming Utility Functions
+ */
+
+/**
+ * Read a text stream from the built-in AI APIs to completion
+ * Chunks are deltas; the callback receives the accumulated text so far
+ * @param {ReadableStream<string>} stream - Stream from summarizeStreaming/promptStreaming
+ * @param {Function} onChunk - Callback with accumulated text
+ * @returns {Promise<string>} Full text
+ */
+export async function readTextStream(stream, onChunk = null) {
+  let text = '';
+
+  for await (const chunk of stream) {
+    text += chunk;
+    if (onChunk) onChunk(text);
+  }
+
+  return text;
+}
+
+/**
+ * Check if an error was caused by an AbortController
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
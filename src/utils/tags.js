@@ -0,0 +1,67 @@
+/**
+ * Tag Utility Functions
+ * Normalizes user-entered tags and suggests tags from extracted metadata
+ */
+
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Normalize a single tag (trimmed, lowercase, single spaces, no leading #)
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag ('' if empty)
+ */
+export function normalizeTag(tag) {
+  return (tag || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .toLowerCase()
+    .substring(0, CONFIG.MAX_TAG_LENGTH);
+}
+
+/**
+ * Normalize and de-duplicate a list of tags
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Unique normalized tags
+ */
+export function normalizeTags(tags) {
+  const normalized = (tags || []).map(normalizeTag).filter(Boolean);
+  return [...new Set(normalized)].slice(0, CONFIG.MAX_TAGS_PER_CARD);
+}
+
+/**
+ * Parse a comma-separated tag input
+ * @param {string} input - e.g. "ml, Research, #reading-list"
+ * @returns {Array<string>} Unique normalized tags
+ */
+export function parseTags(input) {
+  return normalizeTags((input || '').split(','));
+}
+
+/**
+ * Format tags for a comma-separated input
+ * @param {Array<string>} tags - Tags
+ * @returns {string} Input value
+ */
+export function formatTags(tags) {
+  return (tags || []).join(', ');
+}
+
+/**
+ * Suggest tags from extracted content metadata
+ * Uses extractor tags/categories for web pages and snippet tags for YouTube
+ * @param {object} data - Extracted content or YouTube video data
+ * @param {Array<string>} existing - Tags already assigned (excluded)
+ * @returns {Array<string>} Suggested tags
+ */
+export function suggestTags(data, existing = []) {
+  const candidates = [
+    ...(data?.tags || []),
+    ...(data?.categories || []),
+    ...(data?.snippet?.tags || [])
+  ];
+
+  return normalizeTags(candidates)
+    .filter(tag => !existing.includes(tag))
+    .slice(0, CONFIG.MAX_TAG_SUGGESTIONS);
+}
@@ -37,6 +37,36 @@ export function isYouTubeUrl(url) {
          url.includes('youtube.com/embed/');
 }
 
+/**
+ * Extract a YouTube playlist ID from a list= parameter
+ * Auto-generated mixes ("RD...") and the private Watch Later and Liked
+ * lists cannot be read through the Data API and are ignored
+ * @param {string} url - YouTube URL
+ * @returns {string|null} Playlist ID or null
+ */
+export function extractPlaylistId(url) {
+  if (!url || !url.includes('youtube.com/')) return null;
+  
+  const match = url.match(/[?&]list=([^&#]+)/);
+  if (!match) return null;
+  
+  const playlistId = match[1];
+  if (playlistId.startsWith('RD') || ['WL', 'LL'].includes(playlistId)) return null;
+  
+  return playlistId;
+}
+
+/**
+ * Check if URL is a YouTube playlist page (youtube.com/playlist?list=...)
+ * Watch URLs with a list= parameter still open as a single video
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isYouTubePlaylistUrl(url) {
+  if (!url) return false;
+  return url.includes('youtube.com/playlist') && extractPlaylistId(url) !== null;
+}
+
 /**
  * Check if URL is a valid HTTP(S) URL
  * @param {string} url - URL to check
@@ -60,6 +90,19 @@ export function getHostname(url) {
   }
 }
 
+/**
+ * Check if a URL points to a PDF file (by extension)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.pdf');
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Build YouTube video URL from video ID
  * @param {string} videoId - YouTube video ID
@@ -69,4 +112,40 @@ export function buildYouTubeUrl(videoId) {
   return `https://www.youtube.com/watch?v=${videoId}`;
 }
 
+/**
+ * Build YouTube playlist URL from playlist ID
+ * @param {string} playlistId - YouTube playlist ID
+ * @returns {string} Full YouTube playlist URL
+ */
+export function buildYouTubePlaylistUrl(playlistId) {
+  return `https://www.youtube.com/playlist?list=${playlistId}`;
+}
+
+/**
+ * Build YouTube video URL that starts playback at a given time
+ * @param {string} videoId - YouTube video ID
+ * @param {number} seconds - Start time in seconds
+ * @returns {string} Full YouTube URL with t= parameter
+ */
+export function buildYouTubeTimestampUrl(videoId, seconds) {
+  return `${buildYouTubeUrl(videoId)}&t=${Math.max(0, Math.floor(seconds))}s`;
+}
+
+/**
+ * Build a URL that points at a time in a page's video or audio
+ * Vimeo and YouTube embeds link to the video itself; other media link to
+ * the page with a #t= fragment (the side panel seeks the player when the
+ * page is open)
+ * @param {object} media - Media info from content-extractor.js { provider, id, pageUrl }
+ * @param {number} seconds - Start time in seconds
+ * @returns {string} URL
+ */
+export function buildMediaTimestampUrl(media, seconds) {
+  const time = Math.max(0, Math.floor(seconds));
+  
+  if (media.provider === 'youtube') return buildYouTubeTimestampUrl(media.id, time);
+  if (media.provider === 'vimeo') return `https://vimeo.com/${media.id}#t=${time}s`;
+  return `${media.pageUrl}#t=${time}`;
+}
+
 